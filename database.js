@@ -6,9 +6,16 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs-extra');
 const TIMING = require('./src/config/timing');
+const SoundMap = require('./src/visualizer/sound-map');
+const OutroCard = require('./src/visualizer/outro');
+const Hesitation = require('./src/visualizer/hesitation');
 
 const DB_PATH = './chat_story.db';
 
+// Resolves after initSchema() has created every table (used by startup jobs like render recovery)
+let markSchemaReady;
+const schemaReady = new Promise(resolve => { markSchemaReady = resolve; });
+
 // Create DB connection
 const db = new sqlite3.Database(DB_PATH, (err) => {
     if (err) {
@@ -76,6 +83,56 @@ function initSchema() {
                                 else console.log("Migration successful: reaction_delay added.");
                             });
                         }
+
+                        const hasCamera = rows.some(r => r.name === 'camera_effect');
+                        if (!hasCamera) {
+                            console.log('Migrating: Adding camera_effect to dialogues table...');
+                            db.run("ALTER TABLE dialogues ADD COLUMN camera_effect TEXT", (err) => {
+                                if (err) console.error("Migration failed (camera_effect):", err);
+                                else console.log("Migration successful: camera_effect added.");
+                            });
+                        }
+
+                        const hasReplyTo = rows.some(r => r.name === 'reply_to_dialogue_id');
+                        if (!hasReplyTo) {
+                            console.log('Migrating: Adding reply_to_dialogue_id to dialogues table...');
+                            db.run("ALTER TABLE dialogues ADD COLUMN reply_to_dialogue_id INTEGER", (err) => {
+                                if (err) console.error("Migration failed (reply_to_dialogue_id):", err);
+                                else console.log("Migration successful: reply_to_dialogue_id added.");
+                            });
+                        }
+
+                        // kind: 'message' (bubble) | 'reaction' / 'unsend' / 'edit' (changes target_dialogue_id) | 'typing' (never sent)
+                        const hasKind = rows.some(r => r.name === 'kind');
+                        if (!hasKind) {
+                            console.log('Migrating: Adding kind, target_dialogue_id to dialogues table...');
+                            db.run("ALTER TABLE dialogues ADD COLUMN kind TEXT DEFAULT 'message'");
+                            db.run("ALTER TABLE dialogues ADD COLUMN target_dialogue_id INTEGER", (err) => {
+                                if (err) console.error("Migration failed (kind / target_dialogue_id):", err);
+                                else console.log("Migration successful: kind, target_dialogue_id added.");
+                            });
+                        }
+
+                        // Typing hesitation bursts, JSON [{ typing, pause }] (visualizer/hesitation.js)
+                        const hasHesitation = rows.some(r => r.name === 'hesitation');
+                        if (!hasHesitation) {
+                            console.log('Migrating: Adding hesitation to dialogues table...');
+                            db.run("ALTER TABLE dialogues ADD COLUMN hesitation TEXT", (err) => {
+                                if (err) console.error("Migration failed (hesitation):", err);
+                                else console.log("Migration successful: hesitation added.");
+                            });
+                        }
+
+                        // Voice notes (kind 'voice'): clip + its length in seconds (visualizer/voice-notes.js)
+                        const hasAudioPath = rows.some(r => r.name === 'audio_path');
+                        if (!hasAudioPath) {
+                            console.log('Migrating: Adding audio_path, audio_duration to dialogues table...');
+                            db.run("ALTER TABLE dialogues ADD COLUMN audio_path TEXT");
+                            db.run("ALTER TABLE dialogues ADD COLUMN audio_duration REAL", (err) => {
+                                if (err) console.error("Migration failed (audio_path / audio_duration):", err);
+                                else console.log("Migration successful: audio_path, audio_duration added.");
+                            });
+                        }
                     }
                 });
             }
@@ -132,6 +189,36 @@ function initSchema() {
                     console.log('Migrating: Adding custom_header_name to projects table...');
                     db.run("ALTER TABLE projects ADD COLUMN custom_header_name TEXT");
                 }
+                
+                // Migration for render preset columns (last used aspect ratio / background)
+                const hasRenderPreset = rows.some(r => r.name === 'render_preset');
+                if (!hasRenderPreset) {
+                    console.log('Migrating: Adding render_preset, render_background to projects table...');
+                    db.run("ALTER TABLE projects ADD COLUMN render_preset TEXT DEFAULT '9:16'");
+                    db.run("ALTER TABLE projects ADD COLUMN render_background TEXT DEFAULT 'blur'");
+                }
+
+                // Migration for cover / hook frame selection (NULL = auto pick)
+                const hasCoverSelection = rows.some(r => r.name === 'cover_dialogue_id');
+                if (!hasCoverSelection) {
+                    console.log('Migrating: Adding cover_dialogue_id, hook_dialogue_id to projects table...');
+                    db.run("ALTER TABLE projects ADD COLUMN cover_dialogue_id INTEGER");
+                    db.run("ALTER TABLE projects ADD COLUMN hook_dialogue_id INTEGER");
+                }
+
+                // Migration for per-side / per-character / per-event SFX (JSON, NULL = library defaults)
+                const hasSoundMapping = rows.some(r => r.name === 'sound_mapping');
+                if (!hasSoundMapping) {
+                    console.log('Migrating: Adding sound_mapping to projects table...');
+                    db.run("ALTER TABLE projects ADD COLUMN sound_mapping TEXT");
+                }
+
+                // Migration for the outro / CTA card (JSON, NULL = global setting)
+                const hasOutroConfig = rows.some(r => r.name === 'outro_config');
+                if (!hasOutroConfig) {
+                    console.log('Migrating: Adding outro_config to projects table...');
+                    db.run("ALTER TABLE projects ADD COLUMN outro_config TEXT");
+                }
             }
         });
 
@@ -149,6 +236,7 @@ function initSchema() {
             catchphrase TEXT,
             dialect TEXT,
             typing_habit TEXT,
+            voice TEXT,
             created_at DATETIME DEFAULT CURRENT_TIMESTAMP
         )`, (err) => {
             if (err) console.error('Failed to create custom_characters table:', err);
@@ -181,6 +269,12 @@ function initSchema() {
                             db.run("ALTER TABLE custom_characters ADD COLUMN typing_habit TEXT");
                             console.log('✅ All character columns ready');
                         }
+
+                        const hasVoice = rows.some(r => r.name === 'voice');
+                        if (!hasVoice) {
+                            console.log('Migrating: Adding voice (narration TTS) to custom_characters...');
+                            db.run("ALTER TABLE custom_characters ADD COLUMN voice TEXT");
+                        }
                     }
                 });
             }
@@ -273,6 +367,36 @@ function initSchema() {
                 }
             }
         });
+
+        // 9. Render Jobs Table (Background render queue)
+        db.run(`CREATE TABLE IF NOT EXISTS render_jobs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            project_id INTEGER NOT NULL,
+            status TEXT DEFAULT 'QUEUED',
+            phase TEXT,
+            progress REAL DEFAULT 0,
+            frames_done INTEGER DEFAULT 0,
+            frames_total INTEGER DEFAULT 0,
+            options TEXT,
+            output_path TEXT,
+            error TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            started_at DATETIME,
+            finished_at DATETIME,
+            FOREIGN KEY(project_id) REFERENCES projects(id) ON DELETE CASCADE
+        )`, (err) => {
+            if (err) console.error('Failed to create render_jobs table:', err);
+            else console.log('✅ render_jobs table ready');
+        });
+        
+        // 10. Settings Table (global key/value, JSON values)
+        db.run(`CREATE TABLE IF NOT EXISTS settings (
+            key TEXT PRIMARY KEY,
+            value TEXT,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`, (err) => {
+            if (err) console.error('Failed to create settings table:', err);
+        });
         
         console.log('Database schema initialized.');
         
@@ -295,6 +419,9 @@ function initSchema() {
         // Character table indexes
         db.run(`CREATE INDEX IF NOT EXISTS idx_characters_project ON characters(project_id)`);
         
+        // Render job indexes - queue recovery on startup
+        db.run(`CREATE INDEX IF NOT EXISTS idx_render_jobs_status ON render_jobs(status)`, () => markSchemaReady());
+        
         console.log('✅ Performance indexes ready');
     });
 }
@@ -415,6 +542,44 @@ const Project = {
         });
     },
 
+    updateRenderPreset: (id, preset, background) => {
+        return new Promise((resolve, reject) => {
+            db.run(`UPDATE projects SET render_preset = ?, render_background = ? WHERE id = ?`, [preset, background, id], function(err) {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    },
+
+    updateCoverSelection: (id, coverDialogueId, hookDialogueId) => {
+        return new Promise((resolve, reject) => {
+            db.run(`UPDATE projects SET cover_dialogue_id = ?, hook_dialogue_id = ? WHERE id = ?`, [coverDialogueId, hookDialogueId, id], function(err) {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    },
+
+    updateSoundMapping: (id, mapping) => {
+        return new Promise((resolve, reject) => {
+            const json = mapping ? JSON.stringify(SoundMap.normalize(mapping)) : null;
+            db.run(`UPDATE projects SET sound_mapping = ? WHERE id = ?`, [json, id], function(err) {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    },
+
+    updateOutroConfig: (id, config) => {
+        return new Promise((resolve, reject) => {
+            const json = config ? JSON.stringify(OutroCard.normalize(config)) : null;
+            db.run(`UPDATE projects SET outro_config = ? WHERE id = ?`, [json, id], function(err) {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    },
+
     updateMemorySaved: (id, saved) => {
         return new Promise((resolve, reject) => {
             db.run(`UPDATE projects SET memory_saved = ? WHERE id = ?`, [saved ? 1 : 0, id], function(err) {
@@ -476,7 +641,7 @@ const Dialogue = {
      */
     add: (projectId, data, order = null) => {
         return new Promise((resolve, reject) => {
-            const { sender, message, delay, reaction_delay, typing_speed, image_path } = data;
+            const { sender, message, delay, reaction_delay, typing_speed, image_path, camera_effect, reply_to_dialogue_id, kind, target_dialogue_id, hesitation, audio_path, audio_duration } = data;
             
             // ใช้ serialize + transaction เพื่อ atomic operation
             db.serialize(() => {
@@ -498,9 +663,9 @@ const Dialogue = {
                     
                     getOrder.then(finalOrder => {
                         db.run(
-                            `INSERT INTO dialogues (project_id, sender, message, delay, reaction_delay, typing_speed, seq_order, image_path) 
-                             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-                            [projectId, sender, message, delay, reaction_delay || TIMING.DEFAULT_REACTION_DELAY, typing_speed, finalOrder, image_path || null],
+                            `INSERT INTO dialogues (project_id, sender, message, delay, reaction_delay, typing_speed, seq_order, image_path, camera_effect, reply_to_dialogue_id, kind, target_dialogue_id, hesitation, audio_path, audio_duration) 
+                             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                            [projectId, sender, message, delay, reaction_delay || TIMING.DEFAULT_REACTION_DELAY, typing_speed, finalOrder, image_path || null, camera_effect || null, reply_to_dialogue_id || null, kind || 'message', target_dialogue_id || null, hesitation || null, audio_path || null, audio_duration || null],
                             function(insertErr) {
                                 if (insertErr) {
                                     db.run('ROLLBACK', () => reject(insertErr));
@@ -551,15 +716,15 @@ const Dialogue = {
                         
                         const insertedIds = [];
                         const stmt = db.prepare(
-                            `INSERT INTO dialogues (project_id, sender, message, delay, reaction_delay, typing_speed, seq_order, image_path) 
-                             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+                            `INSERT INTO dialogues (project_id, sender, message, delay, reaction_delay, typing_speed, seq_order, image_path, camera_effect, reply_to_dialogue_id, kind, target_dialogue_id, hesitation, audio_path, audio_duration) 
+                             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
                         );
                         
                         for (const data of dialoguesArray) {
-                            const { sender, message, delay, reaction_delay, typing_speed, image_path } = data;
+                            const { sender, message, delay, reaction_delay, typing_speed, image_path, camera_effect, reply_to_dialogue_id, kind, target_dialogue_id, hesitation, audio_path, audio_duration } = data;
                             await new Promise((res, rej) => {
                                 stmt.run(
-                                    [projectId, sender, message, delay, reaction_delay || TIMING.DEFAULT_REACTION_DELAY, typing_speed, currentOrder++, image_path || null],
+                                    [projectId, sender, message, delay, reaction_delay || TIMING.DEFAULT_REACTION_DELAY, typing_speed, currentOrder++, image_path || null, camera_effect || null, reply_to_dialogue_id || null, kind || 'message', target_dialogue_id || null, hesitation || null, audio_path || null, audio_duration || null],
                                     function(err) {
                                         if (err) rej(err);
                                         else {
@@ -600,7 +765,7 @@ const Dialogue = {
     updateData: (id, updates) => {
         return new Promise((resolve, reject) => {
             const keys = Object.keys(updates).filter(k => 
-                ['sender', 'message', 'delay', 'reaction_delay', 'typing_speed', 'image_path'].includes(k)
+                ['sender', 'message', 'delay', 'reaction_delay', 'typing_speed', 'image_path', 'camera_effect', 'reply_to_dialogue_id', 'kind', 'target_dialogue_id', 'hesitation', 'audio_path', 'audio_duration'].includes(k)
             );
             
             if (keys.length === 0) return resolve(0);
@@ -617,9 +782,14 @@ const Dialogue = {
 
     delete: (id) => {
         return new Promise((resolve, reject) => {
-            db.run(`DELETE FROM dialogues WHERE id = ?`, [id], function(err) {
-                if (err) reject(err);
-                else resolve(this.changes);
+            db.serialize(() => {
+                // Replies to this line fall back to plain bubbles, reactions to it go with it
+                db.run(`UPDATE dialogues SET reply_to_dialogue_id = NULL WHERE reply_to_dialogue_id = ?`, [id]);
+                db.run(`DELETE FROM dialogues WHERE target_dialogue_id = ?`, [id]);
+                db.run(`DELETE FROM dialogues WHERE id = ?`, [id], function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                });
             });
         });
     },
@@ -675,10 +845,17 @@ async function importStoryJSON(story) {
         });
     }
     
-    // Import Dialogues
+    // Import Dialogues (exported ids -> new ids so replies keep their quoted line)
     let order = 0;
+    const idMap = {};
     for (const dlg of story.dialogues) {
-        await Dialogue.add(projectId, dlg, order++);
+        const newId = await Dialogue.add(projectId, {
+            ...dlg,
+            reply_to_dialogue_id: idMap[dlg.reply_to_dialogue_id] || null,
+            target_dialogue_id: idMap[dlg.target_dialogue_id] || null,
+            hesitation: Hesitation.serialize(dlg.hesitation)
+        }, order++);
+        if (dlg.id) idMap[dlg.id] = newId;
     }
     
     return projectId;
@@ -709,7 +886,14 @@ async function exportStoryJSON(projectId) {
         reaction_delay: d.reaction_delay, // [NEW] Reaction Time
         typing_speed: d.typing_speed,
         seq_order: d.seq_order,
-        image_path: d.image_path // [NEW] Image Support
+        image_path: d.image_path, // [NEW] Image Support
+        camera_effect: d.camera_effect || null, // zoom_in / shake / push_in / letterbox_on / letterbox_off / reset
+        reply_to_dialogue_id: d.reply_to_dialogue_id || null, // quoted earlier line (id in this project)
+        kind: d.kind || 'message', // reaction / unsend / edit change target_dialogue_id, typing = never sent
+        target_dialogue_id: d.target_dialogue_id || null,
+        hesitation: d.hesitation || null, // JSON typing bursts before the message (visualizer/hesitation.js)
+        audio_path: d.audio_path || null, // voice note clip (kind 'voice')
+        audio_duration: d.audio_duration || null
     }));
 
     // [FIX] Ensure Custom Characters used in dialogues are included in characters list
@@ -767,6 +951,35 @@ async function exportStoryJSON(projectId) {
             }
         }
     }
+
+    // Narration voice + gender live in the custom character library (see dialogue-tts.js)
+    for (const [role, char] of Object.entries(characters)) {
+        if (!role.startsWith('custom_') || char._deleted || char._error) continue;
+        const customChar = await CustomCharacter.getById(parseInt(role.split('_')[1])).catch(() => null);
+        if (customChar) {
+            char.voice = customChar.voice || null;
+            char.gender = customChar.gender || null;
+        }
+    }
+    
+    // Notification sounds: saved choices on top of the sfx library defaults
+    let savedSoundMapping = null;
+    try {
+        savedSoundMapping = project.sound_mapping ? JSON.parse(project.sound_mapping) : null;
+    } catch (e) {
+        console.warn(`⚠️ Invalid sound_mapping on project ${projectId}, using defaults`);
+    }
+    const sfxSounds = await Sound.getByType('sfx').catch(() => []);
+    const soundMapping = SoundMap.merge(SoundMap.defaultsFromSounds(sfxSounds), savedSoundMapping);
+
+    // Outro card: project choice, else the global one
+    let projectOutro = null;
+    try {
+        projectOutro = project.outro_config ? JSON.parse(project.outro_config) : null;
+    } catch (e) {
+        console.warn(`⚠️ Invalid outro_config on project ${projectId}, using global outro`);
+    }
+    const globalOutro = await Setting.get('outro_config').catch(() => null);
     
     return {
         id: project.id,
@@ -779,6 +992,8 @@ async function exportStoryJSON(projectId) {
         theme: project.theme || 'default', // [NEW] Theme
         status: project.status,
         memory_saved: project.memory_saved || 0, // [NEW] Memory indicator
+        sound_mapping: soundMapping, // Per side / character / event SFX (see visualizer/sound-map.js)
+        outro: OutroCard.resolve(projectOutro, globalOutro), // End card / CTA (see visualizer/outro.js)
         characters,
         dialogues
     };
@@ -806,11 +1021,11 @@ const CustomCharacter = {
         });
     },
     
-    async add(name, displayName, avatarPath, gender = null, personality = null, speakingStyle = null, ageGroup = null, occupation = null, catchphrase = null, dialect = null, typingHabit = null) {
+    async add(name, displayName, avatarPath, gender = null, personality = null, speakingStyle = null, ageGroup = null, occupation = null, catchphrase = null, dialect = null, typingHabit = null, voice = null) {
         return new Promise((resolve, reject) => {
             db.run(
-                'INSERT INTO custom_characters (name, display_name, avatar_path, gender, personality, speaking_style, age_group, occupation, catchphrase, dialect, typing_habit) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-                [name, displayName, avatarPath, gender, personality, speakingStyle, ageGroup, occupation, catchphrase, dialect, typingHabit],
+                'INSERT INTO custom_characters (name, display_name, avatar_path, gender, personality, speaking_style, age_group, occupation, catchphrase, dialect, typing_habit, voice) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                [name, displayName, avatarPath, gender, personality, speakingStyle, ageGroup, occupation, catchphrase, dialect, typingHabit, voice],
                 function(err) {
                     if (err) reject(err);
                     else resolve(this.lastID);
@@ -819,10 +1034,10 @@ const CustomCharacter = {
         });
     },
     
-    async update(id, displayName, avatarPath, gender = null, personality = null, speakingStyle = null, ageGroup = null, occupation = null, catchphrase = null, dialect = null, typingHabit = null) {
+    async update(id, displayName, avatarPath, gender = null, personality = null, speakingStyle = null, ageGroup = null, occupation = null, catchphrase = null, dialect = null, typingHabit = null, voice = null) {
         return new Promise((resolve, reject) => {
-            let query = 'UPDATE custom_characters SET display_name = ?, gender = ?, personality = ?, speaking_style = ?, age_group = ?, occupation = ?, catchphrase = ?, dialect = ?, typing_habit = ?';
-            let params = [displayName, gender, personality, speakingStyle, ageGroup, occupation, catchphrase, dialect, typingHabit];
+            let query = 'UPDATE custom_characters SET display_name = ?, gender = ?, personality = ?, speaking_style = ?, age_group = ?, occupation = ?, catchphrase = ?, dialect = ?, typing_habit = ?, voice = ?';
+            let params = [displayName, gender, personality, speakingStyle, ageGroup, occupation, catchphrase, dialect, typingHabit, voice];
             
             if (avatarPath) {
                 query += ', avatar_path = ?';
@@ -1207,8 +1422,141 @@ const Relationship = {
     }
 };
 
+// ============================================
+// Render Job Helper (Background Render Queue)
+// ============================================
+// status: QUEUED -> RUNNING -> COMPLETED | FAILED | CANCELLED
+// INTERRUPTED = server stopped while the job was RUNNING
+const RenderJob = {
+    create: (projectId, options = {}) => {
+        return new Promise((resolve, reject) => {
+            db.run(`INSERT INTO render_jobs (project_id, status, options) VALUES (?, 'QUEUED', ?)`,
+                [projectId, JSON.stringify(options)], function(err) {
+                    if (err) reject(err);
+                    else resolve(this.lastID);
+                });
+        });
+    },
+
+    getById: (id) => {
+        return new Promise((resolve, reject) => {
+            db.get(`SELECT * FROM render_jobs WHERE id = ?`, [id], (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    },
+
+    // Newest first; optionally scoped to one project
+    getAll: (projectId = null, limit = 50) => {
+        return new Promise((resolve, reject) => {
+            const where = projectId ? 'WHERE project_id = ?' : '';
+            const params = projectId ? [projectId, limit] : [limit];
+            db.all(`SELECT * FROM render_jobs ${where} ORDER BY id DESC LIMIT ?`, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    },
+
+    getByStatus: (status) => {
+        return new Promise((resolve, reject) => {
+            db.all(`SELECT * FROM render_jobs WHERE status = ? ORDER BY id ASC`, [status], (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    },
+
+    markRunning: (id) => {
+        return new Promise((resolve, reject) => {
+            db.run(`UPDATE render_jobs SET status = 'RUNNING', started_at = CURRENT_TIMESTAMP WHERE id = ?`, [id], function(err) {
+                if (err) reject(err);
+                else resolve(this.changes);
+            });
+        });
+    },
+
+    updateProgress: (id, { phase, progress, frames_done, frames_total }) => {
+        return new Promise((resolve, reject) => {
+            db.run(`UPDATE render_jobs SET phase = ?, progress = ?, frames_done = ?, frames_total = ? WHERE id = ?`,
+                [phase, progress, frames_done || 0, frames_total || 0, id], function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                });
+        });
+    },
+
+    finish: (id, status, { output_path = null, error = null } = {}) => {
+        return new Promise((resolve, reject) => {
+            db.run(`UPDATE render_jobs SET status = ?, output_path = ?, error = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [status, output_path, error, id], function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                });
+        });
+    },
+
+    // Called on startup: anything still RUNNING died with the previous server process
+    markInterrupted: () => {
+        return new Promise((resolve, reject) => {
+            db.run(`UPDATE render_jobs SET status = 'INTERRUPTED', error = 'Server stopped during render', finished_at = CURRENT_TIMESTAMP
+                    WHERE status = 'RUNNING'`, [], function(err) {
+                if (err) reject(err);
+                else resolve(this.changes);
+            });
+        });
+    },
+
+    hasCompleted: (projectId) => {
+        return new Promise((resolve, reject) => {
+            db.get(`SELECT id FROM render_jobs WHERE project_id = ? AND status = 'COMPLETED' LIMIT 1`, [projectId], (err, row) => {
+                if (err) reject(err);
+                else resolve(!!row);
+            });
+        });
+    }
+};
+
+// ============================================
+// Setting Model (global key/value, JSON)
+// ============================================
+const Setting = {
+    get: (key) => {
+        return new Promise((resolve, reject) => {
+            db.get(`SELECT value FROM settings WHERE key = ?`, [key], (err, row) => {
+                if (err) return reject(err);
+                try {
+                    resolve(row && row.value ? JSON.parse(row.value) : null);
+                } catch (e) {
+                    console.warn(`⚠️ Invalid JSON in setting ${key}`);
+                    resolve(null);
+                }
+            });
+        });
+    },
+
+    // value = null removes the key
+    set: (key, value) => {
+        return new Promise((resolve, reject) => {
+            const done = function(err) {
+                if (err) reject(err);
+                else resolve();
+            };
+            if (value === null || value === undefined) {
+                db.run(`DELETE FROM settings WHERE key = ?`, [key], done);
+            } else {
+                db.run(`INSERT INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+                        ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP`,
+                    [key, JSON.stringify(value)], done);
+            }
+        });
+    }
+};
+
 module.exports = {
     db,
+    schemaReady,
     Project,
     Character,
     Dialogue,
@@ -1217,6 +1565,8 @@ module.exports = {
     Sound,
     Memory,
     Relationship,
+    RenderJob,
+    Setting,
     importStoryJSON,
     exportStoryJSON
 };
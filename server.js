@@ -11,14 +11,28 @@ const open = require('open'); // Optional: opens browser on start
 const multer = require('multer');
 const fs = require('fs-extra');
 
-const { db, Project, Dialogue, Character, CustomCharacter, SoundCollection, Sound, Memory, Relationship, importStoryJSON, exportStoryJSON } = require('./database');
+const { db, schemaReady, Project, Dialogue, Character, CustomCharacter, SoundCollection, Sound, Memory, Relationship, RenderJob, Setting, importStoryJSON, exportStoryJSON } = require('./database');
 const { generateStory, continueStory, summarizeStory } = require('./src/ai/screenwriter');
 const TIMING = require('./src/config/timing');
-const { recordStory } = require('./src/recorder/capture');
+const { recordStory, getAudioDuration, PREVIEW_FORMATS, CONFIG: RECORDER_CONFIG } = require('./src/recorder/capture');
+const { dialogueHash, listManifests, findManifest } = require('./src/recorder/render-manifest');
+const { exportCovers } = require('./src/recorder/covers');
+const { RenderQueue } = require('./src/recorder/render-queue');
+const { planBatch, DEFAULT_PART_SIZE } = require('./src/recorder/render-batch');
+const { RENDER_PRESETS, RENDER_BACKGROUNDS, DEFAULT_PRESET, DEFAULT_BACKGROUND, isValidPreset, isValidQuality, presetSuffix, RENDER_QUALITIES } = require('./src/recorder/render-presets');
+const CameraEffects = require('./src/visualizer/camera');
+const Reactions = require('./src/visualizer/reactions');
+const BubbleEdits = require('./src/visualizer/bubble-edits');
+const Hesitation = require('./src/visualizer/hesitation');
+const VoiceNotes = require('./src/visualizer/voice-notes');
+const SoundMap = require('./src/visualizer/sound-map');
+const OutroCard = require('./src/visualizer/outro');
 const { generateIntroTTS } = require('./src/ai/intro-tts');
+const { generateDialogueVoices, generateVoiceNote, VOICES_DIR } = require('./src/ai/dialogue-tts');
+const { ENGINES: TTS_ENGINES, getEngine: getTtsEngine, getEngineName: getTtsEngineName } = require('./src/ai/tts-engines');
 
 const app = express();
-const PORT = 3000;
+const PORT = process.env.PORT || 3000;
 
 app.use(cors());
 app.use(bodyParser.json({ limit: '50mb' }));
@@ -102,6 +116,29 @@ const soundFilter = (req, file, cb) => {
 };
 const uploadSound = multer({ storage: soundStorage, fileFilter: soundFilter, limits: { fileSize: 50 * 1024 * 1024 } }); // 50MB limit
 
+// Voice Note Upload Configuration (uploaded files + in-browser recordings, which are webm)
+const voiceStorage = multer.diskStorage({
+    destination: function (req, file, cb) {
+        const uploadDir = 'assets/uploads/';
+        fs.ensureDirSync(uploadDir);
+        cb(null, uploadDir);
+    },
+    filename: function (req, file, cb) {
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        cb(null, 'voice-' + uniqueSuffix + (path.extname(file.originalname) || '.webm'));
+    }
+});
+const voiceFilter = (req, file, cb) => {
+    const allowedTypes = /mp3|wav|ogg|m4a|webm/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    if (extname || /^audio\//.test(file.mimetype)) {
+        return cb(null, true);
+    } else {
+        cb(new Error('Only audio files (mp3, wav, ogg, m4a, webm) are allowed!'));
+    }
+};
+const uploadVoice = multer({ storage: voiceStorage, fileFilter: voiceFilter, limits: { fileSize: 20 * 1024 * 1024 } }); // 20MB limit
+
 // Upload Endpoint
 app.post('/api/upload/image', uploadChat.single('image'), (req, res) => {
     if (!req.file) {
@@ -113,6 +150,22 @@ app.post('/api/upload/image', uploadChat.single('image'), (req, res) => {
     res.json({ success: true, path: webPath });
 });
 
+// Voice note clip: also returns its length for the bubble's duration label
+app.post('/api/upload/voice', uploadVoice.single('voice'), async (req, res) => {
+    if (!req.file) {
+        console.error("Upload failed: No file received");
+        return res.status(400).json({ success: false, error: 'No file uploaded' });
+    }
+    const webPath = req.file.path.replace(/\\/g, '/');
+    const duration = await getAudioDuration(webPath);
+    if (!duration) {
+        await fs.remove(webPath).catch(() => {});
+        return res.status(400).json({ success: false, error: 'Could not read the audio file' });
+    }
+    console.log(`Voice note uploaded to: ${webPath} (${duration.toFixed(1)}s)`);
+    res.json({ success: true, path: webPath, duration });
+});
+
 // ============================================
 // Helper: Build Smart Relationship Context
 // ดึง relationship จริงจาก DB มาสร้าง context ให้ AI
@@ -257,11 +310,110 @@ app.put('/api/dialogues/:id', async (req, res) => {
     }
 });
 
+// 'message' = chat bubble, 'reaction' = emoji badge on target_dialogue_id (visualizer/reactions.js),
+// 'unsend' / 'edit' = changes the target bubble (visualizer/bubble-edits.js),
+// 'typing' = hesitation bursts only, never sent (visualizer/hesitation.js),
+// 'voice' = voice note bubble playing audio_path, message = transcript (visualizer/voice-notes.js)
+const DIALOGUE_KINDS = ['message', 'reaction', ...Object.keys(BubbleEdits.KINDS), 'typing', 'voice'];
+const isTargetedKind = (kind) => kind === 'reaction' || Object.keys(BubbleEdits.KINDS).includes(kind);
+
+// Lines #start-#end (1-indexed) of a series part, as the render sees them - shared by the
+// render job and the past-renders list so both hash the same dialogues
+function sliceDialogueRange(allDialogues, range) {
+    const partDialogues = allDialogues.slice(range.start - 1, range.end);
+    // A reaction / unsend / edit of a line from an earlier part has no bubble to land on
+    const dialogues = partDialogues.filter(d => !isTargetedKind(d.kind) || partDialogues.some(x => x.id === d.target_dialogue_id));
+    // Replies quoting a line from an earlier part carry a copy of it
+    dialogues.forEach(d => {
+        if (!d.reply_to_dialogue_id || dialogues.some(x => x.id === d.reply_to_dialogue_id)) return;
+        const quoted = allDialogues.find(x => x.id === d.reply_to_dialogue_id);
+        if (quoted) d.reply_quote = { sender: quoted.sender, message: quoted.message, image_path: quoted.image_path };
+    });
+    return dialogues;
+}
+
+// Rows that show a chat bubble of their own (a reply / reaction / unsend / edit can land on them)
+const BUBBLE_KINDS = ['message', 'voice'];
+
+// Reply / reaction / unsend / edit target has to be an earlier bubble of the same project; '' / null = none
+// selfId = the row being updated, selfOrder = seq_order of a row about to be added
+// Returns the id to store, or undefined when the target is invalid
+async function resolveDialogueTarget(projectId, value, selfId = null, selfOrder = null) {
+    if (!value) return null;
+    const targetId = parseInt(value);
+    if (!Number.isInteger(targetId) || targetId === parseInt(selfId)) return undefined;
+    const dialogues = await Dialogue.getByProject(projectId);
+    const target = dialogues.find(d => d.id === targetId);
+    if (!target || target.sender === 'time_divider' || !BUBBLE_KINDS.includes(target.kind || 'message')) return undefined;
+    const selfIndex = dialogues.findIndex(d => d.id === parseInt(selfId));
+    const isEarlier = selfIndex !== -1 ? dialogues.indexOf(target) < selfIndex
+        : selfOrder === null || target.seq_order < selfOrder;
+    return isEarlier ? targetId : undefined;
+}
+
+// Voice note clips come from /api/upload/voice (assets/uploads) or TTS (assets/voices), nowhere else
+const VOICE_NOTE_DIRS = ['assets/uploads', VOICES_DIR].map(dir => path.resolve(dir));
+
+function validateVoiceNotePath(audioPath) {
+    if (typeof audioPath !== 'string') return `Invalid audio path: ${audioPath}`;
+    const resolved = path.resolve(audioPath);
+    if (!VOICE_NOTE_DIRS.some(dir => resolved.startsWith(dir + path.sep))) return `Audio must be an uploaded or TTS clip: ${audioPath}`;
+    return null;
+}
+
 // 3.1 Create New Dialogue
 app.post('/api/projects/:id/dialogues', async (req, res) => {
     try {
         const projectId = req.params.id;
         const { sender, message, order, delay, reaction_delay, imagePath, image_path } = req.body;
+        const seqOrder = order || 999;
+
+        const replyTo = await resolveDialogueTarget(projectId, req.body.reply_to_dialogue_id, null, seqOrder);
+        if (replyTo === undefined) {
+            return res.status(400).json({ error: `Reply target has to be an earlier message in the project: ${req.body.reply_to_dialogue_id}` });
+        }
+
+        // Reaction / unsend / edit: changes an earlier line instead of adding a bubble
+        const kind = req.body.kind || 'message';
+        if (!DIALOGUE_KINDS.includes(kind)) {
+            return res.status(400).json({ error: `Unknown dialogue kind: ${kind}` });
+        }
+        // Typing hesitation ("1.2/0.8, 0.6/0.5" or [{ typing, pause }]); a 'typing' row needs at least one burst
+        const bursts = Hesitation.normalize(req.body.hesitation);
+        if (!bursts) {
+            return res.status(400).json({ error: `Invalid hesitation: ${JSON.stringify(req.body.hesitation)}` });
+        }
+        const hesitation = Hesitation.serialize(kind === 'typing' && !bursts.length ? Hesitation.DEFAULT_BURSTS : bursts);
+
+        let targetId = null;
+        let eventSender = sender;
+        let eventMessage = message;
+        if (isTargetedKind(kind)) {
+            targetId = await resolveDialogueTarget(projectId, req.body.target_dialogue_id, null, seqOrder);
+            if (!targetId) {
+                return res.status(400).json({ error: `Target has to be an earlier message in the project: ${req.body.target_dialogue_id}` });
+            }
+            if (kind === 'reaction' && message && !Reactions.isValidEmoji(message)) {
+                return res.status(400).json({ error: `Unknown reaction emoji: ${message}` });
+            }
+            if (BubbleEdits.isBubbleEdit({ kind })) {
+                // Only the author can unsend / edit their own bubble
+                const target = (await Dialogue.getByProject(projectId)).find(d => d.id === targetId);
+                eventSender = target.sender;
+                eventMessage = kind === 'unsend' ? '' : (message || target.message || '');
+            }
+        }
+        
+        // Voice note clip (from /api/upload/voice): measured here like on update
+        const audioPath = kind === 'voice' ? (req.body.audio_path || null) : null;
+        const audioPathError = audioPath && validateVoiceNotePath(audioPath);
+        if (audioPathError) {
+            return res.status(400).json({ error: audioPathError });
+        }
+        const audioDuration = audioPath ? await getAudioDuration(audioPath) : null;
+        if (audioPath && !audioDuration) {
+            return res.status(400).json({ error: `Audio file not found or unreadable: ${audioPath}` });
+        }
         
         // Auto-calculate delay if not provided
         const baseDelay = 1.0;
@@ -269,15 +421,23 @@ app.post('/api/projects/:id/dialogues', async (req, res) => {
         const calculatedDelay = parseFloat((baseDelay + (charCount * 0.05)).toFixed(2));
         
         const newData = {
-            sender: sender || 'me',
-            message: message || '...',
+            sender: eventSender || 'me',
+            message: BubbleEdits.isBubbleEdit({ kind }) ? eventMessage
+                : kind === 'typing' ? ''
+                : (message || (kind === 'reaction' ? Reactions.DEFAULT_EMOJI : '...')),
             delay: delay || calculatedDelay,
             reaction_delay: reaction_delay || TIMING.DEFAULT_REACTION_DELAY,
             typing_speed: 'normal',
-            image_path: image_path || imagePath // Support both snake_case (frontend) and camelCase (legacy)
+            image_path: image_path || imagePath, // Support both snake_case (frontend) and camelCase (legacy)
+            reply_to_dialogue_id: replyTo,
+            kind,
+            target_dialogue_id: targetId,
+            hesitation,
+            audio_path: audioPath,
+            audio_duration: audioDuration
         };
         
-        const dialogueId = await Dialogue.add(projectId, newData, order || 999);
+        const dialogueId = await Dialogue.add(projectId, newData, seqOrder);
         
         res.json({ success: true, id: dialogueId });
     } catch (err) {
@@ -614,7 +774,27 @@ app.post('/api/generate', async (req, res) => {
             console.log(`✅ Fetched ${stickerMap.size} stickers in parallel`);
         }
 
-        for (const d of story.dialogues) {
+        // AI dialogue index -> inserted row id (text row, or the sticker row when there is no text)
+        const rowIds = [];
+
+        for (const [aiIndex, d] of story.dialogues.entries()) {
+            const replyTo = d.reply_to_index !== undefined ? rowIds[d.reply_to_index] || null : null;
+
+            // Unsend / edit beat: changes the line it targets (no sticker, no typing)
+            if (BubbleEdits.isBubbleEdit(d)) {
+                const targetId = d.target_index !== undefined ? rowIds[d.target_index] : null;
+                if (targetId) {
+                    rowIds[aiIndex] = await Dialogue.add(targetProjectId, {
+                        sender: story.dialogues[d.target_index].sender,
+                        message: d.message || '',
+                        delay: 0,
+                        reaction_delay: TIMING.DEFAULT_REACTION_DELAY,
+                        kind: d.kind,
+                        target_dialogue_id: targetId
+                    }, currentOrder++);
+                }
+                continue;
+            }
             
             // 1. Handle Sticker (Insert as separate dialogue FIRST)
             if (d.sticker_keyword && stickerMap.has(d.sticker_keyword)) {
@@ -625,7 +805,7 @@ app.post('/api/generate', async (req, res) => {
                     ? TIMING.BURST_REACTION_DELAY 
                     : TIMING.DEFAULT_REACTION_DELAY;
                 
-                await Dialogue.add(targetProjectId, {
+                rowIds[aiIndex] = await Dialogue.add(targetProjectId, {
                     sender: d.sender,
                     message: '',
                     delay: 0.8,
@@ -672,13 +852,14 @@ app.post('/api/generate', async (req, res) => {
                 
                 // --- CALCULATION END ---
 
-                await Dialogue.add(targetProjectId, {
+                rowIds[aiIndex] = await Dialogue.add(targetProjectId, {
                     sender: d.sender,
                     message: d.message,
                     delay: parseFloat(finalDelay.toFixed(2)), 
                     reaction_delay: parseFloat(reactionTime.toFixed(2)),
                     typing_speed: d.typing_speed || 'normal',
-                    image_path: null
+                    image_path: null,
+                    reply_to_dialogue_id: replyTo
                 }, currentOrder++);
 
                 previousSender = d.sender;
@@ -776,11 +957,40 @@ app.post('/api/generate/continue', async (req, res) => {
         const processedDialogues = [];
         const apiKey = process.env.GIPHY_API_KEY || 'dc6zaTOxFJmzC';
         let previousSender = null; // Track previous sender for Burst Mode
+        // AI dialogue index -> index in processedDialogues (nothing is saved until "Add to Story")
+        const previewIndexes = [];
 
-        for (const d of newDialogues) {
+        for (const [aiIndex, d] of newDialogues.entries()) {
             // Map Sender Name -> ID
             const internalSender = nameToId[d.sender] || d.sender;
 
+            // Reply: an existing line keeps its id, a line from this batch is referenced by preview index
+            const reply = {};
+            if (d.reply_to_dialogue_id) reply.reply_to_dialogue_id = d.reply_to_dialogue_id;
+            else if (d.reply_to_index !== undefined && previewIndexes[d.reply_to_index] !== undefined) {
+                reply.reply_to_preview_index = previewIndexes[d.reply_to_index];
+            }
+
+            // Unsend / edit beat: same id / preview index rule for its target
+            if (BubbleEdits.isBubbleEdit(d)) {
+                const target = {};
+                if (d.target_dialogue_id) target.target_dialogue_id = d.target_dialogue_id;
+                else if (d.target_index !== undefined && previewIndexes[d.target_index] !== undefined) {
+                    target.target_preview_index = previewIndexes[d.target_index];
+                }
+                if (target.target_dialogue_id || target.target_preview_index !== undefined) {
+                    previewIndexes[aiIndex] = processedDialogues.length;
+                    processedDialogues.push({
+                        sender: internalSender,
+                        message: d.message || '',
+                        kind: d.kind,
+                        reaction_delay: TIMING.DEFAULT_REACTION_DELAY,
+                        ...target
+                    });
+                }
+                continue;
+            }
+
             // 1. Handle Sticker
             if (d.sticker_keyword) {
                 try {
@@ -797,6 +1007,7 @@ app.post('/api/generate/continue', async (req, res) => {
                             ? TIMING.BURST_REACTION_DELAY 
                             : TIMING.DEFAULT_REACTION_DELAY;
                         
+                        previewIndexes[aiIndex] = processedDialogues.length;
                         processedDialogues.push({
                             sender: internalSender,
                             message: '',
@@ -841,12 +1052,14 @@ app.post('/api/generate/continue', async (req, res) => {
                 let finalDelay = (TIMING.BASE_DELAY + (charCount * TIMING.DELAY_PER_CHAR)) * speedMultiplier;
                 finalDelay = Math.max(TIMING.MIN_DELAY, Math.min(finalDelay, TIMING.MAX_DELAY));
 
+                previewIndexes[aiIndex] = processedDialogues.length;
                 processedDialogues.push({
                     sender: internalSender,
                     message: d.message,
                     delay: parseFloat(finalDelay.toFixed(2)),
                     reaction_delay: parseFloat(reactionTime.toFixed(2)),
-                    typing_speed: d.typing_speed || 'normal'
+                    typing_speed: d.typing_speed || 'normal',
+                    ...reply
                 });
                 
                 previousSender = internalSender;
@@ -911,11 +1124,177 @@ app.post('/api/projects/:id/generate-descriptions', async (req, res) => {
     }
 });
 
+// 4.1.7 Outro / CTA card (visualizer/outro.js) - per project, or the global default
+// A config that can't produce a card (e.g. handle type with no handle) is rejected up front
+function validateOutroConfig(raw) {
+    if (raw.type !== undefined && !OutroCard.isValid(raw.type)) return `Unknown outro type: ${raw.type}`;
+    const config = OutroCard.normalize(raw);
+    if (config.type !== 'none' && !OutroCard.buildCard(config)) return `Outro type ${config.type} needs its content (handle / question / image)`;
+    if (config.image_path) {
+        const imagePath = path.normalize(config.image_path);
+        if (!imagePath.startsWith('assets' + path.sep) || !fs.existsSync(imagePath)) return `Image not found: ${config.image_path}`;
+    }
+    return null;
+}
+
+app.get('/api/settings/outro', async (req, res) => {
+    try {
+        res.json({ outro: OutroCard.normalize(await Setting.get('outro_config')), types: OutroCard.TYPES });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/settings/outro', async (req, res) => {
+    try {
+        const raw = req.body.outro || { type: 'none' };
+        const error = validateOutroConfig(raw);
+        if (error) return res.status(400).json({ error });
+
+        const outro = OutroCard.normalize(raw);
+        await Setting.set('outro_config', outro);
+        console.log(`🎬 Global outro saved: ${outro.type}`);
+        res.json({ success: true, outro });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// outro: project's own config (null = follows global), effective: what a render will use
+app.get('/api/projects/:id/outro', async (req, res) => {
+    try {
+        const project = await Project.getById(req.params.id);
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+
+        let saved = null;
+        try {
+            if (project.outro_config) saved = OutroCard.normalize(JSON.parse(project.outro_config));
+        } catch (e) {
+            console.warn(`Invalid outro_config on project ${project.id}:`, e.message);
+        }
+        const globalOutro = await Setting.get('outro_config');
+        res.json({
+            outro: saved,
+            global: OutroCard.normalize(globalOutro),
+            effective: OutroCard.resolve(saved, globalOutro),
+            types: OutroCard.TYPES
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// { outro: null } = follow the global outro again
+app.put('/api/projects/:id/outro', async (req, res) => {
+    try {
+        const project = await Project.getById(req.params.id);
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+
+        const raw = req.body.outro || null;
+        if (raw) {
+            const error = validateOutroConfig(raw);
+            if (error) return res.status(400).json({ error });
+        }
+
+        await Project.updateOutroConfig(project.id, raw);
+        console.log(`🎬 Outro saved for project ${project.id}: ${raw ? OutroCard.normalize(raw).type : 'global'}`);
+        res.json({ success: true, outro: raw ? OutroCard.normalize(raw) : null });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Comment-bait question from the story (AI, template fallback) - filled into the editor, not saved
+app.post('/api/projects/:id/outro/comment-bait', async (req, res) => {
+    try {
+        const project = await Project.getById(req.params.id);
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+
+        const dialogues = await Dialogue.getByProject(project.id);
+        const characters = await Character.getByProject(project.id);
+        const charObj = {};
+        characters.forEach(char => {
+            charObj[char.role] = char;
+        });
+
+        const { generateCommentBait } = require('./src/ai/comment-bait');
+        const result = await generateCommentBait(dialogues, charObj, project.room_name, project.theme);
+        res.json(result);
+    } catch (err) {
+        console.error('Comment-bait generation error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // 4.1.5 Update Dialogue
 app.put('/api/projects/:id/dialogues/:did', async (req, res) => {
     try {
         const { id, did } = req.params; // did = dialogue id
         const updates = req.body;
+
+        // Camera directive: '' / null clears it, unknown names are rejected
+        if (updates.camera_effect !== undefined) {
+            if (!updates.camera_effect) updates.camera_effect = null;
+            else if (!CameraEffects.isValid(updates.camera_effect)) {
+                return res.status(400).json({ error: `Unknown camera effect: ${updates.camera_effect}` });
+            }
+        }
+
+        if (updates.reply_to_dialogue_id !== undefined) {
+            const replyTo = await resolveDialogueTarget(id, updates.reply_to_dialogue_id, did);
+            if (replyTo === undefined) {
+                return res.status(400).json({ error: `Reply target has to be an earlier message in the project: ${updates.reply_to_dialogue_id}` });
+            }
+            updates.reply_to_dialogue_id = replyTo;
+        }
+
+        // Reactions / unsend / edit: target must stay a real line, a reaction's message must stay a known emoji
+        if (updates.kind !== undefined && !DIALOGUE_KINDS.includes(updates.kind)) {
+            return res.status(400).json({ error: `Unknown dialogue kind: ${updates.kind}` });
+        }
+        const projectDialogues = await Dialogue.getByProject(id);
+        const current = projectDialogues.find(d => d.id === parseInt(did));
+        if (updates.target_dialogue_id !== undefined) {
+            const targetId = await resolveDialogueTarget(id, updates.target_dialogue_id, did);
+            if (!targetId) {
+                return res.status(400).json({ error: `Target has to be an earlier message in the project: ${updates.target_dialogue_id}` });
+            }
+            updates.target_dialogue_id = targetId;
+            // Unsend / edit follow the author of their new target
+            if (BubbleEdits.isBubbleEdit(current)) {
+                updates.sender = projectDialogues.find(d => d.id === targetId).sender;
+            }
+        }
+        if (updates.message !== undefined && Reactions.isReaction(current) && !Reactions.isValidEmoji(updates.message)) {
+            return res.status(400).json({ error: `Unknown reaction emoji: ${updates.message}` });
+        }
+
+        // Typing hesitation: '' / null clears it (a 'typing' row keeps the default burst)
+        if (updates.hesitation !== undefined) {
+            const bursts = Hesitation.normalize(updates.hesitation);
+            if (!bursts) {
+                return res.status(400).json({ error: `Invalid hesitation: ${JSON.stringify(updates.hesitation)}` });
+            }
+            updates.hesitation = Hesitation.serialize(Hesitation.isGhostTyping(current) && !bursts.length ? Hesitation.DEFAULT_BURSTS : bursts);
+        }
+
+        // Voice note clip: the length is always measured here, never taken from the client
+        delete updates.audio_duration;
+        if (updates.audio_path !== undefined) {
+            if (!updates.audio_path) {
+                updates.audio_path = null;
+                updates.audio_duration = null;
+            } else {
+                const audioPathError = validateVoiceNotePath(updates.audio_path);
+                if (audioPathError) {
+                    return res.status(400).json({ error: audioPathError });
+                }
+                updates.audio_duration = await getAudioDuration(updates.audio_path);
+                if (!updates.audio_duration) {
+                    return res.status(400).json({ error: `Audio file not found or unreadable: ${updates.audio_path}` });
+                }
+            }
+        }
         
         // Use generic update
         await Dialogue.updateData(did, updates);
@@ -927,6 +1306,34 @@ app.put('/api/projects/:id/dialogues/:did', async (req, res) => {
     }
 });
 
+// 4.1.5.1 Voice Note from TTS: the row's text spoken in its sender's narration voice
+app.post('/api/projects/:id/dialogues/:did/voice-note/tts', async (req, res) => {
+    try {
+        const { id, did } = req.params;
+        const story = await exportStoryJSON(id);
+        const dialogue = story.dialogues.find(d => d.id === parseInt(did));
+        if (!dialogue) {
+            return res.status(404).json({ error: 'Dialogue not found' });
+        }
+        if (dialogue.sender === 'time_divider' || (dialogue.kind && !['message', 'voice'].includes(dialogue.kind))) {
+            return res.status(400).json({ error: 'Only chat messages can become voice notes' });
+        }
+        if (!(dialogue.message || '').trim()) {
+            return res.status(400).json({ error: 'Type the voice note text first' });
+        }
+
+        const audioPath = await generateVoiceNote(story, dialogue);
+        const duration = await getAudioDuration(audioPath);
+        await Dialogue.updateData(did, { kind: 'voice', audio_path: audioPath, audio_duration: duration });
+
+        console.log(`🎤 Voice note TTS for dialogue ${did}: ${audioPath} (${duration.toFixed(1)}s)`);
+        res.json({ success: true, path: audioPath, duration });
+    } catch (err) {
+        console.error('Voice note TTS error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // 4.2 Reorder Dialogues
 app.post('/api/projects/:id/reorder', async (req, res) => {
     try {
@@ -945,19 +1352,65 @@ app.post('/api/projects/:id/reorder', async (req, res) => {
     }
 });
 // 5. Render Video (with optional dialogue range for multi-part export)
-app.post('/api/render/:id', async (req, res) => {
+// Renders run in the background queue; this returns a job id immediately.
+
+// After a cancelled/interrupted render: back to COMPLETED if it was rendered before, else DRAFT
+async function restoreProjectStatus(projectId) {
+    const rendered = await RenderJob.hasCompleted(projectId);
+    await Project.updateStatus(projectId, rendered ? 'COMPLETED' : 'DRAFT');
+}
+
+// Cover selection from a request body: undefined = keep the saved one, null/'' = auto.
+// A changed selection is saved on the project so the next render reuses it.
+async function resolveCoverSelection(project, body) {
+    const parseId = (value, saved) => {
+        if (value === undefined) return saved || null;
+        const id = parseInt(value);
+        return Number.isInteger(id) && id > 0 ? id : null;
+    };
+    const coverDialogueId = parseId(body.coverDialogueId, project.cover_dialogue_id);
+    const hookDialogueId = parseId(body.hookDialogueId, project.hook_dialogue_id);
+    if (coverDialogueId !== (project.cover_dialogue_id || null) || hookDialogueId !== (project.hook_dialogue_id || null)) {
+        await Project.updateCoverSelection(project.id, coverDialogueId, hookDialogueId);
+    }
+    return { coverDialogueId, hookDialogueId };
+}
+
+// Smart filename: YYYY-MM-DD_category[_partX-Y]_title[_preset]
+function renderOutputName(story, projectId, dialogueRange, preset) {
+    const dateStr = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+    const category = story.category || 'story';
+    // Clean title for filename (remove special chars, limit length)
+    const cleanTitle = (story.title || story.room_name || `p${projectId}`)
+        .replace(/[^\u0E00-\u0E7Fa-zA-Z0-9]/g, '_')  // Keep Thai + alphanumeric
+        .replace(/_+/g, '_')                         // Remove multiple underscores
+        .substring(0, 30);                           // Limit length
+    const rangeStr = dialogueRange ? `_part${dialogueRange.start}-${dialogueRange.end}` : '';
+    return `${dateStr}_${category}${rangeStr}_${cleanTitle}${presetSuffix(preset)}`;
+}
+
+// Runs inside the render queue (one job at a time)
+async function runRenderJob(job, { onProgress, signal }) {
+    const projectId = job.project_id;
+    const { bgMusicPath, sfxPath, sfxEnabled, bgmVolume, sfxVolume, swooshPath, swooshVolume, dialogueRange, workers, captureMode, keepFrames, preset, background, burnCaptions, narration, beatSync, coverDialogueId, hookDialogueId, part, preview, quality } = job.options;
+    const isDraft = quality === 'draft';
+    
+    console.log(`🎥 Rendering project ${projectId} (job #${job.id})...`);
+    if (dialogueRange) console.log(`📦 Range: #${dialogueRange.start} - #${dialogueRange.end}`);
+    if (part) console.log(`📚 Series: Part ${part.number}/${part.total}`);
+    if (isDraft) console.log(`⚡ Draft proof: ${RENDER_QUALITIES.draft.label}, no loudness pass`);
+    if (preset && preset !== DEFAULT_PRESET) console.log(`📐 Preset: ${preset} (${background || DEFAULT_BACKGROUND} background)`);
+    if (bgMusicPath) console.log(`🎵 With BGM: ${bgMusicPath} (vol: ${bgmVolume})`);
+    if (sfxEnabled === false) console.log(`🔕 SFX: off`);
+    else if (sfxPath) console.log(`🔔 With SFX: ${sfxPath} (vol: ${sfxVolume})`);
+    if (swooshPath) console.log(`🌊 With Swoosh: ${swooshPath} (vol: ${swooshVolume || 0.7})`);
+    if (burnCaptions) console.log(`🔤 Burn-in captions: on`);
+    if (narration) console.log(`🗣️ Narration: on (${getTtsEngineName()})`);
+    if (beatSync && bgMusicPath) console.log(`🥁 Beat sync: on`);
+    
+    await Project.updateStatus(projectId, 'RENDERING');
+    
     try {
-        const projectId = req.params.id;
-        const { bgMusicPath, sfxPath, bgmVolume, sfxVolume, dialogueRange } = req.body;
-        
-        console.log(`🎥 Rendering project ${projectId}...`);
-        if (dialogueRange) console.log(`📦 Range: #${dialogueRange.start} - #${dialogueRange.end}`);
-        if (bgMusicPath) console.log(`🎵 With BGM: ${bgMusicPath} (vol: ${bgmVolume})`);
-        if (sfxPath) console.log(`🔔 With SFX: ${sfxPath} (vol: ${sfxVolume})`);
-        if (req.body.swooshPath) console.log(`🌊 With Swoosh: ${req.body.swooshPath} (vol: ${req.body.swooshVolume || 0.7})`);
-        
-        await Project.updateStatus(projectId, 'RENDERING');
-        
         // Get story data
         let story = await exportStoryJSON(projectId);
         
@@ -978,41 +1431,368 @@ app.post('/api/render/:id', async (req, res) => {
         
         // Filter dialogues by range if specified
         if (dialogueRange && dialogueRange.start && dialogueRange.end) {
-            const start = dialogueRange.start - 1; // Convert to 0-indexed
-            const end = dialogueRange.end;
-            story.dialogues = story.dialogues.slice(start, end);
+            story.dialogues = sliceDialogueRange(story.dialogues, dialogueRange);
             console.log(`✂️ Filtered to ${story.dialogues.length} dialogues (Part: #${dialogueRange.start}-#${dialogueRange.end})`);
         }
+        if (part) story.part = part; // "PART N" intro + "to be continued" end card
+        if (beatSync && bgMusicPath) story.beatSync = { bgMusicPath }; // pops on the BGM beats (calculateTimeline)
         
-        // Smart filename: YYYY-MM-DD_category_title
-        const today = new Date();
-        const dateStr = today.toISOString().split('T')[0]; // YYYY-MM-DD
-        const category = story.category || 'story';
-        // Clean title for filename (remove special chars, limit length)
-        const cleanTitle = (story.title || story.room_name || `p${projectId}`)
-            .replace(/[^\u0E00-\u0E7Fa-zA-Z0-9]/g, '_')  // Keep Thai + alphanumeric
-            .replace(/_+/g, '_')                         // Remove multiple underscores
-            .substring(0, 30);                           // Limit length
+        // 🗣️ Narration: voice every message (timeline stretches to fit the clips)
+        if (narration) {
+            story = await generateDialogueVoices(story, { signal });
+        }
+        
+        const outputName = renderOutputName(story, projectId, dialogueRange, preset) + (isDraft ? '_DRAFT' : '');
         const rangeStr = dialogueRange ? `_part${dialogueRange.start}-${dialogueRange.end}` : '';
-        const outputName = `${dateStr}_${category}${rangeStr}_${cleanTitle}`;
+        const rangeOffset = dialogueRange && dialogueRange.start ? dialogueRange.start - 1 : 0;
         
         const videoPath = await recordStory(story, {
             outputName: outputName,
             bgMusicPath: bgMusicPath || null,
             sfxPath: sfxPath || null,
-            swooshPath: req.body.swooshPath || null, // Pass swoosh path
+            sfxEnabled: sfxEnabled !== false, // off = no message sounds at all, mapped ones included
+            swooshPath: swooshPath || null,
             bgmVolume: bgmVolume || 0.3,
             sfxVolume: sfxVolume || 0.5,
-            swooshVolume: req.body.swooshVolume || 0.7 // Pass swoosh volume
+            swooshVolume: swooshVolume || 0.7,
+            workers, // undefined = CONFIG.workers (RENDER_WORKERS)
+            captureMode, // 'pipe' (default) | 'disk' (debug: keep PNG frames)
+            keepFrames,
+            preset,
+            background,
+            burnCaptions: !!burnCaptions,
+            quality: quality || 'final',
+            // Preview range is in project message numbers; the story here may be a cut-down part
+            preview: preview ? { ...preview, start: preview.start - rangeOffset, end: preview.end - rangeOffset } : null,
+            workKey: `project_${projectId}${rangeStr}`, // same work dir on re-run = resume from checkpoint
+            settings: job.options, // goes into the manifest as-is -> "re-render" replays it
+            onProgress,
+            signal
         });
 
+        // A draft is only a pacing check: no covers, and the project keeps its real status
+        if (isDraft) {
+            await restoreProjectStatus(projectId);
+            return videoPath;
+        }
+
+        // 🖼️ Cover + hook frame next to the mp4 (a failure here never fails the render)
+        try {
+            await exportCovers(story, { outputName, coverDialogueId, hookDialogueId });
+        } catch (coverErr) {
+            console.warn('Cover export failed:', coverErr.message);
+        }
+
         await Project.updateStatus(projectId, 'COMPLETED');
+        return videoPath;
+        
+    } catch (err) {
+        if (signal.aborted) {
+            await restoreProjectStatus(projectId);
+        } else {
+            console.error("Render failed:", err);
+            await Project.updateStatus(projectId, 'FAILED');
+        }
+        throw err;
+    }
+}
+
+const renderQueue = new RenderQueue({ store: RenderJob, runJob: runRenderJob });
+
+// 5.1 List Render Jobs (?projectId=)
+app.get('/api/render/jobs', async (req, res) => {
+    try {
+        const jobs = await RenderJob.getAll(req.query.projectId || null, parseInt(req.query.limit) || 50);
+        res.json(jobs.map(job => renderQueue.describe(job)));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 5.2 Get Render Job (status + live progress)
+app.get('/api/render/jobs/:jobId', async (req, res) => {
+    try {
+        const job = await RenderJob.getById(req.params.jobId);
+        if (!job) return res.status(404).json({ error: 'Render job not found' });
+        res.json(renderQueue.describe(job));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 5.2.1 Live Render Progress (Server-Sent Events)
+// event: snapshot | progress | status  (status carries output_path / error when the job ends)
+const FINISHED_JOB_STATUSES = ['COMPLETED', 'FAILED', 'CANCELLED', 'INTERRUPTED'];
+
+app.get('/api/render/jobs/:jobId/events', async (req, res) => {
+    try {
+        const job = await RenderJob.getById(req.params.jobId);
+        if (!job) return res.status(404).json({ error: 'Render job not found' });
+        
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        
+        send('snapshot', renderQueue.describe(job));
+        if (FINISHED_JOB_STATUSES.includes(job.status)) return res.end();
+        
+        const onProgress = (evt) => {
+            if (evt.id === job.id) send('progress', evt);
+        };
+        const onStatus = (evt) => {
+            if (evt.id !== job.id) return;
+            send('status', evt);
+            if (FINISHED_JOB_STATUSES.includes(evt.status)) res.end();
+        };
+        // Comment line keeps proxies/browsers from dropping an idle stream (e.g. while queued)
+        const keepAlive = setInterval(() => res.write(': ping\n\n'), 15000);
+        
+        renderQueue.on('progress', onProgress);
+        renderQueue.on('status', onStatus);
+        res.on('close', () => {
+            clearInterval(keepAlive);
+            renderQueue.off('progress', onProgress);
+            renderQueue.off('status', onStatus);
+        });
+    } catch (err) {
+        if (!res.headersSent) res.status(500).json({ error: err.message });
+        else res.end();
+    }
+});
+
+// 5.3 Cancel Render Job (queued or running)
+app.post('/api/render/jobs/:jobId/cancel', async (req, res) => {
+    try {
+        const job = await RenderJob.getById(req.params.jobId);
+        if (!job) return res.status(404).json({ error: 'Render job not found' });
+        
+        const cancelled = await renderQueue.cancel(job.id);
+        if (!cancelled) {
+            return res.status(409).json({ error: `Job is already ${job.status}` });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 5.3.1 Batch Render: several projects and/or every part of a story, shared audio settings
+// (registered before /api/render/:id so "batch" isn't taken as a project id)
+app.post('/api/render/batch', async (req, res) => {
+    try {
+        const { projectIds, splitParts, bgMusicPath, sfxPath, sfxEnabled, bgmVolume, sfxVolume, swooshPath, swooshVolume, workers } = req.body;
+        const partSize = parseInt(req.body.partSize) || DEFAULT_PART_SIZE;
+        const burnCaptions = req.body.burnCaptions === true;
+        const narration = req.body.narration === true;
+        const beatSync = req.body.beatSync === true;
+        
+        if (!Array.isArray(projectIds) || projectIds.length === 0) {
+            return res.status(400).json({ error: 'projectIds is required' });
+        }
+        if (req.body.preset !== undefined && !isValidPreset(req.body.preset)) {
+            return res.status(400).json({ error: `Unknown render preset: ${req.body.preset}` });
+        }
+        if (req.body.background !== undefined && !RENDER_BACKGROUNDS.includes(req.body.background)) {
+            return res.status(400).json({ error: `Unknown render background: ${req.body.background}` });
+        }
+        if (req.body.quality !== undefined && !isValidQuality(req.body.quality)) {
+            return res.status(400).json({ error: `Unknown render quality: ${req.body.quality}` });
+        }
+        const quality = req.body.quality || 'final';
+        
+        const projects = [];
+        for (const id of projectIds) {
+            const project = await Project.getById(id);
+            if (!project) return res.status(404).json({ error: `Project not found: ${id}` });
+            const dialogues = await Dialogue.getByProject(project.id);
+            projects.push({ ...project, dialogueCount: dialogues.length });
+        }
+        
+        const plan = planBatch(projects, { splitParts: splitParts === true, partSize });
+        if (plan.length === 0) return res.status(400).json({ error: 'ไม่มี Dialogue ให้ Render' });
+        
+        const jobs = [];
+        for (const item of plan) {
+            const project = projects.find(p => p.id === item.projectId);
+            const jobId = await renderQueue.enqueue(project.id, {
+                bgMusicPath, sfxPath, sfxEnabled, bgmVolume, sfxVolume, swooshPath, swooshVolume, workers,
+                dialogueRange: item.dialogueRange,
+                part: item.part,
+                preset: req.body.preset || project.render_preset || DEFAULT_PRESET,
+                background: req.body.background || project.render_background || DEFAULT_BACKGROUND,
+                burnCaptions, narration, beatSync, quality,
+                coverDialogueId: project.cover_dialogue_id || null,
+                hookDialogueId: project.hook_dialogue_id || null
+            });
+            jobs.push({ jobId, projectId: project.id, title: project.title, dialogueRange: item.dialogueRange, part: item.part });
+        }
+        
+        console.log(`📚 Batch: ${jobs.length} render jobs queued (${projects.length} project(s))`);
+        res.status(202).json({ success: true, jobs });
+        
+    } catch (err) {
+        console.error("Batch render failed:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 5.4 Queue Render
+app.post('/api/render/:id', async (req, res) => {
+    try {
+        const projectId = req.params.id;
+        const project = await Project.getById(projectId);
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+        
+        const { bgMusicPath, sfxPath, sfxEnabled, bgmVolume, sfxVolume, swooshPath, swooshVolume, dialogueRange, workers, captureMode, keepFrames } = req.body;
+        const burnCaptions = req.body.burnCaptions === true;
+        const narration = req.body.narration === true;
+        const beatSync = req.body.beatSync === true; // needs a BGM, ignored without one
         
-        res.json({ success: true, videoPath });
+        // 'final' (default) | 'draft' = quick low-res proof, see RENDER_QUALITIES
+        if (req.body.quality !== undefined && !isValidQuality(req.body.quality)) {
+            return res.status(400).json({ error: `Unknown render quality: ${req.body.quality}` });
+        }
+        const quality = req.body.quality || 'final';
+        
+        // Output preset: request > last one used for this project > default (9:16)
+        if (req.body.preset !== undefined && !isValidPreset(req.body.preset)) {
+            return res.status(400).json({ error: `Unknown render preset: ${req.body.preset}` });
+        }
+        if (req.body.background !== undefined && !RENDER_BACKGROUNDS.includes(req.body.background)) {
+            return res.status(400).json({ error: `Unknown render background: ${req.body.background}` });
+        }
+        const preset = req.body.preset || project.render_preset || DEFAULT_PRESET;
+        const background = req.body.background || project.render_background || DEFAULT_BACKGROUND;
+        if (preset !== project.render_preset || background !== project.render_background) {
+            await Project.updateRenderPreset(project.id, preset, background);
+        }
+        
+        // GIF/WebP preview of a message range (project message numbers, 1-based)
+        let preview = null;
+        if (req.body.preview && req.body.preview.format) {
+            const { format, start, end } = req.body.preview;
+            if (!PREVIEW_FORMATS.includes(format)) {
+                return res.status(400).json({ error: `Unknown preview format: ${format}` });
+            }
+            const from = parseInt(start) || dialogueRange?.start || 1;
+            const to = parseInt(end) || from + 4;
+            if (to < from) return res.status(400).json({ error: 'Preview end must be after start' });
+            preview = { format, start: from, end: to };
+        }
+        
+        // Cover / hook message: request > saved selection > auto (most dramatic line)
+        const { coverDialogueId, hookDialogueId } = await resolveCoverSelection(project, req.body);
+        
+        const jobId = await renderQueue.enqueue(project.id, {
+            bgMusicPath, sfxPath, sfxEnabled, bgmVolume, sfxVolume, swooshPath, swooshVolume, dialogueRange, workers, captureMode, keepFrames, preset, background, burnCaptions, narration, beatSync,
+            coverDialogueId, hookDialogueId, preview, quality
+        });
+        
+        res.status(202).json({ success: true, jobId, status: 'QUEUED' });
+        
+    } catch (err) {
+        console.error("Render queue failed:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 5.5 Covers: title card + hook frame without a full render
+app.post('/api/projects/:id/covers', async (req, res) => {
+    try {
+        const project = await Project.getById(req.params.id);
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+        
+        const { coverDialogueId, hookDialogueId } = await resolveCoverSelection(project, req.body);
+        const story = await exportStoryJSON(project.id);
+        const { dialogueRange } = req.body;
+        if (dialogueRange && dialogueRange.start && dialogueRange.end) {
+            story.dialogues = story.dialogues.slice(dialogueRange.start - 1, dialogueRange.end);
+        }
+        
+        const outputName = renderOutputName(story, project.id, dialogueRange, project.render_preset);
+        const result = await exportCovers(story, { outputName, coverDialogueId, hookDialogueId });
+        const toUrl = (file) => file ? `/output/03_Drafts/${path.basename(file)}?t=${Date.now()}` : null;
+        
+        res.json({ success: true, cover: toUrl(result.cover), hook: toUrl(result.hook) });
+    } catch (err) {
+        console.error("Cover export failed:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 5.6 Render Presets (aspect ratios for the render modal)
+app.get('/api/render/presets', (req, res) => {
+    res.json({
+        presets: Object.entries(RENDER_PRESETS).map(([id, preset]) => ({ id, ...preset })),
+        backgrounds: RENDER_BACKGROUNDS,
+        defaults: { preset: DEFAULT_PRESET, background: DEFAULT_BACKGROUND }
+    });
+});
+
+// 5.7 TTS Voices (character voice picker + narration engine info)
+app.get('/api/tts/voices', (req, res) => {
+    const active = getTtsEngineName();
+    res.json({
+        engine: active,
+        label: getTtsEngine(active).label,
+        // Voices of every engine, so a voice picked under TTS_ENGINE=google survives a local dev session
+        engines: Object.entries(TTS_ENGINES).map(([name, engine]) => ({ name, label: engine.label, voices: engine.voices }))
+    });
+});
+
+// 5.8 Past Renders (from the <video>_manifest.json sidecars)
+// Every dir an mp4 can land in: recorder default + per-quality dirs (drafts)
+const MANIFEST_DIRS = [RECORDER_CONFIG.outputDir, ...Object.values(RENDER_QUALITIES).map(q => q.outputDir).filter(Boolean)];
+
+app.get('/api/projects/:id/renders', async (req, res) => {
+    try {
+        const story = await exportStoryJSON(req.params.id);
+        const manifests = await listManifests(MANIFEST_DIRS, story.id);
+        
+        res.json(manifests.map(m => {
+            const range = m.dialogueRange;
+            const current = range ? sliceDialogueRange(story.dialogues, range) : story.dialogues;
+            return {
+                manifestFile: m.manifestFile,
+                video: m.video,
+                videoUrl: m.videoExists ? `/${path.relative('.', path.join(m.dir, m.video)).split(path.sep).join('/')}` : null,
+                createdAt: m.createdAt,
+                duration: m.duration,
+                dialogueRange: range,
+                dialogueCount: m.dialogueCount,
+                part: m.settings?.part || null,
+                quality: m.render?.quality,
+                preset: m.render?.preset,
+                lufs: m.audio?.loudness?.integrated ?? null,
+                changed: dialogueHash(current) !== m.dialogueHash // story edited since this render
+            };
+        }));
+    } catch (err) {
+        if (err.message === 'Project not found') return res.status(404).json({ error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 5.8.1 Re-render with the exact settings a manifest recorded (current story content)
+app.post('/api/projects/:id/renders/:manifestFile/rerender', async (req, res) => {
+    try {
+        const project = await Project.getById(req.params.id);
+        if (!project) return res.status(404).json({ error: 'Project not found' });
         
+        const manifest = await findManifest(MANIFEST_DIRS, req.params.manifestFile);
+        if (!manifest || String(manifest.projectId) !== String(project.id)) {
+            return res.status(404).json({ error: 'Render manifest not found' });
+        }
+        if (!manifest.settings) return res.status(400).json({ error: 'Manifest has no render settings' });
+        
+        const jobId = await renderQueue.enqueue(project.id, manifest.settings);
+        console.log(`🔁 Re-render of ${manifest.video} queued (job #${jobId})`);
+        res.status(202).json({ success: true, jobId, status: 'QUEUED' });
     } catch (err) {
-        console.error("Render failed:", err);
-        await Project.updateStatus(req.params.id, 'FAILED');
+        console.error("Re-render failed:", err);
         res.status(500).json({ error: err.message });
     }
 });
@@ -1120,22 +1900,31 @@ app.post('/api/import', async (req, res) => {
             await Character.add(projectId, { role: 'boss', name: 'เจ้านาย', avatar: 'assets/avatars/boss.png', side: 'left' });
         }
         
-        // Import dialogues
+        // Import dialogues (exported ids -> new ids so replies keep their quoted line)
         let order = 0;
+        const idMap = {};
         for (const d of data.dialogues) {
             // Auto-calculate delay if not provided
             const baseDelay = 1.0;
             const charCount = (d.message || '').length;
             const calculatedDelay = parseFloat((baseDelay + (charCount * 0.05)).toFixed(2));
             
-            await Dialogue.add(projectId, {
+            const newId = await Dialogue.add(projectId, {
                 sender: d.sender || 'me',
                 message: d.message || '',
                 delay: d.delay || calculatedDelay,
                 reaction_delay: d.reaction_delay || TIMING.DEFAULT_REACTION_DELAY,
                 typing_speed: d.typing_speed || 'normal',
-                image_path: d.image_path || null
+                image_path: d.image_path || null,
+                camera_effect: CameraEffects.isValid(d.camera_effect) ? d.camera_effect : null,
+                reply_to_dialogue_id: idMap[d.reply_to_dialogue_id] || null,
+                kind: DIALOGUE_KINDS.includes(d.kind) ? d.kind : 'message',
+                target_dialogue_id: idMap[d.target_dialogue_id] || null,
+                hesitation: Hesitation.serialize(d.hesitation),
+                audio_path: d.audio_path || null,
+                audio_duration: d.audio_duration || null
             }, d.seq_order !== undefined ? d.seq_order : order++);
+            if (d.id) idMap[d.id] = newId;
         }
         
         console.log(`✅ Imported ${data.dialogues.length} dialogues as new project ID: ${projectId}`);
@@ -1224,22 +2013,31 @@ app.post('/api/projects/:id/import', async (req, res) => {
             }
         }
         
-        // Import dialogues
+        // Import dialogues (exported ids -> new ids so replies keep their quoted line)
         let order = 0;
+        const idMap = {};
         for (const d of data.dialogues) {
             // Auto-calculate delay if not provided
             const baseDelay = 1.0;
             const charCount = (d.message || '').length;
             const calculatedDelay = parseFloat((baseDelay + (charCount * 0.05)).toFixed(2));
             
-            await Dialogue.add(projectId, {
+            const newId = await Dialogue.add(projectId, {
                 sender: d.sender || 'me',
                 message: d.message || '',
                 delay: d.delay || calculatedDelay,
                 reaction_delay: d.reaction_delay || TIMING.DEFAULT_REACTION_DELAY,
                 typing_speed: d.typing_speed || 'normal',
-                image_path: d.image_path || null
+                image_path: d.image_path || null,
+                camera_effect: CameraEffects.isValid(d.camera_effect) ? d.camera_effect : null,
+                reply_to_dialogue_id: idMap[d.reply_to_dialogue_id] || null,
+                kind: DIALOGUE_KINDS.includes(d.kind) ? d.kind : 'message',
+                target_dialogue_id: idMap[d.target_dialogue_id] || null,
+                hesitation: Hesitation.serialize(d.hesitation),
+                audio_path: d.audio_path || null,
+                audio_duration: d.audio_duration || null
             }, d.seq_order !== undefined ? d.seq_order : order++);
+            if (d.id) idMap[d.id] = newId;
         }
         
         console.log(`✅ Replaced dialogues in project ${projectId} with ${data.dialogues.length} imported dialogues`);
@@ -1332,7 +2130,7 @@ app.get('/api/characters/custom', async (req, res) => {
 // Create custom character (with file upload)
 app.post('/api/characters/custom', upload.single('avatar'), async (req, res) => {
     try {
-        const { name, display_name, gender, personality, speaking_style, age_group, occupation, catchphrase, dialect, typing_habit } = req.body;
+        const { name, display_name, gender, personality, speaking_style, age_group, occupation, catchphrase, dialect, typing_habit, voice } = req.body;
         
         if (!name || !display_name || !req.file) {
             return res.status(400).json({ error: 'Missing required fields' });
@@ -1357,7 +2155,8 @@ app.post('/api/characters/custom', upload.single('avatar'), async (req, res) =>
             occupation || null,
             catchphrase || null,
             dialect || null,
-            typing_habit || null
+            typing_habit || null,
+            voice || null
         );
         
         res.json({ 
@@ -1383,7 +2182,7 @@ app.post('/api/characters/custom', upload.single('avatar'), async (req, res) =>
 app.put('/api/characters/custom/:id', upload.single('avatar'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { display_name, gender, personality, speaking_style, age_group, occupation, catchphrase, dialect, typing_habit } = req.body;
+        const { display_name, gender, personality, speaking_style, age_group, occupation, catchphrase, dialect, typing_habit, voice } = req.body;
         
         if (!display_name) {
             return res.status(400).json({ error: 'Display name is required' });
@@ -1417,7 +2216,8 @@ app.put('/api/characters/custom/:id', upload.single('avatar'), async (req, res)
             occupation || null,
             catchphrase || null,
             dialect || null,
-            typing_habit || null
+            typing_habit || null,
+            voice || null
         );
         
         res.json({ success: true });
@@ -1605,6 +2405,51 @@ app.delete('/api/sounds/:id', async (req, res) => {
     }
 });
 
+// Project sound mapping: saved choices + library defaults (per side / character / event)
+app.get('/api/projects/:id/sound-mapping', async (req, res) => {
+    try {
+        const project = await Project.getById(req.params.id);
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+
+        let saved = SoundMap.emptyMapping();
+        try {
+            if (project.sound_mapping) saved = SoundMap.normalize(JSON.parse(project.sound_mapping));
+        } catch (e) {
+            console.warn(`Invalid sound_mapping on project ${project.id}:`, e.message);
+        }
+        const sfxSounds = await Sound.getByType('sfx');
+        res.json({
+            mapping: saved,
+            defaults: SoundMap.defaultsFromSounds(sfxSounds),
+            sides: SoundMap.SIDES,
+            events: SoundMap.EVENTS
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Save sound mapping ({ mapping: null } = back to library defaults)
+app.put('/api/projects/:id/sound-mapping', async (req, res) => {
+    try {
+        const project = await Project.getById(req.params.id);
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+
+        const mapping = req.body.mapping ? SoundMap.normalize(req.body.mapping) : null;
+        if (mapping) {
+            const known = new Set((await Sound.getAll()).map(s => s.filename));
+            const unknown = SoundMap.paths(mapping).find(p => !known.has(p));
+            if (unknown) return res.status(400).json({ error: `Unknown sound: ${unknown}` });
+        }
+
+        await Project.updateSoundMapping(project.id, mapping);
+        console.log(`🔔 Sound mapping saved for project ${project.id}`);
+        res.json({ success: true, mapping: mapping || SoundMap.emptyMapping() });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 
 // ============================================
 // Sitcom Engine: Memory API (Phase 3)
@@ -1904,3 +2749,18 @@ app.listen(PORT, () => {
     console.log(`📂 Dashboard: http://localhost:${PORT}/dashboard`);
     console.log(`🧠 Sitcom Engine: Memory API enabled`);
 });
+
+// Render queue recovery: a crash/restart must not leave projects stuck on RENDERING
+schemaReady.then(async () => {
+    try {
+        // Nothing is rendering yet, so any RENDERING project is left over from the last run
+        const projects = await Project.getAll();
+        for (const project of projects.filter(p => p.status === 'RENDERING')) {
+            await restoreProjectStatus(project.id);
+            console.log(`♻️ Project ${project.id} was stuck on RENDERING - status restored`);
+        }
+        await renderQueue.recover();
+    } catch (err) {
+        console.error('Render queue recovery failed:', err.message);
+    }
+});
@@ -0,0 +1,110 @@
+/**
+ * Comment-bait Question Generator
+ * One short question for the outro card (visualizer/outro.js, type comment_bait)
+ * that gets viewers arguing in the comments - picks a side, not a summary.
+ *
+ * Falls back to a mood-based template when the AI is unavailable, so the editor
+ * always gets something to edit.
+ */
+
+require('dotenv').config({ path: require('path').resolve(__dirname, '../../.env') });
+const { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } = require('@google/generative-ai');
+const Reactions = require('../visualizer/reactions');
+
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+const MAX_LENGTH = 80; // ต้องอ่านจบใน 3 วิบน end card
+
+// Template questions per mood (fallback)
+const FALLBACK_QUESTIONS = {
+    'สยองขวัญ/หลอน': ['ถ้าเป็นคุณ จะตอบแชทนี้ไหม?', 'คิดว่าคนที่ทักมาคือใคร?', 'เจอแบบนี้ จะหนีหรือจะอยู่ต่อ?'],
+    'หัวร้อน/ดราม่า': ['ใครผิดในเรื่องนี้?', 'ถ้าเป็นคุณ จะให้อภัยไหม?', 'ทีมไหน? คอมเมนต์มาเลย'],
+    'หวาน/โรแมนติก': ['ถ้าเป็นคุณ จะตอบว่าอะไร?', 'คู่นี้ควรไปต่อไหม?', 'เคยเจอแบบนี้บ้างไหม?'],
+    'เศร้า/ซึ้ง': ['ถ้าเป็นคุณ จะทำยังไง?', 'เคยเจอเรื่องแบบนี้ไหม?', 'อยากบอกอะไรตัวละครนี้?'],
+    'ตลก/ขำๆ': ['ถ้าเป็นคุณ จะรอดไหม?', 'แท็กเพื่อนที่เป็นแบบนี้มาเลย', 'ใครเคยเจอแบบนี้บ้าง?']
+};
+
+function detectMood(dialogues) {
+    const allText = dialogues.map(d => d.message || '').join(' ');
+    if (allText.match(/ผี|หลอน|กลัว|สยอง|ขนลุก/)) return 'สยองขวัญ/หลอน';
+    if (allText.match(/โกรธ|ด่า|หงุดหงิด|เกลียด|toxic|บูลลี่/i)) return 'หัวร้อน/ดราม่า';
+    if (allText.match(/รัก|หวาน|ชอบ|คิดถึง|เขินเลย/)) return 'หวาน/โรแมนติก';
+    if (allText.match(/เศร้า|ร้องไห้|เสียใจ|น้ำตา/)) return 'เศร้า/ซึ้ง';
+    return 'ตลก/ขำๆ';
+}
+
+function fallbackQuestion(mood) {
+    const pool = FALLBACK_QUESTIONS[mood] || FALLBACK_QUESTIONS['ตลก/ขำๆ'];
+    return pool[Math.floor(Math.random() * pool.length)];
+}
+
+/**
+ * @returns {Promise<{ success, question, mood, error? }>} question is always set
+ */
+async function generateCommentBait(dialogues, characters, roomName, theme) {
+    const mood = theme === 'horror' ? 'สยองขวัญ/หลอน' : detectMood(dialogues);
+    try {
+        if (!GEMINI_API_KEY) throw new Error('GEMINI_API_KEY not found in .env file');
+        console.log('💬 Generating comment-bait question...');
+
+        const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
+        const model = genAI.getGenerativeModel({
+            model: 'gemini-2.0-flash',
+            generationConfig: { temperature: 0.9, topP: 0.95 },
+            safetySettings: [
+                { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_NONE },
+                { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_NONE },
+                { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_NONE },
+                { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_NONE },
+            ],
+        });
+
+        const dialogueText = dialogues
+            .filter(d => d.message && d.message.trim() && d.sender !== 'time_divider' && !Reactions.isReaction(d))
+            .map(d => `${characters[d.sender]?.name || d.sender}: ${d.message}`)
+            .join('\n')
+            .substring(0, 2500);
+
+        const prompt = `คุณคือแอดมินเพจ TikTok chat story
+เขียน "คำถามปิดท้ายคลิป" 1 ข้อ ให้คนดูอยากคอมเมนต์ตอบ
+
+เรื่อง: ${roomName || 'แชท'}
+อารมณ์/โทน: ${mood}
+
+แชท:
+${dialogueText}
+
+---
+
+กติกา:
+- ถามให้คนดูเลือกข้าง / ตัดสิน / เล่าประสบการณ์ตัวเอง (เช่น "ใครผิด?", "ถ้าเป็นคุณจะทำไง?")
+- อ้างถึงเหตุการณ์หรือตัวละครในเรื่อง ไม่ใช่คำถามลอยๆ
+- สั้น ไม่เกิน 15 คำ ภาษาพูด
+- ห้ามสปอยตอนจบ ห้ามคำหยาบ ห้าม hashtag
+
+ตอบ JSON:
+{"question": "คำถาม"}`;
+
+        const result = await model.generateContent(prompt);
+        const response = result.response.text();
+        const jsonMatch = response.replace(/```json\n?/gi, '').replace(/```\n?/g, '').match(/\{[\s\S]*\}/);
+        if (!jsonMatch) {
+            console.error('AI Response:', response);
+            throw new Error('Failed to parse AI response');
+        }
+
+        const question = String(JSON.parse(jsonMatch[0]).question || '')
+            .replace(/#\S+/g, '')
+            .replace(/^["'“”]+|["'“”]+$/g, '')
+            .trim();
+        if (!question || question.length > MAX_LENGTH) throw new Error('AI question empty or too long');
+
+        return { success: true, question, mood };
+    } catch (err) {
+        console.error('❌ Comment-bait generation FAILED:', err.message);
+        return { success: false, error: err.message, question: fallbackQuestion(mood), mood };
+    }
+}
+
+module.exports = {
+    generateCommentBait
+};
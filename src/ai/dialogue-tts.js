@@ -0,0 +1,146 @@
+/**
+ * Dialogue TTS Service (Narration Mode)
+ * Speaks every chat message in its character's voice. Clips are cached by
+ * engine + voice + text, so re-rendering an unchanged story costs nothing.
+ *
+ * The story that comes back has dialogue.voice_path set; calculateTimeline()
+ * measures the clips and stretches the pacing so lines never talk over each other.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const Reactions = require('../visualizer/reactions');
+const BubbleEdits = require('../visualizer/bubble-edits');
+const VoiceNotes = require('../visualizer/voice-notes');
+const { getEngine, getEngineName, resolveVoice } = require('./tts-engines');
+const { AUDIO_PRESETS } = require('./intro-tts');
+
+// Cached clips (relative to the project root, like assets/intros)
+const VOICES_DIR = 'assets/voices';
+
+function clipPath(engineName, voice, rate, pitch, text, extension) {
+    const hash = crypto.createHash('sha1').update(`${engineName}|${voice}|${rate}|${pitch}|${text}`).digest('hex');
+    return `${VOICES_DIR}/${engineName}_${hash.slice(0, 16)}.${extension}`;
+}
+
+/**
+ * Voice per sender: the character's own voice (custom_characters.voice), otherwise
+ * engine voices handed out in order of first appearance so everyone sounds different.
+ */
+function assignVoices(story, engine) {
+    // Alternate female / male so a two-person chat never gets two similar voices
+    const byGender = (gender) => engine.voices.filter(v => v.gender === gender);
+    const [female, male] = [byGender('female'), byGender('male')];
+    const pool = [];
+    for (let i = 0; i < Math.max(female.length, male.length); i++) {
+        if (female[i]) pool.push(female[i]);
+        if (male[i]) pool.push(male[i]);
+    }
+    engine.voices.forEach(v => { if (!pool.includes(v)) pool.push(v); });
+
+    const voices = {};
+    let nextDefault = 0;
+    for (const dialogue of story.dialogues) {
+        const sender = dialogue.sender;
+        if (voices[sender] || sender === 'time_divider') continue;
+
+        const char = story.characters?.[sender] || {};
+        if (char.voice || char.gender) {
+            voices[sender] = resolveVoice(engine, char.voice, char.gender);
+        } else {
+            voices[sender] = pool[nextDefault % pool.length].id;
+            nextDefault++;
+        }
+    }
+    return voices;
+}
+
+/**
+ * Generate one clip per spoken message
+ * @param {Object} story - exportStoryJSON() output
+ * @param {Object} options - { engine: name override, signal: AbortSignal }
+ * @returns {Promise<Object>} copy of the story with dialogue.voice_path filled in
+ */
+async function generateDialogueVoices(story, options = {}) {
+    const engineName = options.engine || getEngineName();
+    const engine = getEngine(engineName);
+    const preset = AUDIO_PRESETS[story.category?.toLowerCase()] || AUDIO_PRESETS.default;
+    const voices = assignVoices(story, engine);
+
+    await fs.ensureDir(VOICES_DIR);
+    console.log(`🗣️ Narration: ${engine.label} | voices: ${Object.entries(voices).map(([s, v]) => `${s}=${v}`).join(', ')}`);
+
+    let generated = 0;
+    let cached = 0;
+    let failed = 0;
+    const dialogues = [];
+    for (const dialogue of story.dialogues) {
+        const text = (dialogue.message || '').trim();
+        // Voice notes already carry their own clip (audio_path)
+        if (dialogue.sender === 'time_divider' || Reactions.isReaction(dialogue) || BubbleEdits.isBubbleEdit(dialogue) || VoiceNotes.isVoiceNote(dialogue) || !text) {
+            dialogues.push({ ...dialogue });
+            continue;
+        }
+        if (options.signal?.aborted) {
+            const err = new Error('Render cancelled');
+            err.cancelled = true;
+            throw err;
+        }
+
+        const voice = voices[dialogue.sender];
+        const outputPath = clipPath(engineName, voice, preset.speakingRate, preset.pitch, text, engine.extension);
+        try {
+            if (await fs.pathExists(outputPath)) {
+                cached++;
+            } else {
+                await engine.synthesize(text, { voice, speakingRate: preset.speakingRate, pitch: preset.pitch }, outputPath);
+                generated++;
+            }
+            dialogues.push({ ...dialogue, voice_path: outputPath });
+        } catch (err) {
+            // One bad line shouldn't sink the render - it just stays silent
+            failed++;
+            console.warn(`⚠️ TTS failed for "${text.substring(0, 30)}": ${err.message}`);
+            await fs.remove(outputPath).catch(() => {});
+            dialogues.push({ ...dialogue });
+        }
+    }
+
+    console.log(`  ✅ Narration clips: ${generated} new, ${cached} cached${failed ? `, ${failed} failed` : ''}`);
+    return { ...story, dialogues };
+}
+
+/**
+ * Clip for a voice note bubble: the row's text spoken in its sender's narration voice
+ * @param {Object} story - exportStoryJSON() output (for the sender -> voice assignment)
+ * @param {Object} dialogue - the voice note row
+ * @returns {Promise<string>} clip path (cached like narration clips)
+ */
+async function generateVoiceNote(story, dialogue, options = {}) {
+    const text = (dialogue.message || '').trim();
+    if (!text) throw new Error('Voice note has no text to speak');
+
+    const engineName = options.engine || getEngineName();
+    const engine = getEngine(engineName);
+    const preset = AUDIO_PRESETS[story.category?.toLowerCase()] || AUDIO_PRESETS.default;
+    const voice = assignVoices(story, engine)[dialogue.sender] || resolveVoice(engine);
+
+    await fs.ensureDir(VOICES_DIR);
+    const outputPath = clipPath(engineName, voice, preset.speakingRate, preset.pitch, text, engine.extension);
+    if (!(await fs.pathExists(outputPath))) {
+        try {
+            await engine.synthesize(text, { voice, speakingRate: preset.speakingRate, pitch: preset.pitch }, outputPath);
+        } catch (err) {
+            await fs.remove(outputPath).catch(() => {});
+            throw err;
+        }
+    }
+    return outputPath;
+}
+
+module.exports = {
+    generateDialogueVoices,
+    generateVoiceNote,
+    VOICES_DIR
+};
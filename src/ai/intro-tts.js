@@ -1,25 +1,17 @@
 /**
  * Intro TTS Service
- * Uses Google Cloud Text-to-Speech to generate intro voice for room names
+ * Generates the intro voice for room names (Google Cloud TTS by default, see tts-engines.js)
  */
 
 require('dotenv').config();
-const textToSpeech = require('@google-cloud/text-to-speech');
 const fs = require('fs-extra');
 const path = require('path');
+const { getEngine, getEngineName, resolveVoice } = require('./tts-engines');
 
 // Directory for saving intro audio files
 const INTROS_DIR = path.join(__dirname, '../../assets/intros');
 
-// Initialize client
-let client = null;
-
-function getClient() {
-    if (!client) {
-        client = new textToSpeech.TextToSpeechClient();
-    }
-    return client;
-}
+const INTRO_VOICE = 'th-TH-Standard-A'; // Robot-like voice
 
 // Audio config presets by category mood
 const AUDIO_PRESETS = {
@@ -80,27 +72,15 @@ async function generateIntroTTS(roomName, projectId, category = 'default') {
         // Ensure intros directory exists
         await fs.ensureDir(INTROS_DIR);
         
-        const ttsClient = getClient();
-        
-        // Prepare request
-        const request = {
-            input: { text: roomName },
-            voice: {
-                languageCode: 'th-TH',
-                name: 'th-TH-Standard-A' // Robot-like voice
-            },
-            audioConfig: getAudioConfig(category)
-        };
-        
-        // Generate speech
-        const [response] = await ttsClient.synthesizeSpeech(request);
+        const engine = getEngine();
+        const { speakingRate, pitch } = getAudioConfig(category);
         
-        // Save audio file
-        const filename = `intro_${projectId}.mp3`;
+        // Generate speech + save audio file
+        const filename = `intro_${projectId}.${engine.extension}`;
         const filePath = path.join(INTROS_DIR, filename);
         
-        await fs.writeFile(filePath, response.audioContent, 'binary');
-        console.log(`  ✅ Saved intro: ${filename}`);
+        await engine.synthesize(roomName, { voice: resolveVoice(engine, INTRO_VOICE), speakingRate, pitch }, filePath);
+        console.log(`  ✅ Saved intro: ${filename} (${getEngineName()})`);
         
         // Estimate duration (rough: ~100ms per character for Thai)
         const estimatedDuration = Math.max(1.5, roomName.length * 0.1);
@@ -429,6 +429,8 @@ ${pacingInstruction}
 - Keep messages SHORT (1-2 sentences max)
 - **MAX 80 characters per message** (2-3 lines on mobile) - If longer, split into 2 bubbles
 - Same sender can appear consecutively (Burstiness)
+- **REPLY / QUOTE (optional):** To answer a specific OLDER message (calling out a lie, "อันนี้หมายความว่าไง", throwing someone's words back at them), add "reply_to" with the EXACT text of that earlier message. Use it 0-3 times per story, never for the message right before.
+- **UNSEND / EDIT (optional drama beat):** A character can take back THEIR OWN earlier message (slip of the tongue, accidental confession, sent to the wrong chat) with a separate item {"sender": same person, "event": "unsend", "target": "EXACT text of that message"}, or rewrite it with {"sender": same person, "event": "edit", "target": "EXACT old text", "message": "new text"}. The others should notice ("ลบทำไม", "เห็นแล้วนะ"). Use it 0-2 times per story.
 
 **TITLE GENERATION RULES (The "Viral Tabloid" Formula):**
 To get a 10/10 Viral Score, do NOT describe the "Topic". Describe the "CONFLICT" or "EVIDENCE".
@@ -501,11 +503,23 @@ To get a 10/10 Viral Score, do NOT describe the "Topic". Describe the "CONFLICT"
       "sticker_keyword": "shocked cat",
       "delay": 1.0,
       "typing_speed": "normal"
+    },
+    {
+      "sender": "${characters[1] || characters[0]}",
+      "message": "ข้อความที่ตอบกลับ",
+      "reply_to": "ข้อความเดิมที่ถูกอ้างถึง (ตรงตัว)"
+    },
+    {
+      "sender": "${characters[1] || characters[0]}",
+      "event": "unsend",
+      "target": "ข้อความของตัวเองที่ยกเลิกการส่ง (ตรงตัว)"
     }
   ]
 }
 
 typing_speed: slow (ดราม่า หนักๆ), normal (ปกติ), fast (ตื่นเต้น รีบๆ)
+reply_to: ใส่เฉพาะข้อความที่ตอบกลับ (quote) ข้อความเก่า ไม่ใส่ถ้าไม่ได้ตอบกลับ
+event: "unsend" (ยกเลิกการส่ง) หรือ "edit" (แก้ไข + "message" ข้อความใหม่) ใช้กับข้อความของผู้ส่งคนเดิมเท่านั้น
 
 ตอบ JSON เท่านั้น ไม่ต้องอธิบายเพิ่ม`;
 
@@ -637,6 +651,8 @@ async function generateStory(options = {}) {
                 throw new Error('Invalid story structure');
             }
             
+            story.dialogues = linkBubbleEdits(story.dialogues);
+            linkReplies(story.dialogues);
             console.log(`✅ Story generated successfully with ${currentModel}`);
             
             model = modelInstance;
@@ -668,6 +684,89 @@ async function generateStory(options = {}) {
     }
 }
 
+// ============================================
+// Reply Links (AI "reply_to" text -> quoted line)
+// ============================================
+// AI models can't count their own output, so "reply_to" holds the quoted text instead of an index.
+// Sets reply_to_index (an earlier item of `dialogues`) or reply_to_dialogue_id (a `history` row);
+// a quote that matches nothing is dropped and the line stays a plain bubble.
+function linkReplies(dialogues, history = []) {
+    dialogues.forEach((d, i) => {
+        const found = findQuotedLine(dialogues, i, d.reply_to, history);
+        delete d.reply_to;
+        if (!found) return;
+        if (found.index !== undefined) d.reply_to_index = found.index;
+        else d.reply_to_dialogue_id = found.dialogueId;
+    });
+    return dialogues;
+}
+
+// Unsend / edit beats ({ event, target: quoted text }) -> kind + target_index / target_dialogue_id.
+// Only the sender's own bubble can be targeted; a beat that matches nothing is dropped.
+// Returns a new array (run before linkReplies so indexes stay valid).
+function linkBubbleEdits(dialogues, history = []) {
+    const kept = [];
+    const newIndex = [];
+    dialogues.forEach((d, i) => {
+        if (!d.event) {
+            newIndex[i] = kept.push(d) - 1;
+            return;
+        }
+        const kind = d.event;
+        const found = ['unsend', 'edit'].includes(kind) && (kind === 'unsend' || (d.message || '').trim())
+            ? findQuotedLine(dialogues, i, d.target, history, d.sender)
+            : null;
+        delete d.event;
+        delete d.target;
+        if (!found) {
+            console.warn(`⚠️ Dropped ${kind} beat: target not found`);
+            return;
+        }
+        d.kind = kind;
+        if (kind === 'unsend') d.message = '';
+        if (found.index !== undefined) d.target_index = found.index;
+        else d.target_dialogue_id = found.dialogueId;
+        newIndex[i] = kept.push(d) - 1;
+    });
+    kept.forEach(d => {
+        if (d.target_index !== undefined) d.target_index = newIndex[d.target_index];
+    });
+    return kept;
+}
+
+// Latest line before dialogues[i] whose text is `quote` (exact first, then partial):
+// { index } in `dialogues` or { dialogueId } of a `history` row. Only plain bubbles count;
+// `sender` limits the search to that sender's lines.
+function findQuotedLine(dialogues, i, quote, history = [], sender = null) {
+    const normalize = (text) => String(text || '').replace(/\s+/g, '').toLowerCase();
+    const q = normalize(quote);
+    if (!q) return null;
+    const isExact = (message) => normalize(message) === q;
+    const isPartial = (message) => {
+        const m = normalize(message);
+        return m.length >= 4 && q.length >= 4 && (m.includes(q) || q.includes(m));
+    };
+    const isCandidate = (d) => (!d.kind || d.kind === 'message') && !d.event && (!sender || d.sender === sender);
+
+    for (const matches of [isExact, isPartial]) {
+        for (let j = i - 1; j >= 0; j--) {
+            if (isCandidate(dialogues[j]) && matches(dialogues[j].message)) return { index: j };
+        }
+        for (let j = history.length - 1; j >= 0; j--) {
+            if (history[j].id && isCandidate(history[j]) && matches(history[j].message)) return { dialogueId: history[j].id };
+        }
+    }
+    return null;
+}
+
+// One history line for the AI; reactions / unsend / edit read as what happened on screen
+function historyLine(d) {
+    if (d.kind === 'reaction') return `${d.sender}: [กด ${d.message} ให้ข้อความก่อนหน้า]`;
+    if (d.kind === 'unsend') return `${d.sender}: [ยกเลิกการส่งข้อความ]`;
+    if (d.kind === 'edit') return `${d.sender}: [แก้ไขข้อความเป็น] ${d.message}`;
+    return `${d.sender}: ${d.message}`;
+}
+
 // ============================================
 // Generate Multiple Stories
 // ============================================
@@ -689,7 +788,7 @@ async function generateMultipleStories(count = 5, category = 'funny') {
 // Continue Story (V2.0 Enhanced)
 // ============================================
 async function continueStory(prompt, existingDialogues = [], availableCharacters = [], length = 'medium', mode = 'normal', relationshipContext = 'friend', characterData = []) {
-    const history = existingDialogues.map(d => `${d.sender}: ${d.message}`).join('\n');
+    const history = existingDialogues.map(historyLine).join('\n');
     
     // ============================================
     // FIX: Build character name list from characterData (display_name)
@@ -794,6 +893,10 @@ ${relationshipSection}
 - **BANNED ALWAYS:** "wolf", "howling", "monkey puppet", "generic cartoon".
 - **OUTPUT:** Add "sticker_keyword" only if permitted. Otherwise, leave it out.
 
+**REPLY / QUOTE (optional):** To answer a specific OLDER message (from the history or your own output), add "reply_to" with the EXACT text of that message. Use it sparingly, never for the message right before.
+
+**UNSEND / EDIT (optional drama beat):** A character can take back THEIR OWN earlier message with a separate item {"sender": same person, "event": "unsend", "target": "EXACT text"}, or rewrite it with {"sender": same person, "event": "edit", "target": "EXACT old text", "message": "new text"}. At most 1 per continuation.
+
 **⚠️ CRITICAL: CHARACTERS IN SCENE:** [${characterList}]
 **STRICT RULE: You MUST use ONLY these exact names as "sender". DO NOT invent new characters. DO NOT use any name not in this list. If you use a name not in this list, the output will be REJECTED.**
 
@@ -806,7 +909,14 @@ ${relationshipSection}
     },
     {
       "sender": "ชื่อไทย", 
-      "message": "ข้อความ"
+      "message": "ข้อความ",
+      "reply_to": "ข้อความเก่าที่ตอบกลับ (ตรงตัว)"
+    },
+    {
+      "sender": "ชื่อไทย", 
+      "event": "edit",
+      "target": "ข้อความเดิมของตัวเอง (ตรงตัว)",
+      "message": "ข้อความใหม่"
     }
 ]
 `;
@@ -859,6 +969,8 @@ Generate JSON:`;
                     }
                 }
                 
+                dialogues = linkBubbleEdits(dialogues, existingDialogues);
+                linkReplies(dialogues, existingDialogues);
                 console.log(`✅ Continuation generated with ${modelName} (${dialogues.length} dialogues)`);
                 return dialogues;
             } else {
@@ -0,0 +1,143 @@
+/**
+ * TTS Engines - pluggable speech backends
+ * Used by intro-tts.js (room name) and dialogue-tts.js (per-message narration).
+ *
+ * Pick one with TTS_ENGINE in .env:
+ * - google : Google Cloud Text-to-Speech (default, needs GOOGLE_APPLICATION_CREDENTIALS)
+ * - local  : espeak-ng on this machine, offline - for development (TTS_LOCAL_BIN to override the binary)
+ *
+ * An engine is { label, extension, voices, synthesize(text, options, outputPath) }.
+ * Voice ids are stored per character (custom_characters.voice); when the active
+ * engine doesn't know a voice, one of its own voices with the same gender is used.
+ */
+
+require('dotenv').config({ path: require('path').resolve(__dirname, '../../.env') });
+const fs = require('fs-extra');
+const { spawn } = require('child_process');
+
+// ============================================
+// Google Cloud TTS
+// ============================================
+let googleClient = null;
+
+function getGoogleClient() {
+    if (!googleClient) {
+        const textToSpeech = require('@google-cloud/text-to-speech');
+        googleClient = new textToSpeech.TextToSpeechClient();
+    }
+    return googleClient;
+}
+
+const google = {
+    label: 'Google Cloud TTS',
+    extension: 'mp3',
+    voices: [
+        { id: 'th-TH-Standard-A', label: 'Standard A (หญิง, เสียงหุ่นยนต์)', gender: 'female' },
+        { id: 'th-TH-Neural2-C', label: 'Neural2 C (หญิง)', gender: 'female' },
+        { id: 'th-TH-Chirp3-HD-Kore', label: 'Chirp3 HD Kore (หญิง)', gender: 'female' },
+        { id: 'th-TH-Chirp3-HD-Aoede', label: 'Chirp3 HD Aoede (หญิง)', gender: 'female' },
+        { id: 'th-TH-Chirp3-HD-Charon', label: 'Chirp3 HD Charon (ชาย)', gender: 'male' },
+        { id: 'th-TH-Chirp3-HD-Puck', label: 'Chirp3 HD Puck (ชาย)', gender: 'male' },
+        { id: 'th-TH-Chirp3-HD-Fenrir', label: 'Chirp3 HD Fenrir (ชาย)', gender: 'male' }
+    ],
+
+    async synthesize(text, { voice, speakingRate = 1.0, pitch = 0.0 }, outputPath) {
+        const audioConfig = { audioEncoding: 'MP3', speakingRate };
+        // Chirp3 HD voices reject the pitch parameter
+        if (!voice.includes('Chirp3')) audioConfig.pitch = pitch;
+
+        const [response] = await getGoogleClient().synthesizeSpeech({
+            input: { text },
+            voice: { languageCode: 'th-TH', name: voice },
+            audioConfig
+        });
+        await fs.writeFile(outputPath, response.audioContent, 'binary');
+    }
+};
+
+// ============================================
+// Local (espeak-ng, offline)
+// ============================================
+const local = {
+    label: 'espeak-ng (offline)',
+    extension: 'wav',
+    voices: [
+        { id: 'th', label: 'espeak Thai', gender: 'female' },
+        { id: 'th+f3', label: 'espeak Thai (หญิง)', gender: 'female' },
+        { id: 'th+m3', label: 'espeak Thai (ชาย)', gender: 'male' },
+        { id: 'th+m7', label: 'espeak Thai (ชาย, ทุ้ม)', gender: 'male' }
+    ],
+
+    synthesize(text, { voice, speakingRate = 1.0, pitch = 0.0 }, outputPath) {
+        const bin = process.env.TTS_LOCAL_BIN || 'espeak-ng';
+        const args = [
+            '-v', voice,
+            '-s', String(Math.round(175 * speakingRate)),   // words per minute (175 = espeak default)
+            '-p', String(Math.max(0, Math.min(99, 50 + Math.round(pitch * 5)))), // Google semitones -> espeak 0-99
+            '-w', outputPath,
+            text
+        ];
+        return new Promise((resolve, reject) => {
+            const proc = spawn(bin, args);
+            let stderr = '';
+            proc.stderr.on('data', chunk => { stderr += chunk; });
+            proc.on('error', err => reject(new Error(`${bin} not available: ${err.message}`)));
+            proc.on('close', code => (code === 0 ? resolve() : reject(new Error(`${bin} exited with ${code}: ${stderr.trim()}`))));
+        });
+    }
+};
+
+// ============================================
+// Registry
+// ============================================
+const ENGINES = { google, local };
+const DEFAULT_ENGINE = 'google';
+
+/**
+ * Add another backend (e.g. a self-hosted model) without touching the callers
+ */
+function registerEngine(name, engine) {
+    if (!engine || typeof engine.synthesize !== 'function' || !Array.isArray(engine.voices) || engine.voices.length === 0) {
+        throw new Error(`TTS engine "${name}" needs synthesize() and at least one voice`);
+    }
+    ENGINES[name] = engine;
+}
+
+function getEngineName() {
+    const name = process.env.TTS_ENGINE || DEFAULT_ENGINE;
+    return ENGINES[name] ? name : DEFAULT_ENGINE;
+}
+
+function getEngine(name = getEngineName()) {
+    return ENGINES[name] || ENGINES[DEFAULT_ENGINE];
+}
+
+// Gender of a voice id from any engine (null if unknown)
+function voiceGender(voiceId) {
+    for (const engine of Object.values(ENGINES)) {
+        const voice = engine.voices.find(v => v.id === voiceId);
+        if (voice) return voice.gender;
+    }
+    return null;
+}
+
+/**
+ * Map a stored voice id onto the given engine
+ * @param {string|null} voiceId - e.g. custom_characters.voice
+ * @param {string|null} gender - character gender, used when there is no voice
+ */
+function resolveVoice(engine, voiceId, gender = null) {
+    if (voiceId && engine.voices.some(v => v.id === voiceId)) return voiceId;
+    const wanted = voiceGender(voiceId) || (gender ? String(gender).toLowerCase() : null);
+    const match = wanted && engine.voices.find(v => v.gender === wanted);
+    return (match || engine.voices[0]).id;
+}
+
+module.exports = {
+    ENGINES,
+    DEFAULT_ENGINE,
+    registerEngine,
+    getEngine,
+    getEngineName,
+    resolveVoice
+};
@@ -25,6 +25,29 @@ module.exports = {
     INTRO_BUFFER_AFTER: 0.3,      // ค้าง 0.6 วิ หลัง TTS จบ ก่อนเข้า chat
     INTRO_MIN_DURATION: 2.0,      // ถ้าไม่มี TTS ให้แสดง intro อย่างน้อย 2 วิ
     
+    // ============================================
+    // NARRATION (per-message TTS)
+    // ============================================
+    VOICE_GAP: 0.3,               // เว้นช่วงหลังเสียงพูดจบ ก่อนข้อความถัดไปขึ้น
+    NARRATION_VOLUME: 1.0,
+    
+    // ============================================
+    // BGM MIX (ducking + fades)
+    // ============================================
+    BGM_DUCK_LEVEL: 0.35,         // BGM เหลือ 35% ระหว่างมีเสียงพูด (intro TTS / narration)
+    BGM_DUCK_ATTACK: 0.15,        // ลดเสียงลงก่อนเริ่มพูด
+    BGM_DUCK_RELEASE: 0.5,        // ค่อยๆ กลับมาหลังพูดจบ
+    BGM_FADE_IN: 1.0,             // fade in ตอนเข้าแชท (หลัง intro)
+    BEAT_SYNC_TOLERANCE: 0.25,    // Beat sync: ขยับ appearTime ได้ไม่เกิน ±0.25 วิ ให้ตรงจังหวะเพลง
+    
+    // ============================================
+    // SERIES PARTS (batch render)
+    // ============================================
+    END_CARD_DELAY: 1.5,          // แชทจบแล้วรอ 1.5 วิ ก่อนขึ้น "ติดตามตอนต่อไป"
+    END_CARD_DURATION: 2.5,       // ค้าง end card (รวม fade in)
+    END_CARD_FADE_IN: 0.4,
+    OUTRO_DURATION: 3.5,          // Outro / CTA card (โปรเจกต์หรือ global) - ปรับต่อโปรเจกต์ได้ 1.5-10 วิ
+    
     // Video Recording
     FPS: 30,
     ENDING_BUFFER: 3,         // Standard ending delay (Requested: 3s)
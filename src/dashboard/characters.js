@@ -24,6 +24,7 @@ const charOccupationInput = document.getElementById('char-occupation');
 const charCatchphraseInput = document.getElementById('char-catchphrase');
 const charDialectInput = document.getElementById('char-dialect');
 const charTypingHabitInput = document.getElementById('char-typing-habit');
+const charVoiceInput = document.getElementById('char-voice');
 const imagePreview = document.getElementById('image-preview');
 const customGrid = document.getElementById('custom-characters-grid');
 const charCount = document.getElementById('char-count');
@@ -46,6 +47,7 @@ function customConfirm(message, onConfirm) {
 // ===================================
 document.addEventListener('DOMContentLoaded', () => {
     loadCustomCharacters();
+    loadVoices();
     
     // Event Listeners
     document.getElementById('btn-add-character').onclick = openAddModal;
@@ -102,6 +104,22 @@ async function loadCustomCharacters() {
     }
 }
 
+// Voice picker: one <optgroup> per TTS engine, the active one first
+async function loadVoices() {
+    try {
+        const res = await fetch(`${API_BASE}/tts/voices`);
+        const data = await res.json();
+        const engines = [...data.engines].sort((a, b) => (b.name === data.engine) - (a.name === data.engine));
+        charVoiceInput.innerHTML = `<option value="">Auto - เลือกตามเพศ</option>` + engines.map(engine => `
+            <optgroup label="${engine.label}${engine.name === data.engine ? ' (ใช้อยู่)' : ''}">
+                ${engine.voices.map(v => `<option value="${v.id}">${v.label}</option>`).join('')}
+            </optgroup>
+        `).join('');
+    } catch (err) {
+        console.error('Failed to load TTS voices:', err);
+    }
+}
+
 function renderCustomCharacters() {
     if (customCharacters.length === 0) {
         customGrid.innerHTML = `
@@ -148,6 +166,7 @@ function openAddModal() {
     charCatchphraseInput.value = '';
     charDialectInput.value = '';
     charTypingHabitInput.value = '';
+    charVoiceInput.value = '';
     imagePreview.innerHTML = '';
     charNameInput.disabled = false;
     charAvatarInput.required = true;
@@ -175,6 +194,7 @@ function openEditModal(id) {
     charCatchphraseInput.value = char.catchphrase || '';
     charDialectInput.value = char.dialect || '';
     charTypingHabitInput.value = char.typing_habit || '';
+    charVoiceInput.value = char.voice || '';
     charAvatarInput.required = false; // Optional when editing
     
     // Show current avatar
@@ -346,6 +366,7 @@ async function createCharacter(name, displayName, avatarFile) {
     formData.append('catchphrase', charCatchphraseInput.value || '');
     formData.append('dialect', charDialectInput.value || '');
     formData.append('typing_habit', charTypingHabitInput.value || '');
+    formData.append('voice', charVoiceInput.value || '');
     
     const res = await fetch(`${API_BASE}/characters/custom`, {
         method: 'POST',
@@ -372,6 +393,7 @@ async function updateCharacter(id, displayName, avatarFile) {
     formData.append('catchphrase', charCatchphraseInput.value || '');
     formData.append('dialect', charDialectInput.value || '');
     formData.append('typing_habit', charTypingHabitInput.value || '');
+    formData.append('voice', charVoiceInput.value || '');
     
     if (avatarFile) {
         formData.append('avatar', avatarFile);
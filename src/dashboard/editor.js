@@ -498,15 +498,32 @@ function openRenderModal() {
     // Calculate parts suggestion
     updateRenderPartsSuggestion(totalDialogues);
     
+    // Last preset used for this project
+    const project = projects.find(p => p.id === currentProject);
+    loadRenderPresets().then(() => {
+        document.getElementById('render-preset').value = project?.render_preset || '9:16';
+        document.getElementById('render-background').value = project?.render_background || 'blur';
+        updateRenderBackgroundState();
+    });
+    
+    // Cover / hook message (saved per project, empty = auto)
+    renderCoverOptions(project);
+    loadRenderHistory();
+    
+    // Keep showing progress if a render from this session is still running
+    if (!activeRenderJobId) document.getElementById('render-progress').style.display = 'none';
+    
     // Show modal
     modal.classList.remove('hidden');
 }
 
 function updateRenderPartsSuggestion(total) {
     const partsDiv = document.getElementById('render-range-parts');
-    const dialoguesPerPart = 15;
+    const dialoguesPerPart = BATCH_PART_SIZE;
     const numParts = Math.ceil(total / dialoguesPerPart);
     
+    document.getElementById('btn-render-parts').style.display = numParts > 1 ? '' : 'none';
+    
     if (numParts <= 1) {
         partsDiv.innerHTML = '✅ สามารถ Render เป็นคลิปเดียวได้';
         return;
@@ -523,6 +540,163 @@ function updateRenderPartsSuggestion(total) {
     partsDiv.innerHTML = html;
 }
 
+// ===================================
+// Render Presets (9:16 / 1:1 / 4:5 / 16:9)
+// ===================================
+let renderPresetsLoaded = false;
+
+async function loadRenderPresets() {
+    if (renderPresetsLoaded) return;
+    try {
+        const res = await fetch(`${API_BASE}/render/presets`);
+        const data = await res.json();
+        document.getElementById('render-preset').innerHTML = data.presets
+            .map(p => `<option value="${p.id}">${p.label}</option>`)
+            .join('');
+        renderPresetsLoaded = true;
+    } catch (err) {
+        console.warn('Failed to load render presets:', err);
+    }
+}
+
+// 9:16 fills the whole frame - there's no background to choose
+function updateRenderBackgroundState() {
+    const isFullFrame = document.getElementById('render-preset').value === '9:16';
+    document.getElementById('render-background').disabled = isFullFrame;
+}
+
+// GIF/WebP preview: null when off, range clamped into the part being rendered
+function getPreviewSettings(startDialogue, endDialogue) {
+    const format = document.getElementById('render-preview-format').value;
+    if (!format) return null;
+    const start = Math.min(Math.max(parseInt(document.getElementById('render-preview-start').value) || startDialogue, startDialogue), endDialogue);
+    const end = Math.min(Math.max(parseInt(document.getElementById('render-preview-end').value) || start + 4, start), endDialogue);
+    return { format, start, end };
+}
+
+// ===================================
+// Past Renders (render manifests)
+// ===================================
+async function loadRenderHistory() {
+    const list = document.getElementById('render-history');
+    const count = document.getElementById('render-history-count');
+    try {
+        const res = await fetch(`${API_BASE}/projects/${currentProject}/renders`);
+        const renders = await res.json();
+        if (!res.ok) throw new Error(renders.error);
+        
+        count.textContent = renders.length ? `(${renders.length})` : '';
+        if (renders.length === 0) {
+            list.innerHTML = '<p style="color: var(--text-gray); text-align: center;">ยังไม่มี Render</p>';
+            return;
+        }
+        list.innerHTML = renders.map(r => {
+            const range = r.dialogueRange ? `#${r.dialogueRange.start}-#${r.dialogueRange.end}` : 'ทั้งเรื่อง';
+            const details = [
+                new Date(r.createdAt).toLocaleString('th-TH'),
+                r.part ? `Part ${r.part.number}/${r.part.total}` : range,
+                r.quality === 'draft' ? '⚡ Draft' : r.preset,
+                `${(r.duration || 0).toFixed(1)}s`,
+                r.lufs !== null ? `${r.lufs.toFixed(1)} LUFS` : null
+            ].filter(Boolean).join(' · ');
+            return `
+                <div style="display: flex; align-items: center; gap: 8px; padding: 6px 4px; border-bottom: 1px solid var(--border);">
+                    <div style="flex: 1; min-width: 0;">
+                        <div style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap;" title="${r.video}">${r.video}</div>
+                        <div style="color: var(--text-gray); font-size: 0.75rem;">${details}${r.changed ? ' · <span style="color: #f59e0b;">✏️ แก้ Story หลัง Render</span>' : ''}</div>
+                    </div>
+                    ${r.videoUrl ? `<a href="${r.videoUrl}" target="_blank" class="btn-secondary" style="padding: 4px 10px; text-decoration: none;" title="เปิดวิดีโอ">▶</a>` : ''}
+                    <button class="btn-secondary btn-rerender" data-manifest="${r.manifestFile}" style="padding: 4px 10px;"
+                        title="Render ใหม่ด้วย setting เดิมทุกอย่าง">🔁</button>
+                </div>`;
+        }).join('');
+    } catch (err) {
+        count.textContent = '';
+        list.innerHTML = `<p style="color: var(--text-gray); text-align: center;">โหลดไม่สำเร็จ: ${err.message}</p>`;
+    }
+}
+
+async function rerenderFromManifest(manifestFile) {
+    try {
+        const res = await fetch(`${API_BASE}/projects/${currentProject}/renders/${encodeURIComponent(manifestFile)}/rerender`, { method: 'POST' });
+        const data = await res.json();
+        if (!data.success) {
+            showToast('❌ Re-render ล้มเหลว: ' + data.error, 'error');
+            return;
+        }
+        showToast(`🔁 เข้าคิว Re-render แล้ว (Job #${data.jobId})`, 'success');
+        followRenderJob(data.jobId, 're-render');
+    } catch (err) {
+        showToast('❌ Network Error', 'error');
+    }
+}
+
+// ===================================
+// Cover + Hook Frame
+// ===================================
+function renderCoverOptions(project) {
+    const fill = (selectId, autoLabel, selectedId) => {
+        const select = document.getElementById(selectId);
+        select.innerHTML = '';
+        select.add(new Option(autoLabel, ''));
+        currentDialogues.forEach((d, i) => {
+            if (d.sender === 'time_divider' || d.kind === 'reaction' || !(d.message || '').trim()) return;
+            const text = d.message.length > 30 ? d.message.substring(0, 30) + '…' : d.message;
+            select.add(new Option(`#${i + 1}: ${text}`, d.id));
+        });
+        select.value = selectedId && currentDialogues.some(d => d.id === selectedId) ? selectedId : '';
+    };
+    fill('render-cover-message', '✨ Auto (ดราม่าที่สุด)', project?.cover_dialogue_id);
+    fill('render-hook-message', '✨ Same as Cover', project?.hook_dialogue_id);
+    document.getElementById('render-cover-preview').innerHTML = '';
+}
+
+function getCoverSelection() {
+    return {
+        coverDialogueId: document.getElementById('render-cover-message').value || null,
+        hookDialogueId: document.getElementById('render-hook-message').value || null
+    };
+}
+
+// Export cover PNGs without rendering the video (uses the range in the modal)
+async function exportCoversNow() {
+    const btn = document.getElementById('btn-export-covers');
+    btn.disabled = true;
+    btn.textContent = '⏳ Exporting...';
+    
+    try {
+        const res = await fetch(`${API_BASE}/projects/${currentProject}/covers`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                ...getCoverSelection(),
+                preview: getPreviewSettings(startDialogue, endDialogue),
+                dialogueRange: {
+                    start: parseInt(document.getElementById('render-start').value) || 1,
+                    end: parseInt(document.getElementById('render-end').value) || currentDialogues.length
+                }
+            })
+        });
+        const data = await res.json();
+        
+        if (data.success) {
+            const preview = document.getElementById('render-cover-preview');
+            preview.innerHTML = [data.cover, data.hook].filter(Boolean)
+                .map(url => `<a href="${url}" target="_blank"><img src="${url}" style="height: 96px; border-radius: 6px; border: 1px solid var(--border);"></a>`)
+                .join('');
+            showToast('🖼️ Export Cover แล้ว (output/03_Drafts)', 'success');
+            loadProjects(); // selection is saved on the project
+        } else {
+            showToast('❌ Export Cover ล้มเหลว: ' + data.error, 'error');
+        }
+    } catch (err) {
+        showToast('❌ Network Error', 'error');
+    } finally {
+        btn.disabled = false;
+        btn.textContent = '🖼️ Export Cover Now';
+    }
+}
+
 async function executeRender(startDialogue, endDialogue) {
     const modal = document.getElementById('modal-render-range');
     const btn = document.getElementById('btn-render-range');
@@ -534,6 +708,9 @@ async function executeRender(startDialogue, endDialogue) {
     
     // Get audio settings
     const audioSettings = getAudioSettings();
+    if (document.getElementById('render-beat-sync').checked && !audioSettings.bgMusicPath) {
+        showToast('🥁 Beat Sync ต้องมี BGM - คลิปนี้จะใช้จังหวะปกติ', 'warning');
+    }
     
     try {
         const res = await fetch(`${API_BASE}/render/${currentProject}`, { 
@@ -541,6 +718,13 @@ async function executeRender(startDialogue, endDialogue) {
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
                 ...audioSettings,
+                preset: document.getElementById('render-preset').value,
+                background: document.getElementById('render-background').value,
+                burnCaptions: document.getElementById('render-burn-captions').checked,
+                narration: document.getElementById('render-narration').checked,
+                beatSync: document.getElementById('render-beat-sync').checked,
+                quality: document.getElementById('render-draft').checked ? 'draft' : 'final',
+                ...getCoverSelection(),
                 dialogueRange: {
                     start: startDialogue,
                     end: endDialogue
@@ -550,10 +734,10 @@ async function executeRender(startDialogue, endDialogue) {
         const data = await res.json();
         
         if (data.success) {
-            const filename = data.videoPath.split('/').pop().split('\\').pop();
-            showToast(`🎬 Render สำเร็จ! ${filename} (Part: #${startDialogue}-#${endDialogue})`, 'success');
+            // Render runs in the background queue - stream its progress into the modal
+            showToast(`📥 เข้าคิว Render แล้ว (Job #${data.jobId}, Part: #${startDialogue}-#${endDialogue})`, 'success');
             loadProjects();
-            modal.classList.add('hidden');
+            followRenderJob(data.jobId, `#${startDialogue}-#${endDialogue}`);
         } else {
             showToast('❌ Render ล้มเหลว: ' + data.error, 'error');
         }
@@ -566,16 +750,279 @@ async function executeRender(startDialogue, endDialogue) {
     }
 }
 
+// ===================================
+// Batch Render (several stories / every part)
+// ===================================
+const BATCH_PART_SIZE = 15; // same split as updateRenderPartsSuggestion()
+let batchJobs = [];
+let batchPollTimer = null;
+
+function openBatchRenderModal() {
+    const list = document.getElementById('batch-project-list');
+    list.innerHTML = projects.map(p => `
+        <label style="display: flex; align-items: center; gap: 8px; padding: 6px 4px; cursor: pointer;">
+            <input type="checkbox" class="batch-project" value="${p.id}" ${p.id === currentProject ? 'checked' : ''}>
+            <span>${p.title}</span>
+        </label>
+    `).join('');
+    if (!batchPollTimer) document.getElementById('batch-job-list').style.display = 'none';
+    document.getElementById('modal-batch-render').classList.remove('hidden');
+}
+
+async function startBatchRender(body) {
+    const btn = document.getElementById('btn-start-batch');
+    btn.disabled = true;
+    
+    try {
+        const res = await fetch(`${API_BASE}/render/batch`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...getAudioSettings(), ...body })
+        });
+        const data = await res.json();
+        
+        if (data.success) {
+            showToast(`📥 เข้าคิว Render ${data.jobs.length} คลิปแล้ว`, 'success');
+            batchJobs = data.jobs.map(job => ({ ...job, status: 'QUEUED', progress: 0 }));
+            document.getElementById('modal-batch-render').classList.remove('hidden');
+            renderBatchJobList();
+            pollBatchJobs();
+            loadProjects();
+        } else {
+            showToast('❌ Batch Render ล้มเหลว: ' + data.error, 'error');
+        }
+    } catch (err) {
+        showToast('❌ Network Error', 'error');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+function renderBatchJobList() {
+    const el = document.getElementById('batch-job-list');
+    el.style.display = 'block';
+    const icons = { QUEUED: '⏳', RUNNING: '🎬', COMPLETED: '✅', FAILED: '❌', CANCELLED: '🛑', INTERRUPTED: '⚠️' };
+    el.innerHTML = batchJobs.map(job => {
+        const part = job.part ? ` - Part ${job.part.number}/${job.part.total}` : '';
+        const percent = job.status === 'RUNNING' ? ` ${Math.round((job.progress || 0) * 100)}%` : '';
+        return `<div style="padding: 3px 0;">${icons[job.status] || '•'} #${job.jobId} ${job.title}${part}: ${job.status}${percent}</div>`;
+    }).join('');
+}
+
+// Renders run one at a time, so polling every few seconds is plenty
+function pollBatchJobs() {
+    clearTimeout(batchPollTimer);
+    batchPollTimer = setTimeout(async () => {
+        batchPollTimer = null;
+        try {
+            await Promise.all(batchJobs.map(async (job) => {
+                if (['COMPLETED', 'FAILED', 'CANCELLED', 'INTERRUPTED'].includes(job.status)) return;
+                const res = await fetch(`${API_BASE}/render/jobs/${job.jobId}`);
+                const data = await res.json();
+                job.status = data.status;
+                job.progress = data.progress || 0;
+            }));
+        } catch (err) {
+            console.warn('Batch poll failed:', err);
+        }
+        renderBatchJobList();
+        
+        const remaining = batchJobs.filter(job => ['QUEUED', 'RUNNING'].includes(job.status)).length;
+        if (remaining > 0) {
+            pollBatchJobs();
+        } else {
+            const done = batchJobs.filter(job => job.status === 'COMPLETED').length;
+            showToast(`📚 Batch เสร็จแล้ว: ${done}/${batchJobs.length} คลิป`, done === batchJobs.length ? 'success' : 'warning');
+            loadProjects();
+        }
+    }, 2000);
+}
+
+// ===================================
+// Live Render Progress (SSE)
+// ===================================
+let activeRenderJobId = null;
+let renderEventSource = null;
+
+const RENDER_PHASE_LABELS = {
+    starting: '⏳ กำลังเตรียม...',
+    timeline: '🧮 คำนวณ Timeline...',
+    capture: '📸 จับภาพเฟรม',
+    assemble: '🎞️ รวมวิดีโอ (ffmpeg)',
+    normalize: '🎚️ ปรับความดังเสียง (LUFS)',
+    done: '✅ เสร็จแล้ว'
+};
+
+function formatEta(seconds) {
+    if (!isFinite(seconds) || seconds < 0) return '';
+    const m = Math.floor(seconds / 60);
+    const s = Math.round(seconds % 60);
+    return m > 0 ? `เหลือ ~${m} นาที ${s} วิ` : `เหลือ ~${s} วิ`;
+}
+
+function setRenderProgress({ progress = 0, label = '', detail = '', eta = '' }) {
+    document.getElementById('render-progress').style.display = 'block';
+    document.getElementById('render-progress-bar').style.width = `${Math.round(progress * 100)}%`;
+    document.getElementById('render-progress-percent').textContent = `${Math.round(progress * 100)}%`;
+    document.getElementById('render-progress-phase').textContent = label;
+    document.getElementById('render-progress-detail').textContent = detail;
+    document.getElementById('render-progress-eta').textContent = eta;
+}
+
+function describeRenderProgress(evt) {
+    switch (evt.phase) {
+        case 'capture':
+            return `เฟรม ${evt.frame} / ${evt.totalFrames}`;
+        case 'assemble':
+            return `ffmpeg: ${(evt.seconds || 0).toFixed(1)}s / ${(evt.totalDuration || 0).toFixed(1)}s`;
+        case 'normalize':
+            if (evt.done && evt.lufs !== null && evt.lufs !== undefined) return `Final: ${evt.lufs.toFixed(1)} LUFS`;
+            if (evt.inputLufs !== undefined) return `Input: ${evt.inputLufs.toFixed(1)} LUFS → -14 LUFS`;
+            return 'Pass 1: วัดความดัง...';
+        default:
+            return '';
+    }
+}
+
+function followRenderJob(jobId, partLabel) {
+    if (renderEventSource) renderEventSource.close();
+    activeRenderJobId = jobId;
+    
+    document.getElementById('btn-render-range').disabled = true;
+    document.getElementById('btn-render-all').disabled = true;
+    setRenderProgress({ label: `📥 Job #${jobId} อยู่ในคิว...` });
+    
+    const source = new EventSource(`${API_BASE}/render/jobs/${jobId}/events`);
+    renderEventSource = source;
+    
+    const finish = (job) => {
+        source.close();
+        renderEventSource = null;
+        activeRenderJobId = null;
+        document.getElementById('btn-render-range').disabled = false;
+        document.getElementById('btn-render-all').disabled = false;
+        loadProjects();
+        loadRenderHistory();
+        
+        if (job.status === 'COMPLETED') {
+            const filename = (job.output_path || '').split('/').pop().split('\\').pop();
+            setRenderProgress({ progress: 1, label: RENDER_PHASE_LABELS.done, detail: filename });
+            showToast(`🎬 Render สำเร็จ! ${filename} (Part: ${partLabel})`, 'success');
+        } else if (job.status === 'CANCELLED') {
+            setRenderProgress({ progress: 0, label: '🛑 ยกเลิกแล้ว' });
+            showToast(`🛑 ยกเลิก Render แล้ว (Job #${jobId})`, 'info');
+        } else {
+            setRenderProgress({ progress: 0, label: `❌ ${job.status}`, detail: job.error || '' });
+            showToast('❌ Render ล้มเหลว: ' + (job.error || job.status), 'error');
+        }
+    };
+    
+    source.addEventListener('snapshot', (e) => {
+        const job = JSON.parse(e.data);
+        if (['COMPLETED', 'FAILED', 'CANCELLED', 'INTERRUPTED'].includes(job.status)) return finish(job);
+        if (job.status === 'QUEUED') {
+            setRenderProgress({ label: `📥 Job #${jobId} รอคิว (ลำดับที่ ${job.queue_position || '?'})` });
+        }
+    });
+    
+    source.addEventListener('status', (e) => {
+        const evt = JSON.parse(e.data);
+        if (evt.status === 'RUNNING') setRenderProgress({ label: RENDER_PHASE_LABELS.starting });
+        else if (evt.status !== 'QUEUED') finish(evt);
+    });
+    
+    source.addEventListener('progress', (e) => {
+        const evt = JSON.parse(e.data);
+        const eta = evt.progress > 0.02 ? formatEta(evt.elapsed * (1 - evt.progress) / evt.progress) : '';
+        setRenderProgress({
+            progress: evt.progress,
+            label: RENDER_PHASE_LABELS[evt.phase] || evt.phase,
+            detail: describeRenderProgress(evt),
+            eta
+        });
+    });
+    
+    source.onerror = () => {
+        // EventSource reconnects by itself; only give up once the stream is closed for good
+        if (source.readyState === EventSource.CLOSED) {
+            renderEventSource = null;
+            showToast('⚠️ ขาดการเชื่อมต่อกับ Render progress', 'warning');
+        }
+    };
+}
+
+async function cancelActiveRender() {
+    if (!activeRenderJobId) return;
+    const btn = document.getElementById('btn-cancel-render-job');
+    btn.disabled = true;
+    try {
+        const res = await fetch(`${API_BASE}/render/jobs/${activeRenderJobId}/cancel`, { method: 'POST' });
+        const data = await res.json();
+        if (!data.success) showToast('❌ ยกเลิกไม่ได้: ' + data.error, 'error');
+    } catch (err) {
+        showToast('❌ Network Error', 'error');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
 // Event listeners for Render Range Modal
 document.addEventListener('click', (e) => {
     if (e.target.id === 'btn-cancel-render-range') {
         document.getElementById('modal-render-range').classList.add('hidden');
     }
     
+    if (e.target.id === 'btn-cancel-render-job') {
+        cancelActiveRender();
+    }
+    
+    if (e.target.classList.contains('btn-rerender')) {
+        rerenderFromManifest(e.target.dataset.manifest);
+    }
+    
     if (e.target.id === 'btn-render-all') {
         executeRender(1, currentDialogues.length);
     }
     
+    if (e.target.id === 'btn-render-parts') {
+        document.getElementById('modal-render-range').classList.add('hidden');
+        startBatchRender({
+            projectIds: [currentProject],
+            splitParts: true,
+            partSize: BATCH_PART_SIZE,
+            preset: document.getElementById('render-preset').value,
+            background: document.getElementById('render-background').value,
+            burnCaptions: document.getElementById('render-burn-captions').checked,
+            narration: document.getElementById('render-narration').checked,
+            beatSync: document.getElementById('render-beat-sync').checked,
+            quality: document.getElementById('render-draft').checked ? 'draft' : 'final'
+        });
+    }
+    
+    if (e.target.id === 'btn-batch-render') {
+        e.preventDefault();
+        openBatchRenderModal();
+    }
+    
+    if (e.target.id === 'btn-cancel-batch') {
+        document.getElementById('modal-batch-render').classList.add('hidden');
+    }
+    
+    if (e.target.id === 'btn-start-batch') {
+        const projectIds = Array.from(document.querySelectorAll('.batch-project:checked')).map(el => parseInt(el.value));
+        if (projectIds.length === 0) {
+            showToast('เลือก Story อย่างน้อย 1 เรื่อง', 'error');
+            return;
+        }
+        startBatchRender({
+            projectIds,
+            splitParts: document.getElementById('batch-split-parts').checked,
+            partSize: parseInt(document.getElementById('batch-part-size').value) || BATCH_PART_SIZE,
+            burnCaptions: document.getElementById('batch-burn-captions').checked,
+            narration: document.getElementById('batch-narration').checked
+        });
+    }
+    
     if (e.target.id === 'btn-render-range') {
         const start = parseInt(document.getElementById('render-start').value);
         const end = parseInt(document.getElementById('render-end').value);
@@ -596,6 +1043,7 @@ document.getElementById('render-start')?.addEventListener('change', () => {
 document.getElementById('render-end')?.addEventListener('change', () => {
     updateRenderPartsSuggestion(currentDialogues.length);
 });
+document.getElementById('render-preset')?.addEventListener('change', updateRenderBackgroundState);
 
 // ===================================
 // Export JSON (Data Backup)
@@ -1059,6 +1507,345 @@ async function updateReaction(input, index, id) {
     }
 }
 
+// Hesitation bursts "typing/pause, ..." (visualizer/hesitation.js); '' clears them
+async function updateHesitation(input, index, id) {
+    const bursts = Hesitation.normalize(input.value);
+    if (!bursts) {
+        showToast(`❌ รูปแบบไม่ถูกต้อง ใช้ "พิมพ์/หยุด" เช่น 1.2/0.8, 0.6/0.5 (สูงสุด ${Hesitation.MAX_BURSTS} ช่วง)`, 'error');
+        input.value = Hesitation.format(currentDialogues[index].hesitation);
+        return;
+    }
+
+    try {
+        const res = await fetch(`${API_BASE}/projects/${currentProject}/dialogues/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ hesitation: bursts })
+        });
+        if (!res.ok) throw new Error((await res.json()).error);
+
+        // A 'typing' row falls back to the default burst when cleared (same rule as the server)
+        const saved = !bursts.length && Hesitation.isGhostTyping(currentDialogues[index]) ? Hesitation.DEFAULT_BURSTS : bursts;
+        currentDialogues[index].hesitation = JSON.stringify(saved);
+        input.value = Hesitation.format(currentDialogues[index].hesitation);
+        input.style.color = input.value ? 'white' : 'var(--text-gray)';
+        elPreviewFrame.src = `/visualizer/index.html?projectId=${currentProject}&t=${Date.now()}&startAt=${index}`;
+    } catch (err) {
+        console.error('Failed to save hesitation:', err);
+        showToast('❌ บันทึก Hesitation ไม่สำเร็จ', 'error');
+    }
+}
+
+// Hesitation input (dialogue-meta)
+function renderHesitationControl(d, index) {
+    const value = Hesitation.format(d.hesitation);
+    return `
+                    <div class="hesitation-control" style="display:inline-flex; align-items:center; gap:5px; margin-left:10px;">
+                        <span style="font-size:0.8rem; color:var(--text-gray);" title="Hesitation: พิมพ์แล้วหยุด (พิมพ์/หยุด, ...) ก่อนพิมพ์จริง">🤔</span>
+                        <input type="text" class="hesitation-input" placeholder="1.2/0.8"
+                            value="${value}"
+                            onchange="updateHesitation(this, ${index}, ${d.id})"
+                            style="width:80px; padding:2px; border-radius:4px; border:1px solid var(--border); background:var(--bg-dark); color:${value ? 'white' : 'var(--text-gray)'}; font-size:0.8rem; text-align:center;">
+                    </div>`;
+}
+
+async function updateCameraEffect(select, index, id) {
+    const value = select.value || null;
+    currentDialogues[index].camera_effect = value;
+    select.style.color = value ? 'white' : 'var(--text-gray)';
+
+    try {
+        const res = await fetch(`${API_BASE}/projects/${currentProject}/dialogues/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ camera_effect: value })
+        });
+        if (!res.ok) throw new Error((await res.json()).error);
+
+        // Preview from this message so the effect plays right away
+        elPreviewFrame.src = `/visualizer/index.html?projectId=${currentProject}&t=${Date.now()}&startAt=${index}`;
+    } catch (err) {
+        console.error('Failed to save camera effect:', err);
+        showToast('❌ บันทึก Camera Effect ไม่สำเร็จ', 'error');
+    }
+}
+
+// <option> list for the per-dialogue camera select (effects come from visualizer/camera.js)
+function renderCameraOptions(selected) {
+    const effects = window.CameraEffects ? CameraEffects.EFFECTS : {};
+    return `<option value="">🎥 —</option>` + Object.entries(effects).map(([key, effect]) =>
+        `<option value="${key}" ${key === selected ? 'selected' : ''}>${effect.label}</option>`
+    ).join('');
+}
+
+async function updateReplyTo(select, index, id) {
+    const value = select.value ? parseInt(select.value) : null;
+    currentDialogues[index].reply_to_dialogue_id = value;
+    select.style.color = value ? 'white' : 'var(--text-gray)';
+
+    try {
+        const res = await fetch(`${API_BASE}/projects/${currentProject}/dialogues/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reply_to_dialogue_id: value })
+        });
+        if (!res.ok) throw new Error((await res.json()).error);
+
+        elPreviewFrame.src = `/visualizer/index.html?projectId=${currentProject}&t=${Date.now()}&startAt=${index}`;
+    } catch (err) {
+        console.error('Failed to save reply:', err);
+        showToast('❌ บันทึกการตอบกลับไม่สำเร็จ', 'error');
+    }
+}
+
+// Short label of a line for reply pickers / previews
+function replySnippet(d) {
+    if (VoiceNotes.isVoiceNote(d)) return `🎤 ${VoiceNotes.LABEL} ${VoiceNotes.formatDuration(d.audio_duration)}`;
+    if (!d.message && d.image_path) return '🖼️ รูปภาพ';
+    const text = (d.message || '').replace(/\s+/g, ' ');
+    return text.length > 30 ? text.slice(0, 30) + '…' : text;
+}
+
+// <option> list for the per-dialogue reply select: earlier lines (plus the saved target if it moved later)
+function renderReplyOptions(dialogues, index) {
+    const selected = dialogues[index].reply_to_dialogue_id;
+    return `<option value="">↩️ —</option>` + dialogues
+        .map((d, i) => ({ d, i }))
+        .filter(({ d, i }) => d.sender !== 'time_divider' && isBubbleRow(d) && (i < index || (d.id === selected && i !== index)))
+        .map(({ d, i }) => `<option value="${d.id}" ${d.id === selected ? 'selected' : ''}>#${i + 1} ${replySnippet(d).replace(/</g, '&lt;')}</option>`)
+        .join('');
+}
+
+// ===================================
+// Reactions / Unsend / Edit (visualizer/reactions.js, visualizer/bubble-edits.js)
+// ===================================
+
+// Plain chat bubble (not a reaction / unsend / edit row)
+function isBubbleRow(d) {
+    return !d.kind || d.kind === 'message' || VoiceNotes.isVoiceNote(d);
+}
+
+// New row right after dialogues[index]; the server fills in sender / message for unsend & edit
+async function insertRowAfter(index, body) {
+    const maxOrder = Math.max(0, ...currentDialogues.map(d => d.seq_order || 0));
+    const res = await fetch(`${API_BASE}/projects/${currentProject}/dialogues`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...body, order: maxOrder + 1 })
+    });
+    const data = await res.json();
+    if (!res.ok || !data.success) throw new Error(data.error);
+
+    // Move it under the target (same payload as drag & drop)
+    const ids = currentDialogues.map(d => d.id);
+    ids.splice(index + 1, 0, data.id);
+    await fetch(`${API_BASE}/projects/${currentProject}/reorder`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ updates: ids.map((id, i) => ({ id, seq_order: i + 1 })) })
+    });
+    selectProject(currentProject);
+}
+
+// Reaction from someone other than the line's sender
+async function addReaction(event, index, targetId) {
+    if (event) event.stopPropagation();
+    const target = currentDialogues[index];
+    const projectChars = Object.keys(window.currentProjectCharacters || {});
+    const sender = projectChars.find(key => key !== target.sender) || target.sender;
+
+    try {
+        await insertRowAfter(index, {
+            sender,
+            kind: 'reaction',
+            target_dialogue_id: targetId,
+            message: Reactions.DEFAULT_EMOJI
+        });
+    } catch (err) {
+        console.error('Failed to add reaction:', err);
+        showToast('❌ เพิ่ม Reaction ไม่สำเร็จ', 'error');
+    }
+}
+
+// Someone types after this line, stops and never sends
+async function addGhostTyping(event, index) {
+    if (event) event.stopPropagation();
+    const line = currentDialogues[index];
+    const projectChars = Object.keys(window.currentProjectCharacters || {});
+    const sender = projectChars.find(key => key !== line.sender) || projectChars[0] || line.sender;
+
+    try {
+        await insertRowAfter(index, { sender, kind: 'typing', hesitation: Hesitation.DEFAULT_BURSTS });
+    } catch (err) {
+        console.error('Failed to add typing row:', err);
+        showToast('❌ เพิ่ม "พิมพ์แล้วไม่ส่ง" ไม่สำเร็จ', 'error');
+    }
+}
+
+// Unsend / edit by the line's own sender
+async function addBubbleEdit(event, index, targetId, kind) {
+    if (event) event.stopPropagation();
+    try {
+        await insertRowAfter(index, { kind, target_dialogue_id: targetId });
+    } catch (err) {
+        console.error(`Failed to add ${kind}:`, err);
+        showToast(`❌ เพิ่ม ${BubbleEdits.KINDS[kind].label} ไม่สำเร็จ`, 'error');
+    }
+}
+
+// <option> list of bubbles a reaction / unsend / edit row can target: earlier lines (plus its saved target)
+function renderTargetOptions(dialogues, index) {
+    const d = dialogues[index];
+    return (d.target_dialogue_id ? '' : '<option value="">⚠️ เลือกข้อความ</option>') + dialogues
+        .map((t, i) => ({ t, i }))
+        .filter(({ t, i }) => t.sender !== 'time_divider' && isBubbleRow(t) && (i < index || t.id === d.target_dialogue_id))
+        .filter(({ t }) => d.kind !== 'edit' || !VoiceNotes.isVoiceNote(t) || t.id === d.target_dialogue_id) // a voice note has no text to edit
+        .map(({ t, i }) => `<option value="${t.id}" ${t.id === d.target_dialogue_id ? 'selected' : ''}>#${i + 1} ${replySnippet(t).replace(/</g, '&lt;')}</option>`)
+        .join('');
+}
+
+// Emoji / new text / target of a reaction, unsend or edit row
+async function updateTargetedField(select, index, id, field) {
+    const value = field === 'target_dialogue_id' ? parseInt(select.value) : select.value;
+    currentDialogues[index][field] = value;
+
+    try {
+        const res = await fetch(`${API_BASE}/projects/${currentProject}/dialogues/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ [field]: value })
+        });
+        if (!res.ok) throw new Error((await res.json()).error);
+
+        // Unsend / edit take the sender of their new target (server side) - redraw the row
+        if (field === 'target_dialogue_id' && BubbleEdits.isBubbleEdit(currentDialogues[index])) {
+            await selectProject(currentProject);
+        }
+        elPreviewFrame.src = `/visualizer/index.html?projectId=${currentProject}&t=${Date.now()}&startAt=${index}`;
+    } catch (err) {
+        console.error('Failed to save reaction / edit:', err);
+        showToast('❌ บันทึกไม่สำเร็จ', 'error');
+    }
+}
+
+// Compact row for a reaction: who reacted, which emoji, on which earlier line
+function renderReactionRow(d, index, dialogues, char, avatarSrc, reactionValue) {
+    const emojiOptions = Object.values(Reactions.EMOJIS).map(e =>
+        `<option value="${e.emoji}" ${e.emoji === d.message ? 'selected' : ''}>${e.emoji} ${e.label}</option>`
+    ).join('');
+    const selectStyle = 'padding:2px; border-radius:4px; border:1px solid var(--border); background:var(--bg-dark); color:white; font-size:0.8rem;';
+
+    return `
+        <div class="dialogue-item reaction-item" data-id="${d.id}" draggable="true">
+            <div class="drag-handle" style="display:flex;align-items:center;padding-right:10px;cursor:grab;opacity:0.5;">
+                ⋮⋮
+            </div>
+            <div class="dialogue-avatar" onclick="toggleSender(${index}, ${d.id})" style="cursor: pointer; border: 2px solid transparent; transition: border 0.2s;" title="Click to Switch Character">
+                <img src="${avatarSrc}" onerror="this.src='https://placehold.co/40'">
+            </div>
+            <div class="dialogue-content">
+                <div class="dialogue-header">
+                    <strong>${char.name} <span style="font-weight:normal; color:var(--text-gray);">กด Reaction</span></strong>
+                    <div class="dialogue-controls">
+                        <span class="seq-number">#${index + 1}</span>
+                        <button onclick="playFrom(event, ${index})" class="btn-icon" title="Play from here">▶</button>
+                        <button onclick="deleteDialogue(event, ${d.id})" class="btn-icon text-red" title="Delete">🗑️</button>
+                    </div>
+                </div>
+                <div class="dialogue-meta">
+                    <select title="Emoji" onchange="updateTargetedField(this, ${index}, ${d.id}, 'message')" style="${selectStyle}">
+                        ${emojiOptions}
+                    </select>
+                    <select title="Reaction นี้ไปติดที่ข้อความไหน" onchange="updateTargetedField(this, ${index}, ${d.id}, 'target_dialogue_id')" style="max-width:180px; margin-left:10px; ${selectStyle}">
+                        ${renderTargetOptions(dialogues, index)}
+                    </select>
+                    <div class="reaction-control" style="display:inline-flex; align-items:center; gap:5px; margin-left:10px;">
+                        <span style="font-size:0.8rem; color:var(--text-gray);" title="Reaction Time (Silent Gap)">⏱️</span>
+                        <input type="number" step="0.1" class="reaction-input" 
+                            value="${reactionValue}" 
+                            onchange="updateReaction(this, ${index}, ${d.id})"
+                            style="width:50px; padding:2px; border-radius:4px; border:1px solid var(--border); background:var(--bg-dark); color:white; font-size:0.8rem; text-align:center;">
+                    </div>
+                </div>
+            </div>
+        </div>`;
+}
+
+// Compact row for unsend / edit: the author changes one of their earlier bubbles
+function renderBubbleEditRow(d, index, dialogues, char, avatarSrc, reactionValue) {
+    const kind = BubbleEdits.KINDS[d.kind];
+    const selectStyle = 'padding:2px; border-radius:4px; border:1px solid var(--border); background:var(--bg-dark); color:white; font-size:0.8rem;';
+
+    return `
+        <div class="dialogue-item bubble-edit-item" data-id="${d.id}" draggable="true">
+            <div class="drag-handle" style="display:flex;align-items:center;padding-right:10px;cursor:grab;opacity:0.5;">
+                ⋮⋮
+            </div>
+            <div class="dialogue-avatar" title="คนเดียวกับเจ้าของข้อความ">
+                <img src="${avatarSrc}" onerror="this.src='https://placehold.co/40'">
+            </div>
+            <div class="dialogue-content">
+                <div class="dialogue-header">
+                    <strong>${char.name} <span style="font-weight:normal; color:var(--text-gray);">${kind.label}</span></strong>
+                    <div class="dialogue-controls">
+                        <span class="seq-number">#${index + 1}</span>
+                        <button onclick="playFrom(event, ${index})" class="btn-icon" title="Play from here">▶</button>
+                        <button onclick="deleteDialogue(event, ${d.id})" class="btn-icon text-red" title="Delete">🗑️</button>
+                    </div>
+                </div>
+                ${d.kind === 'edit' ? `
+                <textarea class="dialogue-input" rows="1" 
+                    oninput="autoResize(this)" placeholder="ข้อความใหม่..."
+                    onchange="updateTargetedField(this, ${index}, ${d.id}, 'message')">${d.message || ''}</textarea>` : ''}
+                <div class="dialogue-meta">
+                    <select title="ข้อความที่ถูก${d.kind === 'edit' ? 'แก้ไข' : 'ยกเลิก'}" onchange="updateTargetedField(this, ${index}, ${d.id}, 'target_dialogue_id')" style="max-width:180px; ${selectStyle}">
+                        ${renderTargetOptions(dialogues, index)}
+                    </select>
+                    <div class="reaction-control" style="display:inline-flex; align-items:center; gap:5px; margin-left:10px;">
+                        <span style="font-size:0.8rem; color:var(--text-gray);" title="Reaction Time (Silent Gap)">⏱️</span>
+                        <input type="number" step="0.1" class="reaction-input" 
+                            value="${reactionValue}" 
+                            onchange="updateReaction(this, ${index}, ${d.id})"
+                            style="width:50px; padding:2px; border-radius:4px; border:1px solid var(--border); background:var(--bg-dark); color:white; font-size:0.8rem; text-align:center;">
+                    </div>
+                </div>
+            </div>
+        </div>`;
+}
+
+// Compact row for a 'typing' row: typing bursts only, the message never arrives
+function renderGhostTypingRow(d, index, char, avatarSrc, reactionValue) {
+    return `
+        <div class="dialogue-item ghost-typing-item" data-id="${d.id}" draggable="true">
+            <div class="drag-handle" style="display:flex;align-items:center;padding-right:10px;cursor:grab;opacity:0.5;">
+                ⋮⋮
+            </div>
+            <div class="dialogue-avatar" onclick="toggleSender(${index}, ${d.id})" style="cursor: pointer; border: 2px solid transparent; transition: border 0.2s;" title="Click to Switch Character">
+                <img src="${avatarSrc}" onerror="this.src='https://placehold.co/40'">
+            </div>
+            <div class="dialogue-content">
+                <div class="dialogue-header">
+                    <strong>${char.name} <span style="font-weight:normal; color:var(--text-gray);">⌨️ พิมพ์... แล้วไม่ส่ง</span></strong>
+                    <div class="dialogue-controls">
+                        <span class="seq-number">#${index + 1}</span>
+                        <button onclick="playFrom(event, ${index})" class="btn-icon" title="Play from here">▶</button>
+                        <button onclick="deleteDialogue(event, ${d.id})" class="btn-icon text-red" title="Delete">🗑️</button>
+                    </div>
+                </div>
+                <div class="dialogue-meta">
+                    <div class="reaction-control" style="display:inline-flex; align-items:center; gap:5px;">
+                        <span style="font-size:0.8rem; color:var(--text-gray);" title="Reaction Time (Silent Gap)">⏱️</span>
+                        <input type="number" step="0.1" class="reaction-input" 
+                            value="${reactionValue}" 
+                            onchange="updateReaction(this, ${index}, ${d.id})"
+                            style="width:50px; padding:2px; border-radius:4px; border:1px solid var(--border); background:var(--bg-dark); color:white; font-size:0.8rem; text-align:center;">
+                    </div>
+                    ${renderHesitationControl(d, index)}
+                </div>
+            </div>
+        </div>`;
+}
+
 async function resetToAutoDelay(index, id) {
     const message = currentDialogues[index].message;
     const autoDelay = calculateAutoDelay(message);
@@ -1122,6 +1909,10 @@ function renderDialogues(dialogues, characters) {
         const delayValue = d.delay || calculateAutoDelay(d.message);
         const reactionValue = d.reaction_delay !== undefined ? d.reaction_delay : (window.TIMING_CONFIG?.DEFAULT_REACTION_DELAY || 0.8);
         
+        if (d.kind === 'reaction') return renderReactionRow(d, index, dialogues, char, avatarSrc, reactionValue);
+        if (BubbleEdits.isBubbleEdit(d)) return renderBubbleEditRow(d, index, dialogues, char, avatarSrc, reactionValue);
+        if (Hesitation.isGhostTyping(d)) return renderGhostTypingRow(d, index, char, avatarSrc, reactionValue);
+        
         return `
         <div class="dialogue-item" data-id="${d.id}" draggable="true">
             <div class="drag-handle" style="display:flex;align-items:center;padding-right:10px;cursor:grab;opacity:0.5;">
@@ -1138,6 +1929,16 @@ function renderDialogues(dialogues, characters) {
                         <label class="btn-icon" title="Attach Image" style="cursor: pointer;">
                             🖼️ <input type="file" accept="image/*" style="display:none" onchange="uploadDialogueImage(this, ${index}, ${d.id})">
                         </label>
+                        ${d.sender !== 'time_divider' ? `
+                        <label class="btn-icon" title="ข้อความเสียง: อัปโหลดไฟล์เสียง" style="cursor: pointer;">
+                            🎤 <input type="file" accept="audio/*" style="display:none" onchange="uploadDialogueVoice(this, ${index}, ${d.id})">
+                        </label>
+                        <button onclick="recordDialogueVoice(event, ${index}, ${d.id})" class="btn-icon" title="ข้อความเสียง: อัดเสียง (กดอีกครั้งเพื่อหยุด)">⏺️</button>
+                        <button onclick="voiceNoteFromTTS(event, ${index}, ${d.id})" class="btn-icon" title="ข้อความเสียง: สร้างเสียงพูดจากข้อความ (TTS เสียงของตัวละคร)">🗣️</button>
+                        <button onclick="addReaction(event, ${index}, ${d.id})" class="btn-icon" title="เพิ่ม Emoji Reaction ให้ข้อความนี้">😀</button>
+                        <button onclick="addBubbleEdit(event, ${index}, ${d.id}, 'unsend')" class="btn-icon" title="ยกเลิกการส่งข้อความนี้ (ภายหลัง)">🚫</button>
+                        ${VoiceNotes.isVoiceNote(d) ? '' : `<button onclick="addBubbleEdit(event, ${index}, ${d.id}, 'edit')" class="btn-icon" title="แก้ไขข้อความนี้ (ภายหลัง)">✏️</button>`}
+                        <button onclick="addGhostTyping(event, ${index})" class="btn-icon" title="อีกฝ่ายพิมพ์... แล้วหยุด ไม่ส่ง (ต่อจากข้อความนี้)">⌨️</button>` : ''}
                         <button onclick="playFrom(event, ${index})" class="btn-icon" title="Play from here">▶</button>
                         <button onclick="deleteDialogue(event, ${d.id})" class="btn-icon text-red" title="Delete">🗑️</button>
                     </div>
@@ -1156,8 +1957,17 @@ function renderDialogues(dialogues, characters) {
                 </div>
                 ` : ''}
 
+                ${VoiceNotes.isVoiceNote(d) ? `
+                <div class="dialogue-attachment" style="margin-bottom: 5px; display: flex; align-items: center; gap: 6px;">
+                    <span title="${VoiceNotes.LABEL}">🎤</span>
+                    ${d.audio_path ? `<audio controls preload="none" src="/${d.audio_path}" style="height: 28px; max-width: 220px;"></audio>` : ''}
+                    <span style="font-size:0.8rem; color:var(--text-gray);">${VoiceNotes.formatDuration(d.audio_duration)}</span>
+                    <button onclick="removeDialogueVoice(${index}, ${d.id})" title="เปลี่ยนกลับเป็นข้อความธรรมดา" style="background: red; color: white; border: none; border-radius: 50%; width: 20px; height: 20px; font-size: 12px; cursor: pointer;">x</button>
+                </div>
+                ` : ''}
+
                 <textarea class="dialogue-input" rows="1" 
-                    oninput="autoResize(this)" placeholder="Type a message..."
+                    oninput="autoResize(this)" placeholder="${VoiceNotes.isVoiceNote(d) ? 'คำพูดในข้อความเสียง (ใช้ทำ TTS / ซับไตเติล)...' : 'Type a message...'}"
                     onchange="updateDialogue(this, ${index}, ${d.id})">${d.message}</textarea>
                 <div class="dialogue-meta">
                     
@@ -1179,6 +1989,28 @@ function renderDialogues(dialogues, characters) {
                             style="width:50px; padding:2px; border-radius:4px; border:1px solid var(--border); background:var(--bg-dark); color:white; font-size:0.8rem; text-align:center;">
                         <button class="btn-icon" onclick="resetToAutoDelay(${index}, ${d.id})" title="Auto Calculate Reaction & Delay" style="font-size:0.7rem; padding:2px 5px;">🔄</button>
                     </div>
+
+                    <!-- Hesitation Control (typing that stops before the real typing) -->
+                    ${d.sender !== 'time_divider' ? renderHesitationControl(d, index) : ''}
+
+                    <!-- Camera Effect Control -->
+                    <div class="camera-control" style="display:inline-flex; align-items:center; gap:5px; margin-left:10px;">
+                        <select class="camera-select" title="Camera Effect (เล่นตอนข้อความนี้ขึ้น)"
+                            onchange="updateCameraEffect(this, ${index}, ${d.id})"
+                            style="padding:2px; border-radius:4px; border:1px solid var(--border); background:var(--bg-dark); color:${d.camera_effect ? 'white' : 'var(--text-gray)'}; font-size:0.8rem;">
+                            ${renderCameraOptions(d.camera_effect)}
+                        </select>
+                    </div>
+
+                    <!-- Reply / Quote Control -->
+                    ${d.sender !== 'time_divider' ? `
+                    <div class="reply-control" style="display:inline-flex; align-items:center; gap:5px; margin-left:10px;">
+                        <select class="reply-select" title="ตอบกลับ (quote) ข้อความก่อนหน้า"
+                            onchange="updateReplyTo(this, ${index}, ${d.id})"
+                            style="max-width:160px; padding:2px; border-radius:4px; border:1px solid var(--border); background:var(--bg-dark); color:${d.reply_to_dialogue_id ? 'white' : 'var(--text-gray)'}; font-size:0.8rem;">
+                            ${renderReplyOptions(dialogues, index)}
+                        </select>
+                    </div>` : ''}
                 </div>
             </div>
         </div>
@@ -1989,10 +2821,30 @@ function renderPreviewList(dialogues, nameMapping = {}) {
         } else if (d.sticker_keyword) {
              contentHtml += `<div class="preview-sticker-tag" style="font-size: 0.75rem; color: #ec4899; margin-top: 4px;">🧸 Sticker: ${d.sticker_keyword}</div>`;
         }
+
+        // Reply: quoted line from this batch or from the story
+        const quoted = d.reply_to_preview_index !== undefined
+            ? dialogues[d.reply_to_preview_index]
+            : (d.reply_to_dialogue_id ? (currentDialogues || []).find(x => x.id === d.reply_to_dialogue_id) : null);
+        const replyHtml = quoted
+            ? `<div class="preview-reply" style="font-size:0.75rem; color:var(--text-gray); border-left:2px solid var(--border); padding-left:6px; margin-bottom:3px;">↩️ ${replySnippet(quoted)}</div>`
+            : '';
+
+        // Unsend / edit beat: what it changes instead of a bubble
+        if (BubbleEdits.isBubbleEdit(d)) {
+            const target = d.target_preview_index !== undefined
+                ? dialogues[d.target_preview_index]
+                : (currentDialogues || []).find(x => x.id === d.target_dialogue_id);
+            const targetText = target ? replySnippet(target) : '?';
+            contentHtml = d.kind === 'unsend'
+                ? `<div class="preview-message" style="color:var(--text-gray); font-style:italic;">🚫 ยกเลิกข้อความ "${targetText}"</div>`
+                : `<div class="preview-message"><span style="color:var(--text-gray);">✏️ "${targetText}" →</span> ${d.message}</div>`;
+        }
         
         return `
         <div class="preview-dialogue-item" ${isLong ? 'style="border-left: 3px solid #f59e0b;"' : ''}>
             <div class="preview-sender" style="text-transform: capitalize;">${displayName}</div>
+            ${replyHtml}
             ${contentHtml}
         </div>
     `;
@@ -2070,14 +2922,18 @@ async function commitContinuation() {
             startOrder = Math.max(...currentDialogues.map(d => d.seq_order !== undefined ? d.seq_order : 0)) + 1;
         }
 
+        // Replies to lines of this batch point at a preview index until that line has a real id
+        const addedIds = [];
         for (let i = 0; i < previewDialogues.length; i++) {
             const d = previewDialogues[i];
             // Auto-calculate delay based on message length (Thai-friendly)
             const baseDelay = 1.0;
             const charCount = (d.message || '').length;
             const calculatedDelay = parseFloat((baseDelay + (charCount * 0.05)).toFixed(2));
+            const replyTo = d.reply_to_dialogue_id || (d.reply_to_preview_index !== undefined ? addedIds[d.reply_to_preview_index] : null);
+            const targetId = d.target_dialogue_id || (d.target_preview_index !== undefined ? addedIds[d.target_preview_index] : null);
             
-            await fetch(`${API_BASE}/projects/${currentProject}/dialogues`, {
+            const res = await fetch(`${API_BASE}/projects/${currentProject}/dialogues`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -2086,9 +2942,14 @@ async function commitContinuation() {
                     order: startOrder + i,
                     delay: calculatedDelay,
                     reaction_delay: window.TIMING_CONFIG?.DEFAULT_REACTION_DELAY || 0.8,
-                    image_path: d.image_path // IMPORTANT: Pass the image path!
+                    image_path: d.image_path, // IMPORTANT: Pass the image path!
+                    reply_to_dialogue_id: replyTo || null,
+                    kind: d.kind || 'message',
+                    target_dialogue_id: targetId || null
                 })
             });
+            const data = await res.json();
+            addedIds[i] = data.id;
         }
         
         // 4. Refresh Project (this updates characters and dialogues)
@@ -2254,6 +3115,118 @@ window.removeDialogueImage = async function(index, id) {
     }
 };
 
+// Voice note (visualizer/voice-notes.js): upload the clip, then turn the row into kind 'voice'
+async function saveDialogueVoice(index, id, file, filename) {
+    const formData = new FormData();
+    formData.append('voice', file, filename);
+    try {
+        const upload = await (await fetch(`${API_BASE}/upload/voice`, { method: 'POST', body: formData })).json();
+        if (!upload.success) throw new Error(upload.error || 'Upload failed');
+
+        const res = await fetch(`${API_BASE}/projects/${currentProject}/dialogues/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ kind: 'voice', audio_path: upload.path })
+        });
+        const data = await res.json();
+        if (!data.success) throw new Error(data.error || 'Unknown error');
+
+        Object.assign(currentDialogues[index], { kind: 'voice', audio_path: upload.path, audio_duration: upload.duration });
+        renderDialogues(currentDialogues, window.currentProjectCharacters);
+        reloadPreview();
+        showToast(`🎤 ข้อความเสียง ${VoiceNotes.formatDuration(upload.duration)}`, 'success');
+    } catch (err) {
+        console.error(err);
+        showToast('❌ บันทึกข้อความเสียงไม่สำเร็จ: ' + err.message, 'error');
+    }
+}
+
+window.uploadDialogueVoice = async function(input, index, id) {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+
+    if (file.size > 20 * 1024 * 1024) {
+        alert('File too large! Max 20MB.');
+        return;
+    }
+    await saveDialogueVoice(index, id, file, file.name);
+};
+
+// ⏺️ starts recording from the microphone, the second click stops and saves it
+let voiceRecorder = null;
+window.recordDialogueVoice = async function(event, index, id) {
+    event.stopPropagation();
+    const button = event.currentTarget;
+
+    if (voiceRecorder) {
+        voiceRecorder.stop();
+        return;
+    }
+    try {
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        const chunks = [];
+        voiceRecorder = new MediaRecorder(stream);
+        voiceRecorder.ondataavailable = (e) => { if (e.data.size > 0) chunks.push(e.data); };
+        voiceRecorder.onstop = async () => {
+            stream.getTracks().forEach(track => track.stop());
+            voiceRecorder = null;
+            button.textContent = '⏺️';
+            const blob = new Blob(chunks, { type: chunks[0]?.type || 'audio/webm' });
+            if (blob.size > 0) await saveDialogueVoice(index, id, blob, 'recording.webm');
+        };
+        voiceRecorder.start();
+        button.textContent = '⏹️';
+        showToast('⏺️ กำลังอัดเสียง... กด ⏹️ เพื่อหยุด', 'info');
+    } catch (err) {
+        console.error(err);
+        voiceRecorder = null;
+        showToast('❌ เปิดไมโครโฟนไม่ได้: ' + err.message, 'error');
+    }
+};
+
+// 🗣️ the row's text spoken in its sender's narration voice
+window.voiceNoteFromTTS = async function(event, index, id) {
+    event.stopPropagation();
+    if (!(currentDialogues[index].message || '').trim()) {
+        showToast('⚠️ พิมพ์ข้อความที่จะให้พูดก่อน', 'error');
+        return;
+    }
+    showToast('🗣️ กำลังสร้างเสียง...', 'info');
+    try {
+        const res = await fetch(`${API_BASE}/projects/${currentProject}/dialogues/${id}/voice-note/tts`, { method: 'POST' });
+        const data = await res.json();
+        if (!data.success) throw new Error(data.error || 'Unknown error');
+
+        Object.assign(currentDialogues[index], { kind: 'voice', audio_path: data.path, audio_duration: data.duration });
+        renderDialogues(currentDialogues, window.currentProjectCharacters);
+        reloadPreview();
+        showToast(`🎤 ข้อความเสียง ${VoiceNotes.formatDuration(data.duration)}`, 'success');
+    } catch (err) {
+        console.error(err);
+        showToast('❌ สร้างข้อความเสียงไม่สำเร็จ: ' + err.message, 'error');
+    }
+};
+
+window.removeDialogueVoice = async function(index, id) {
+    if (!confirm('Remove voice note? (the text stays as a normal message)')) return;
+
+    try {
+        await fetch(`${API_BASE}/projects/${currentProject}/dialogues/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ kind: 'message', audio_path: null })
+        });
+
+        Object.assign(currentDialogues[index], { kind: 'message', audio_path: null, audio_duration: null });
+        renderDialogues(currentDialogues, window.currentProjectCharacters);
+        reloadPreview();
+    } catch (err) {
+        console.error(err);
+        alert('Error removing voice note');
+    }
+};
+
 // Update Dialogue Text (called on textarea blur/change)
 window.updateDialogue = async function(textarea, index, id) {
     const message = textarea.value;
@@ -2467,6 +3440,7 @@ function getAudioSettings() {
     return {
         bgMusicPath: bgmEnabled ? selectedBgmPath : null,
         sfxPath: sfxEnabled ? selectedSfxPath : null,
+        sfxEnabled: sfxEnabled, // also silences the project's sound mapping
         swooshPath: selectedSwooshPath, // NEW: Intro swoosh sound
         bgmVolume: bgmVolume,
         sfxVolume: sfxVolume,
@@ -2474,6 +3448,242 @@ function getAudioSettings() {
     };
 }
 
+// ===================================
+// Sound Mapping (per side / character / event)
+// ===================================
+let soundMappingSlots = null; // last GET /sound-mapping response
+
+async function openSoundMappingModal() {
+    if (!currentProject) {
+        showToast('❌ เลือก Story ก่อน', 'error');
+        return;
+    }
+    try {
+        const [mapRes, sfxRes] = await Promise.all([
+            fetch(`${API_BASE}/projects/${currentProject}/sound-mapping`),
+            fetch(`${API_BASE}/sounds/type/sfx`)
+        ]);
+        const data = await mapRes.json();
+        if (!mapRes.ok) throw new Error(data.error);
+        soundMappingSlots = { ...data, sounds: await sfxRes.json() };
+        renderSoundMappingRows(data.mapping);
+        document.getElementById('modal-sound-mapping').classList.remove('hidden');
+    } catch (err) {
+        showToast('❌ โหลด Sound Mapping ไม่สำเร็จ: ' + err.message, 'error');
+    }
+}
+
+function closeSoundMappingModal() {
+    document.getElementById('modal-sound-mapping').classList.add('hidden');
+}
+
+function renderSoundMappingRows(mapping) {
+    const { defaults, sides, events, sounds } = soundMappingSlots;
+    const soundName = (file) => {
+        const sound = sounds.find(s => s.filename === file);
+        return sound ? `${sound.collection_name ? sound.collection_name + ' - ' : ''}${sound.name}` : file.split('/').pop();
+    };
+    // Empty value = not set here; the label says what plays instead
+    const row = (group, key, label, selected, fallbackLabel) => `
+        <div style="display: flex; align-items: center; gap: 8px; padding: 6px 4px;">
+            <span style="flex: 0 0 150px; font-size: 0.9rem;">${label}</span>
+            <select class="sound-mapping-select" data-group="${group}" data-key="${key}"
+                style="flex: 1; padding: 6px; background: var(--bg-dark); border: 1px solid var(--border); color: white; border-radius: 6px;">
+                <option value="">${fallbackLabel}</option>
+                ${sounds.map(s => `<option value="${s.filename}" ${s.filename === selected ? 'selected' : ''}>${soundName(s.filename)}</option>`).join('')}
+            </select>
+            <button class="btn-secondary" style="padding: 4px 10px;" onclick="previewMappedSound(this)" title="ฟังเสียง">▶</button>
+        </div>`;
+    const auto = (file, otherwise) => file ? `✨ Default (${soundName(file)})` : otherwise;
+
+    let html = '<div style="color: var(--text-gray); font-size: 0.8rem; margin: 4px;">ฝั่ง</div>';
+    for (const [side, slot] of Object.entries(sides)) {
+        html += row('sides', side, slot.label, mapping.sides[side], auto(defaults.sides[side], '🗯️ ตาม Pop SFX'));
+    }
+    html += '<div style="color: var(--text-gray); font-size: 0.8rem; margin: 10px 4px 4px;">ตัวละคร</div>';
+    for (const [role, char] of Object.entries(window.currentProjectCharacters || {})) {
+        html += row('characters', role, char.name || role, mapping.characters[role], '↔️ ตามฝั่ง');
+    }
+    html += '<div style="color: var(--text-gray); font-size: 0.8rem; margin: 10px 4px 4px;">เหตุการณ์</div>';
+    for (const [event, slot] of Object.entries(events)) {
+        const otherwise = event === 'time_divider' ? '🔇 ไม่มีเสียง' : '👤 ตามผู้ส่ง';
+        html += row('events', event, slot.label, mapping.events[event], auto(defaults.events[event], otherwise));
+    }
+    document.getElementById('sound-mapping-rows').innerHTML = html;
+}
+
+function previewMappedSound(btn) {
+    const file = btn.previousElementSibling.value;
+    if (!file) return;
+    const audio = new Audio('/' + file);
+    audio.volume = sfxVolume;
+    audio.play().catch(e => console.log('Sound preview blocked:', e));
+}
+
+async function putSoundMapping(mapping) {
+    const res = await fetch(`${API_BASE}/projects/${currentProject}/sound-mapping`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mapping })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error);
+    return data.mapping;
+}
+
+async function saveSoundMapping() {
+    const mapping = { sides: {}, characters: {}, events: {} };
+    document.querySelectorAll('.sound-mapping-select').forEach(select => {
+        if (select.value) mapping[select.dataset.group][select.dataset.key] = select.value;
+    });
+    try {
+        await putSoundMapping(mapping);
+        closeSoundMappingModal();
+        showToast('🎚️ บันทึก Sound Mapping แล้ว (มีผลตอน Preview ครั้งถัดไป)', 'success');
+    } catch (err) {
+        showToast('❌ บันทึกไม่สำเร็จ: ' + err.message, 'error');
+    }
+}
+
+async function resetSoundMapping() {
+    try {
+        renderSoundMappingRows(await putSoundMapping(null));
+        showToast('↩️ กลับไปใช้เสียงค่าเริ่มต้นแล้ว', 'success');
+    } catch (err) {
+        showToast('❌ รีเซ็ตไม่สำเร็จ: ' + err.message, 'error');
+    }
+}
+
+// ===================================
+// Outro / End Card (per project or global)
+// ===================================
+let outroState = null; // last GET /projects/:id/outro response
+
+async function openOutroModal() {
+    if (!currentProject) {
+        showToast('❌ เลือก Story ก่อน', 'error');
+        return;
+    }
+    try {
+        const res = await fetch(`${API_BASE}/projects/${currentProject}/outro`);
+        outroState = await res.json();
+        if (!res.ok) throw new Error(outroState.error);
+
+        document.getElementById('outro-type').innerHTML = Object.entries(outroState.types)
+            .map(([type, info]) => `<option value="${type}">${info.label}</option>`).join('');
+        document.getElementById('outro-duration').placeholder = window.TIMING_CONFIG?.OUTRO_DURATION || 3.5;
+        document.getElementById('outro-use-global').checked = !outroState.outro;
+        fillOutroForm(outroState.outro || outroState.global);
+        document.getElementById('modal-outro').classList.remove('hidden');
+    } catch (err) {
+        showToast('❌ โหลด Outro ไม่สำเร็จ: ' + err.message, 'error');
+    }
+}
+
+function closeOutroModal() {
+    document.getElementById('modal-outro').classList.add('hidden');
+}
+
+function fillOutroForm(outro) {
+    document.getElementById('outro-type').value = outro.type;
+    document.getElementById('outro-text').value = outro.text || '';
+    document.getElementById('outro-handle').value = outro.handle ? '@' + outro.handle : '';
+    document.getElementById('outro-question').value = outro.question || '';
+    document.getElementById('outro-duration').value = outro.duration || '';
+    setOutroImage(outro.image_path);
+    onOutroTypeChange();
+}
+
+// Switching scope shows what that scope currently has (project override starts from global)
+function onOutroScopeChange() {
+    const useGlobal = document.getElementById('outro-use-global').checked;
+    fillOutroForm(useGlobal ? outroState.global : (outroState.outro || outroState.global));
+}
+
+function onOutroTypeChange() {
+    const type = document.getElementById('outro-type').value;
+    document.querySelectorAll('#modal-outro .outro-field').forEach(field => {
+        field.style.display = field.dataset.types.split(' ').includes(type) ? '' : 'none';
+    });
+}
+
+function setOutroImage(imagePath) {
+    document.getElementById('outro-image-path').value = imagePath || '';
+    const preview = document.getElementById('outro-image-preview');
+    preview.style.display = imagePath ? 'block' : 'none';
+    if (imagePath) preview.src = '/' + imagePath;
+}
+
+async function uploadOutroImage(input) {
+    const file = input.files[0];
+    if (!file) return;
+    const formData = new FormData();
+    formData.append('image', file);
+    try {
+        const res = await fetch(`${API_BASE}/upload/image`, { method: 'POST', body: formData });
+        const data = await res.json();
+        if (!data.success) throw new Error(data.error);
+        setOutroImage(data.path);
+    } catch (err) {
+        showToast('❌ อัปโหลดรูปไม่สำเร็จ: ' + err.message, 'error');
+    }
+    input.value = '';
+}
+
+async function generateOutroQuestion() {
+    const btn = document.getElementById('btn-outro-ai');
+    btn.disabled = true;
+    btn.textContent = '⏳';
+    try {
+        const res = await fetch(`${API_BASE}/projects/${currentProject}/outro/comment-bait`, { method: 'POST' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        document.getElementById('outro-question').value = data.question;
+        if (!data.success) showToast('⚠️ AI ไม่พร้อม ใช้คำถามสำเร็จรูปแทน', 'warning');
+    } catch (err) {
+        showToast('❌ สร้างคำถามไม่สำเร็จ: ' + err.message, 'error');
+    } finally {
+        btn.disabled = false;
+        btn.textContent = 'AI ✨';
+    }
+}
+
+async function putOutro(url, outro) {
+    const res = await fetch(url, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ outro })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error);
+    return data.outro;
+}
+
+async function saveOutro() {
+    const outro = {
+        type: document.getElementById('outro-type').value,
+        text: document.getElementById('outro-text').value,
+        handle: document.getElementById('outro-handle').value,
+        question: document.getElementById('outro-question').value,
+        image_path: document.getElementById('outro-image-path').value || null,
+        duration: document.getElementById('outro-duration').value || null
+    };
+    const useGlobal = document.getElementById('outro-use-global').checked;
+    try {
+        if (useGlobal) {
+            await putOutro(`${API_BASE}/settings/outro`, outro);
+            await putOutro(`${API_BASE}/projects/${currentProject}/outro`, null);
+        } else {
+            await putOutro(`${API_BASE}/projects/${currentProject}/outro`, outro);
+        }
+        closeOutroModal();
+        showToast(`🎬 บันทึก Outro ${useGlobal ? '(Global)' : 'ของโปรเจกต์นี้'} แล้ว`, 'success');
+        reloadPreview();
+    } catch (err) {
+        showToast('❌ บันทึกไม่สำเร็จ: ' + err.message, 'error');
+    }
+}
+
 // Load audio options when page loads
 document.addEventListener('DOMContentLoaded', () => {
     loadAudioOptions();
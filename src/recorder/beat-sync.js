@@ -0,0 +1,195 @@
+/**
+ * Beat Sync - tempo + beat positions of a BGM file, so calculateTimeline() can
+ * land message pops on the music
+ *
+ * Local DSP only: ffmpeg decodes to mono PCM, then
+ * onset envelope (log-energy flux) -> tempo by autocorrelation -> beat phase by comb search.
+ * Assumes a steady tempo, which holds for the stock BGM tracks; ambient beds with
+ * no clear pulse come back as null and the timeline is left alone.
+ */
+
+const { spawn } = require('child_process');
+const ffmpegPath = require('ffmpeg-static');
+const fs = require('fs-extra');
+
+const SAMPLE_RATE = 11025;
+const HOP = 256;                 // ~23ms per onset frame
+const MIN_BPM = 70;
+const MAX_BPM = 180;
+const PREFERRED_BPM = 120;       // breaks half/double tempo ties
+const MAX_ANALYZE_SECONDS = 120;
+const MIN_CONFIDENCE = 0.1;      // autocorrelation peak vs. lag 0
+
+const cache = new Map(); // `${path}:${mtime}` -> Promise<analysis|null>
+
+function decodeMono(filePath, maxSeconds) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        const proc = spawn(ffmpegPath, [
+            '-v', 'error',
+            '-i', filePath,
+            '-t', String(maxSeconds),
+            '-ac', '1', '-ar', String(SAMPLE_RATE),
+            '-f', 'f32le', '-'
+        ]);
+        let stderr = '';
+        proc.stdout.on('data', (chunk) => chunks.push(chunk));
+        proc.stderr.on('data', (data) => { stderr += data.toString(); });
+        proc.on('error', reject);
+        proc.on('close', (code) => {
+            if (code !== 0) return reject(new Error(`ffmpeg decode failed: ${stderr.trim().split('\n').pop()}`));
+            const buf = Buffer.concat(chunks);
+            resolve(new Float32Array(buf.buffer, buf.byteOffset, Math.floor(buf.length / 4)));
+        });
+    });
+}
+
+// Positive log-energy flux of a pre-emphasized signal, minus a moving average
+function onsetEnvelope(samples) {
+    const frames = Math.floor(samples.length / HOP);
+    const energy = new Float32Array(frames);
+    let prev = 0;
+    for (let f = 0; f < frames; f++) {
+        let sum = 0;
+        for (let n = f * HOP; n < (f + 1) * HOP; n++) {
+            const y = samples[n] - 0.97 * prev; // pre-emphasis: favours drums / transients
+            prev = samples[n];
+            sum += y * y;
+        }
+        energy[f] = Math.log(1e-9 + sum / HOP);
+    }
+
+    const flux = new Float32Array(frames);
+    for (let f = 1; f < frames; f++) flux[f] = Math.max(0, energy[f] - energy[f - 1]);
+
+    const half = Math.round(0.25 * SAMPLE_RATE / HOP);
+    const onset = new Float32Array(frames);
+    for (let f = 0; f < frames; f++) {
+        let sum = 0, count = 0;
+        for (let k = Math.max(0, f - half); k <= Math.min(frames - 1, f + half); k++) { sum += flux[k]; count++; }
+        onset[f] = Math.max(0, flux[f] - sum / count);
+    }
+    return onset;
+}
+
+function autocorrelation(onset, lag) {
+    let sum = 0;
+    for (let f = lag; f < onset.length; f++) sum += onset[f] * onset[f - lag];
+    return sum / (onset.length - lag);
+}
+
+// Beat period in frames (fractional) + how strongly it stands out
+function estimatePeriod(onset) {
+    const framesPerSec = SAMPLE_RATE / HOP;
+    const minLag = Math.floor(framesPerSec * 60 / MAX_BPM);
+    const maxLag = Math.ceil(framesPerSec * 60 / MIN_BPM);
+    const zero = autocorrelation(onset, 0);
+    if (zero <= 0) return null;
+
+    const acf = [];
+    for (let lag = minLag - 1; lag <= maxLag + 1; lag++) acf[lag] = autocorrelation(onset, lag);
+
+    let best = null;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        const bpm = framesPerSec * 60 / lag;
+        const weight = Math.exp(-0.5 * Math.pow(Math.log2(bpm / PREFERRED_BPM), 2));
+        const score = acf[lag] * weight;
+        if (!best || score > best.score) best = { lag, score };
+    }
+
+    // Parabolic interpolation around the peak for a sub-frame period
+    const [a, b, c] = [acf[best.lag - 1], acf[best.lag], acf[best.lag + 1]];
+    const denom = a - 2 * b + c;
+    const shift = denom !== 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denom)) : 0;
+    return { period: best.lag + shift, confidence: b / zero };
+}
+
+// Comb search around the autocorrelation period: a small period error adds up over
+// a long track, so period and first-beat offset (frames) are refined together
+function fitGrid(onset, period) {
+    let best = { period, offset: 0, score: -1 };
+    for (let p = period * 0.98; p <= period * 1.02; p += 0.02) {
+        for (let offset = 0; offset < p; offset += 0.5) {
+            let score = 0;
+            for (let t = offset; t < onset.length; t += p) score += onset[Math.round(t)] || 0;
+            if (score > best.score) best = { period: p, offset, score };
+        }
+    }
+    return best;
+}
+
+/**
+ * Tempo + beat grid of a music file (cached per file version)
+ * @returns {Promise<{ bpm, period, phase, duration }|null>} seconds; null = no steady beat
+ */
+function analyzeBeats(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) return Promise.resolve(null);
+    const key = `${filePath}:${fs.statSync(filePath).mtimeMs}`;
+    if (!cache.has(key)) {
+        cache.set(key, (async () => {
+            const samples = await decodeMono(filePath, MAX_ANALYZE_SECONDS);
+            const onset = onsetEnvelope(samples);
+            const estimate = onset.length > 0 ? estimatePeriod(onset) : null;
+            if (!estimate || estimate.confidence < MIN_CONFIDENCE) {
+                console.log(`🥁 No steady beat in ${filePath} (confidence ${estimate ? estimate.confidence.toFixed(2) : 0})`);
+                return null;
+            }
+            const secPerFrame = HOP / SAMPLE_RATE;
+            const grid = fitGrid(onset, estimate.period);
+            const analysis = {
+                bpm: 60 / (grid.period * secPerFrame),
+                period: grid.period * secPerFrame,
+                phase: grid.offset * secPerFrame,
+                // Loop length as played by assembleVideo (-stream_loop); analysis caps at MAX_ANALYZE_SECONDS
+                duration: await probeDuration(filePath, samples.length / SAMPLE_RATE)
+            };
+            console.log(`🥁 ${filePath}: ${analysis.bpm.toFixed(1)} BPM (confidence ${estimate.confidence.toFixed(2)})`);
+            return analysis;
+        })().catch((err) => {
+            cache.delete(key);
+            throw err;
+        }));
+    }
+    return cache.get(key);
+}
+
+// Full file length (the decode above stops at MAX_ANALYZE_SECONDS)
+function probeDuration(filePath, decodedSeconds) {
+    if (decodedSeconds < MAX_ANALYZE_SECONDS - 1) return Promise.resolve(decodedSeconds);
+    return new Promise((resolve) => {
+        let stderr = '';
+        const proc = spawn(ffmpegPath, ['-i', filePath]);
+        proc.stderr.on('data', (data) => { stderr += data.toString(); });
+        proc.on('error', () => resolve(decodedSeconds));
+        proc.on('close', () => {
+            const m = stderr.match(/Duration:\s+(\d+):(\d+):([\d.]+)/);
+            resolve(m ? (+m[1]) * 3600 + (+m[2]) * 60 + parseFloat(m[3]) : decodedSeconds);
+        });
+    });
+}
+
+/**
+ * Nearest beat to `time` (seconds since the BGM started), following the loop
+ * @returns {number|null}
+ */
+function nearestBeat(analysis, time) {
+    if (!analysis || time < 0) return null;
+    const { period, phase, duration } = analysis;
+    const loop = Math.floor(time / duration);
+    const local = time - loop * duration;
+    const lastInLoop = phase + Math.floor((duration - phase) / period) * period;
+
+    const k = Math.round((local - phase) / period);
+    let beat = phase + k * period;
+    if (beat < 0) beat = lastInLoop - duration;    // last beat of the previous loop
+    if (beat >= duration) {
+        // past the loop end: last beat of this loop or first beat of the next one
+        beat = (duration + phase) - local < local - lastInLoop ? duration + phase : lastInLoop;
+    }
+    return loop * duration + beat;
+}
+
+module.exports = {
+    analyzeBeats,
+    nearestBeat
+};
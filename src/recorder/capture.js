@@ -8,8 +8,21 @@ const ffmpeg = require('fluent-ffmpeg');
 const ffmpegPath = require('ffmpeg-static');
 const fs = require('fs-extra');
 const path = require('path');
-const { exec } = require('child_process');
+const os = require('os');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
 const TIMING = require('../config/timing');
+const { getVisualizerBaseUrl } = require('./visualizer-server');
+const { resolveRenderPreset, resolveRenderQuality, BRAND_BACKGROUND } = require('./render-presets');
+const { buildSubtitleCues, writeSubtitles } = require('./subtitles');
+const SoundMap = require('../visualizer/sound-map');
+const OutroCard = require('../visualizer/outro');
+const Reactions = require('../visualizer/reactions');
+const BubbleEdits = require('../visualizer/bubble-edits');
+const Hesitation = require('../visualizer/hesitation');
+const VoiceNotes = require('../visualizer/voice-notes');
+const { analyzeBeats, nearestBeat } = require('./beat-sync');
+const { buildManifest, writeManifest } = require('./render-manifest');
 
 // Set FFmpeg path
 ffmpeg.setFfmpegPath(ffmpegPath);
@@ -36,8 +49,36 @@ const CONFIG = {
     height: 1920,
     fps: 30,
     framesDir: './output/frames',
+    // 'pipe' = screenshots streamed into ffmpeg (no PNG files)
+    // 'disk' = debug mode, keeps frame_%06d.png for inspection (RENDER_CAPTURE_MODE env / options.captureMode)
+    captureMode: process.env.RENDER_CAPTURE_MODE || 'pipe',
+    // Work dirs under framesDir left by debug renders / failed renders
+    frameRetention: {
+        keepLatest: 3,
+        maxAgeHours: 24,
+        // Interrupted renders (checkpoint.json still there) wait this long for a resume instead
+        unfinishedMaxAgeHours: 7 * 24
+    },
     outputDir: './output/03_Drafts',
+    // Reveal the finished video in the file manager (RENDER_OPEN_FOLDER env / options.openFolder)
+    openFolder: shouldOpenFolder(),
     endingBuffer: 2,
+    // Parallel capture: pages rendering time slices at once (RENDER_WORKERS env / options.workers)
+    workers: parseInt(process.env.RENDER_WORKERS) || Math.max(1, Math.min(4, os.cpus().length - 1)),
+    minFramesPerWorker: 90,
+    // GIF/WebP preview (options.preview) - small enough for Discord / LINE
+    preview: {
+        fps: 12,
+        width: 360,
+        maxColors: 128,
+        webpQuality: 60,
+        leadIn: 0.3,          // seconds before the first message starts typing
+        tail: 1.5,            // seconds after the last message appears
+        maxSeconds: 15,
+        defaultMessages: 5
+    },
+    // Pipe mode closes a segment (and checkpoints) every N frames = most a crash can lose
+    segmentFrames: 150,
     // Delay Settings
     baseDelay: 1.0, 
     delayPerChar: 0.05,
@@ -45,20 +86,70 @@ const CONFIG = {
 };
 
 // ============================================
-// Open Output Folder (Windows)
+// Render Control (progress + cancellation)
+// ============================================
+// Both are optional so CLI callers (generator.js) keep working:
+// - onProgress(phase, data) : phase = 'timeline' | 'capture' | 'assemble' | 'normalize' | 'done'
+// - signal (AbortSignal)    : aborting stops the browser / kills ffmpeg
+function reportProgress(runOptions, phase, data = {}) {
+    if (runOptions && typeof runOptions.onProgress === 'function') {
+        runOptions.onProgress(phase, data);
+    }
+}
+
+function cancelledError() {
+    const err = new Error('Render cancelled');
+    err.cancelled = true;
+    return err;
+}
+
+function throwIfCancelled(signal) {
+    if (signal && signal.aborted) throw cancelledError();
+}
+
+// Kill an ffmpeg command / child process when the signal fires. Returns a detach function.
+function killOnAbort(signal, kill) {
+    if (!signal) return () => {};
+    const onAbort = () => kill();
+    signal.addEventListener('abort', onAbort, { once: true });
+    return () => signal.removeEventListener('abort', onAbort);
+}
+
+// "00:01:02.50" -> 62.5
+function timemarkToSeconds(timemark) {
+    if (!timemark) return 0;
+    return String(timemark).split(':').reduce((acc, part) => acc * 60 + parseFloat(part || 0), 0);
+}
+
 // ============================================
+// Open Output Folder (Windows / macOS / Linux)
+// ============================================
+// Reveals the video in the file manager. Skipped on machines without a desktop
+// (no DISPLAY on Linux) unless RENDER_OPEN_FOLDER says otherwise.
+function shouldOpenFolder() {
+    const setting = process.env.RENDER_OPEN_FOLDER;
+    if (setting !== undefined && setting !== '') return !['false', '0', 'off', 'no'].includes(setting.toLowerCase());
+    if (process.platform === 'win32' || process.platform === 'darwin') return true;
+    return !!(process.env.DISPLAY || process.env.WAYLAND_DISPLAY);
+}
+
 function openOutputFolder(videoPath) {
     const absolutePath = path.resolve(videoPath);
     const folderPath = path.dirname(absolutePath);
     
     console.log(`📂 Opening folder: ${folderPath}`);
     
-    // Simple approach: just open the folder
-    exec(`start "" "${folderPath}"`, (error) => {
-        if (error) {
-            console.log('📂 Could not open folder:', error.message);
-        }
+    const commands = {
+        win32: ['explorer', [`/select,${absolutePath}`]], // highlight the video file
+        darwin: ['open', ['-R', absolutePath]]            // reveal in Finder
+    };
+    const [command, args] = commands[process.platform] || ['xdg-open', [folderPath]];
+    
+    const proc = spawn(command, args, { detached: true, stdio: 'ignore' });
+    proc.on('error', (error) => {
+        console.log('📂 Could not open folder:', error.message);
     });
+    proc.unref();
 }
 
 // ============================================
@@ -113,6 +204,17 @@ async function calculateTimeline(story) {
     console.log(`   - Total Intro:  ${introDuration.toFixed(2)}s`);
 
     let currentTime = introDuration; // Start chat immediately after intro (first message handles timing)
+    let speechEnd = 0; // Narration mode: when the previous line's voice clip finishes
+    
+    // 🥁 Beat sync (story.beatSync = { bgMusicPath }): pops land on the BGM beats
+    let beatGrid = null;
+    if (story.beatSync && story.beatSync.bgMusicPath) {
+        beatGrid = await analyzeBeats(story.beatSync.bgMusicPath).catch((err) => {
+            console.warn(`⚠️ Beat analysis failed, keeping text-based pacing: ${err.message}`);
+            return null;
+        });
+    }
+    let snapped = 0;
     
     if (!story.dialogues || story.dialogues.length === 0) {
         return { timeline: [], totalDuration: introDuration + 2 };
@@ -149,10 +251,46 @@ async function calculateTimeline(story) {
             typingTotal = isLeft ? 1.0 : 0.5;
         }
         
+        // Emoji reaction / unsend / edit: nobody types, the earlier bubble changes right after the reaction gap
+        const isInstantEvent = Reactions.isReaction(dialogue) || BubbleEdits.isBubbleEdit(dialogue);
+        if (isInstantEvent) typingTotal = 0;
+        
+        // Hesitation: typing bursts that stop before the real typing ('typing' rows: bursts only, never sent)
+        const bursts = dialogue.sender === 'time_divider' || isInstantEvent ? [] : Hesitation.parse(dialogue.hesitation);
+        if (Hesitation.isGhostTyping(dialogue)) typingTotal = 0;
+        const hesitationTotal = Hesitation.duration(bursts);
+        const leadIn = hesitationTotal + typingTotal;
+        
+        // Narration: wait for the previous line to finish speaking before this one shows up
+        const earliestAppear = speechEnd > 0 ? speechEnd + (TIMING.VOICE_GAP ?? 0.3) : 0;
+        if (currentTime + reaction + leadIn < earliestAppear) {
+            reaction = earliestAppear - currentTime - leadIn;
+        }
+        
+        // Beat sync: stretch/shrink the reaction gap so the message appears on the nearest beat
+        // (BGM starts with the chat, so beat times are offset by the intro)
+        if (beatGrid && dialogue.sender !== 'time_divider') {
+            const plannedAppear = currentTime + reaction + leadIn;
+            const beat = nearestBeat(beatGrid, plannedAppear - introDuration);
+            const tolerance = TIMING.BEAT_SYNC_TOLERANCE ?? 0.25;
+            // Nearest beat, or the next one when it can't move earlier (no reaction gap left / narration)
+            const shift = beat === null ? null : [beat, beat + beatGrid.period]
+                .map(b => b + introDuration - plannedAppear)
+                .find(s => Math.abs(s) <= tolerance && reaction + s >= 0 && plannedAppear + s >= earliestAppear);
+            if (shift !== undefined && shift !== null) {
+                reaction += shift;
+                snapped++;
+            }
+        }
+        
         const typingDuration = typingTotal * CONFIG.typingRatio;
         const typingStart = currentTime + reaction;
-        const typingEnd = typingStart + typingDuration;
-        const appearTime = currentTime + reaction + typingTotal;
+        const mainTypingStart = typingStart + hesitationTotal;
+        // Every stretch the typing indicator is on: hesitation bursts, then the real typing
+        const typingWindows = Hesitation.windows(typingStart, bursts);
+        if (typingDuration > 0) typingWindows.push({ start: mainTypingStart, end: mainTypingStart + typingDuration });
+        const typingEnd = typingWindows.length > 0 ? typingWindows[typingWindows.length - 1].end : typingStart;
+        const appearTime = mainTypingStart + typingTotal;
         
         // Debug: Log first message timing
         if (isFirstMessage) {
@@ -164,75 +302,105 @@ async function calculateTimeline(story) {
             console.log(`   - AppearTime: ${appearTime.toFixed(2)}s`);
         }
         
+        // Voice clip plays when the message appears (generateDialogueVoices -> voice_path,
+        // or the voice note's own clip -> audio_path)
+        const voicePath = dialogue.voice_path || (VoiceNotes.isVoiceNote(dialogue) ? dialogue.audio_path : null);
+        const voiceDuration = voicePath ? await getAudioDuration(voicePath) : 0;
+        if (voiceDuration > 0) speechEnd = appearTime + voiceDuration;
+        
         timeline.push({
             index: i,
             typingStart: typingStart,
             typingEnd: typingEnd,
+            typingWindows: typingWindows,
             appearTime: appearTime,
+            voicePath: voiceDuration > 0 ? voicePath : null,
+            voiceDuration: voiceDuration,
             dialogue: dialogue
         });
         
-        currentTime += (reaction + typingTotal);
+        currentTime += (reaction + leadIn);
     }
     
+    if (beatGrid) console.log(`🥁 Beat sync: ${snapped}/${story.dialogues.length} messages on the beat (${beatGrid.bpm.toFixed(1)} BPM)`);
+    
     // Determine ending buffer based on theme
     const endingBuffer = (story.theme === 'horror' || story.theme === 'drama') 
         ? TIMING.HORROR_ENDING_BUFFER 
         : TIMING.ENDING_BUFFER;
 
-    const totalDuration = currentTime + endingBuffer;
-    return { timeline, totalDuration, introDuration, introTiming };
+    const chatEnd = Math.max(currentTime, speechEnd);
+    let totalDuration = chatEnd + endingBuffer;
+
+    // 📦 Series part (batch render): every part except the last ends on a "to be continued" card,
+    // otherwise the project's (or global) outro card - see visualizer/outro.js
+    let endCard = null;
+    const outro = OutroCard.normalize(story.outro);
+    const isContinued = story.part && story.part.number < story.part.total;
+    const card = isContinued
+        ? OutroCard.buildCard(outro.type === 'next_part' ? outro : { type: 'next_part' }, { nextPart: story.part.number + 1 })
+        : OutroCard.buildCard(outro);
+    if (card) {
+        const duration = isContinued ? TIMING.END_CARD_DURATION : (outro.duration || TIMING.OUTRO_DURATION);
+        endCard = {
+            ...card,
+            start: chatEnd + TIMING.END_CARD_DELAY,
+            fadeIn: TIMING.END_CARD_FADE_IN,
+            duration,
+            nextPart: isContinued ? story.part.number + 1 : null
+        };
+        totalDuration = Math.max(totalDuration, endCard.start + duration);
+    }
+
+    return { timeline, totalDuration, introDuration, introTiming, endCard, chatEnd };
 }
 
 // ============================================
-// Frame Capture
+// Render Page Setup
 // ============================================
-// 90: Frame Capture
-async function captureFrames(story, outputName = 'story', timelineData) {
-    const framesDir = path.join(CONFIG.framesDir, outputName);
-    await fs.ensureDir(framesDir);
-    await fs.emptyDir(framesDir);
-    
-    const { timeline, totalDuration } = timelineData;
-    const totalFrames = Math.ceil(totalDuration * CONFIG.fps);
-    
-    console.log(`\nCapturing ${totalFrames} frames (${totalDuration.toFixed(1)}s)...`);
-    
-    const browser = await puppeteer.launch({
-        headless: 'new',
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
-    
+// Opens the visualizer in render mode and installs window.setCurrentTime(t).
+// Every capture worker gets its own page; pages only ever move forward in time.
+// captions: subtitle cues to burn into the frames as a caption strip (null = off)
+// quality: resolveRenderQuality() - pixel density, fps and the DRAFT watermark
+// beforeLoad: optional async (page) => {} run before the visualizer loads (e.g. request interception)
+async function openRenderPage(browser, story, timelineData, workerLabel = '', captions = null, quality = resolveRenderQuality(), beforeLoad = null) {
     const page = await browser.newPage();
-    
-    // Mobile Emulation (1080x1920 via Scale 3)
+
+    // Mobile Emulation (1080x1920 via Scale 3, draft: 360x640)
     await page.setViewport({
         width: 360,
         height: 640,
-        deviceScaleFactor: 3,
+        deviceScaleFactor: quality.scale,
         isMobile: true,
         hasTouch: true
     });
-    
+
     // Debug: Pipe browser logs to node console
-    page.on('console', msg => console.log('PAGE LOG:', msg.text()));
-    
+    const logPrefix = workerLabel ? `PAGE LOG [${workerLabel}]:` : 'PAGE LOG:';
+    page.on('console', msg => console.log(logPrefix, msg.text()));
+
     // Inject Data (including introTiming for proper phase rendering)
-    await page.evaluateOnNewDocument((storyData, timelineData, introDuration, introTiming) => {
+    await page.evaluateOnNewDocument((storyData, timelineData, introDuration, introTiming, fps, captions, endCard) => {
         window.__INJECTED_STORY__ = storyData;
         window.__INJECTED_TIMELINE__ = timelineData;
         window.__INJECTED_INTRO_DURATION__ = introDuration;
         window.__INJECTED_INTRO_TIMING__ = introTiming;
+        window.__INJECTED_FPS__ = fps;
+        window.__INJECTED_CAPTIONS__ = captions;
+        window.__INJECTED_END_CARD__ = endCard;
         window.__INJECTED_MODE__ = true;
-    }, story, timeline, timelineData.introDuration, timelineData.introTiming);
-    
+    }, story, timelineData.timeline, timelineData.introDuration, timelineData.introTiming, quality.fps, captions, timelineData.endCard || null);
+
+    if (beforeLoad) await beforeLoad(page);
+
     // Load Visualizer
     const cacheBuster = Date.now();
-    await page.goto(`http://localhost:3000/visualizer/index.html?injectMode=true&v=${cacheBuster}`, {
+    const baseUrl = await getVisualizerBaseUrl();
+    await page.goto(`${baseUrl}/visualizer/index.html?injectMode=true&v=${cacheBuster}`, {
         waitUntil: 'networkidle0',
         timeout: 60000
     });
-    
+
     // ✅ FIX: Inject CSS to disable transitions and control time
     await page.addStyleTag({
         content: `
@@ -270,20 +438,24 @@ async function captureFrames(story, outputName = 'story', timelineData) {
 
             /* 🛑 FREEZE ANIMATIONS FOR SYNC */
             .typing-bubble .dot { animation-play-state: paused !important; }
-            .message { animation-play-state: paused !important; }
-            
+            .message, .reaction-badge, .bubble-transform { animation-play-state: paused !important; }
+        
             /* Ensure Typing Indicator is Correctly Positioned in Render */
             #typing-indicator {
+                transition: none !important; /* opacity is set per frame */
                 position: absolute !important;
                 bottom: 20px !important; /* Fixed bottom */
                 left: 20px !important; 
                 z-index: 100 !important;
                 margin: 0 !important;
             }
-            
+        
             /* Time Divider Overlay - No Transition in Render */
             .time-divider-overlay { transition: none !important; }
-            
+        
+            /* Scrolling is driven by setCurrentTime (smooth scroll would run on wall-clock time) */
+            #chat-container { scroll-behavior: auto !important; }
+        
             /* 🎬 libgif-js Styles for GIF Frame Control */
             .jsgif { position: relative !important; display: inline-block !important; }
             .jsgif canvas { display: block !important; max-width: 150px !important; }
@@ -295,25 +467,70 @@ async function captureFrames(story, outputName = 'story', timelineData) {
             }
         `
     });
-    
+
+    // Draft proofs: watermark burned into every frame (above intro + end cards)
+    if (quality.watermark) {
+        await page.evaluate((text) => {
+            const mark = document.createElement('div');
+            mark.className = 'draft-watermark';
+            mark.textContent = text;
+            document.body.appendChild(mark);
+        }, quality.watermark);
+    }
+
     // Initialize & Sync Logic
     await page.evaluate(() => {
         if (window.__INJECTED_MODE__ && window.__INJECTED_STORY__) {
             const storyData = window.__INJECTED_STORY__;
             const timeline = window.__INJECTED_TIMELINE__;
-            
+        
             const story = new ChatStory(storyData);
             let shownMessages = new Set();
-            
+            const fps = window.__INJECTED_FPS__ || 30;
+        
+            // Time of the first captured frame at/after t. A page that starts mid-story (parallel
+            // slice) must stamp messages with the same appear time a serial render would have.
+            const frameAlignedTime = (t) => {
+                let frame = Math.ceil(t * fps);
+                if ((frame - 1) / fps >= t) frame--;
+                if (frame / fps < t) frame++;
+                return frame / fps;
+            };
+            let pendingAppearTime = 0;
+
+            // 🔤 Burned-in caption strip (intro title is already full screen, so messages only)
+            const captionCues = (window.__INJECTED_CAPTIONS__ || []).filter(cue => cue.kind === 'message');
+            let captionStrip = null;
+            if (captionCues.length > 0) {
+                captionStrip = document.createElement('div');
+                captionStrip.id = 'caption-strip';
+                captionStrip.className = 'caption-strip hidden';
+                captionStrip.setAttribute('aria-live', 'polite');
+                document.getElementById('phone-frame').appendChild(captionStrip);
+            }
+
+            // 📦 Outro card: built up front (hidden) so a custom image is loaded before its first frame
+            const endCard = window.__INJECTED_END_CARD__;
+            if (endCard && window.OutroCard) {
+                OutroCard.mount(document, endCard, (p) => story.resolvePath(p));
+            }
+
+            // 🎥 Camera track (camera.js) - cues fire on the same frame the message appears
+            const cameraCues = window.CameraEffects
+                ? timeline
+                    .filter(item => item.dialogue.camera_effect)
+                    .map(item => ({ effect: item.dialogue.camera_effect, time: frameAlignedTime(item.appearTime) }))
+                : [];
+        
             // ✅ FIX 2: Monkey-patch addMessage to track appear time + Init SuperGif for stickers
             const originalAddMessage = story.addMessage.bind(story);
             story.addMessage = function(item, char) {
                 originalAddMessage(item, char);
                 const lastMsg = this.container.lastElementChild;
                 if (lastMsg) {
-                    lastMsg.dataset.appearTime = window.currentFrameTime || 0;
+                    lastMsg.dataset.appearTime = pendingAppearTime;
                     lastMsg.style.animationPlayState = 'paused'; // Ensure paused immediately
-                    
+                
                     // 🎬 STICKER DETECTION: Check for GIPHY GIF images
                     const stickerImg = lastMsg.querySelector('img.chat-image.sticker');
                     if (stickerImg && stickerImg.src.includes('giphy.com')) {
@@ -327,31 +544,31 @@ async function captureFrames(story, outputName = 'story', timelineData) {
                             wrapper.style.transform = 'scale(0.6) translateY(30px)';
                             wrapper.style.transformOrigin = 'center bottom';
                             wrapper.style.willChange = 'transform, opacity'; // ✅ GPU acceleration hint
-                            
+                        
                             // Clone img for SuperGif (it replaces the original)
                             const gifImg = document.createElement('img');
                             gifImg.src = stickerImg.src;
                             gifImg.className = 'gif-controllable';
                             gifImg.rel = 'nofollow';
-                            
+                        
                             wrapper.appendChild(gifImg);
                             stickerImg.parentNode.replaceChild(wrapper, stickerImg);
-                            
+                        
                             // ✅ Mark wrapper as ready for animation BEFORE gif loads
                             wrapper.dataset.gifLoaded = 'pending';
-                            
+                        
                             // Initialize SuperGif
                             const rub = new SuperGif({ 
                                 gif: gifImg, 
                                 auto_play: false,
                                 progressbar_height: 0 // Hide loading bar
                             });
-                            
+                        
                             rub.load(() => {
                                 wrapper.dataset.gifLoaded = 'true';
                                 wrapper.dataset.frameCount = rub.get_length();
                                 wrapper._supergif = rub;
-                                
+                            
                                 // Calculate gif duration based on frame delays
                                 const frameDelays = [];
                                 for (let i = 0; i < rub.get_length(); i++) {
@@ -360,14 +577,14 @@ async function captureFrames(story, outputName = 'story', timelineData) {
                                 }
                                 const totalGifDuration = frameDelays.reduce((a,b) => a+b, 0);
                                 wrapper.dataset.gifDuration = totalGifDuration.toString();
-                                
+                            
                                 // Force canvas to fit wrapper
                                 const canvas = wrapper.querySelector('canvas');
                                 if (canvas) {
                                     canvas.style.maxWidth = '150px';
                                     canvas.style.height = 'auto';
                                 }
-                                
+                            
                                 rub.move_to(0);
                                 console.log('[R] Loaded GIF with', rub.get_length(), 'frames, duration:', totalGifDuration.toFixed(2) + 's');
                             });
@@ -381,14 +598,14 @@ async function captureFrames(story, outputName = 'story', timelineData) {
             window.setCurrentTime = function(currentTime) {
                 try {
                 window.currentFrameTime = currentTime;
-                
+            
                 // Check injection
                 if (typeof window.__INJECTED_STORY__ === 'undefined') {
                     if (Math.floor(currentTime) % 1 === 0) console.log('[R] FATAL: window.__INJECTED_STORY__ is undefined!');
                     return;
                 }
                 const storyData = window.__INJECTED_STORY__;
-                
+            
                 // --- INTRO HANDLING (Render Mode) - IMPROVED ---
                 const introTiming = window.__INJECTED_INTRO_TIMING__ || {
                     delayBefore: 1.0,
@@ -398,33 +615,42 @@ async function captureFrames(story, outputName = 'story', timelineData) {
                     total: window.__INJECTED_INTRO_DURATION__ || 4.0
                 };
                 const introDuration = introTiming.total;
-                
+            
                 // Debug Log (only once per second)
                 if (Math.floor(currentTime * 10) % 10 === 0) {
                     console.log(`[R] Time: ${currentTime.toFixed(2)}s | Intro Total: ${introDuration}s | Phase: ${currentTime < introTiming.delayBefore ? 'DELAY' : currentTime < introDuration ? 'SHOW' : 'CHAT'}`);
                 }
-                
+            
                 if (currentTime < introDuration) {
                     // Create or get dynamic intro overlay for render mode
                     let renderIntro = document.getElementById('render-intro-overlay');
                     let contentWrap;
-                    
+                
                     if (!renderIntro) {
                         renderIntro = document.createElement('div');
                         renderIntro.id = 'render-intro-overlay';
                         // ✅ SOLID COLOR - ป้องกัน banding (ไม่ใช้ gradient)
                         renderIntro.style.cssText = 'position: fixed; top: 0; left: 0; width: 100vw; height: 100vh; z-index: 999999; display: flex; align-items: center; justify-content: center; background-color: #0D8578;';
-                        
+                    
                         // Content wrapper for animation (like .intro-content)
                         contentWrap = document.createElement('div');
                         contentWrap.id = 'render-intro-content';
                         contentWrap.style.cssText = 'text-align: center; padding: 20px; opacity: 0; transform: scale(0.9);';
-                        
+                    
                         const titleEl = document.createElement('h1');
                         titleEl.id = 'render-intro-title';
                         titleEl.style.cssText = 'font-size: 1.5rem; font-weight: 700; color: #ffffff; text-shadow: 2px 2px 10px rgba(0,0,0,0.4); white-space: nowrap; text-align: center; margin: 0;';
                         titleEl.textContent = storyData.room_name || '';
-                        
+                    
+                        // 📦 Series part: "PART N" above the room name
+                        if (storyData.part) {
+                            const partEl = document.createElement('div');
+                            partEl.id = 'render-intro-part';
+                            partEl.style.cssText = 'display: inline-block; margin-bottom: 12px; padding: 4px 14px; border-radius: 999px; background: rgba(255,255,255,0.2); color: #ffffff; font-size: 0.9rem; font-weight: 700; letter-spacing: 2px;';
+                            partEl.textContent = `PART ${storyData.part.number}`;
+                            contentWrap.appendChild(partEl);
+                            contentWrap.appendChild(document.createElement('br'));
+                        }
                         contentWrap.appendChild(titleEl);
                         renderIntro.appendChild(contentWrap);
                         document.body.appendChild(renderIntro);
@@ -432,7 +658,7 @@ async function captureFrames(story, outputName = 'story', timelineData) {
                     } else {
                         contentWrap = document.getElementById('render-intro-content');
                     }
-                    
+                
                     // ============================================
                     // INTRO ANIMATION PHASES
                     // Phase 1: Delay (0 to delayBefore) - Keep hidden
@@ -443,10 +669,10 @@ async function captureFrames(story, outputName = 'story', timelineData) {
                     const fadeInDuration = introTiming.fadeIn;
                     const fadeInStart = delayBefore;
                     const fadeInEnd = delayBefore + fadeInDuration;
-                    
+                
                     let opacity = 0;
                     let scale = 0.9;
-                    
+                
                     if (currentTime < delayBefore) {
                         // Phase 1: Delay before showing - keep hidden
                         opacity = 0;
@@ -457,7 +683,7 @@ async function captureFrames(story, outputName = 'story', timelineData) {
                         progress = Math.min(1, Math.max(0, progress));
                         // Ease-out cubic
                         progress = 1 - Math.pow(1 - progress, 3);
-                        
+                    
                         opacity = progress;
                         scale = 0.9 + (0.1 * progress); // 0.9 → 1.0
                     } else {
@@ -465,12 +691,12 @@ async function captureFrames(story, outputName = 'story', timelineData) {
                         opacity = 1;
                         scale = 1.0;
                     }
-                    
+                
                     if (contentWrap) {
                         contentWrap.style.opacity = opacity.toFixed(3);
                         contentWrap.style.transform = `scale(${scale.toFixed(3)})`;
                     }
-                    
+                
                     return; // SKIP chat rendering during intro
                 } else {
                     // Hide/remove dynamic intro after intro duration
@@ -482,9 +708,11 @@ async function captureFrames(story, outputName = 'story', timelineData) {
                 } catch (e) {
                     console.log('[R] Exception in setCurrentTime:', e.toString());
                 }
-                
+            
                 let isAnyTyping = false;
                 let typingChar = null;
+                let typingOpacity = 0; // replaces the 0.3s CSS opacity transition (wall-clock)
+                const TYPING_FADE = 0.3;
 
                 try {
                 for (const item of timeline) {
@@ -493,16 +721,29 @@ async function captureFrames(story, outputName = 'story', timelineData) {
                         shownMessages.add(item.index);
                         const dialogue = storyData.dialogues[item.index];
                         const senderChar = storyData.characters[dialogue.sender];
-                        story.addMessage(dialogue, senderChar);
-                        story.scrollToBottom();
+                        pendingAppearTime = frameAlignedTime(item.appearTime);
+                        if (window.Reactions && Reactions.isReaction(dialogue)) {
+                            // Badge pops onto an earlier bubble - timed like a message (see .reaction-badge below)
+                            const badge = story.addReaction(dialogue);
+                            if (badge) badge.dataset.appearTime = pendingAppearTime;
+                        } else if (window.BubbleEdits && BubbleEdits.isBubbleEdit(dialogue)) {
+                            // Unsend / edit: the changed bubble flashes from this row's appear time
+                            const bubble = story.applyBubbleEdit(dialogue);
+                            if (bubble) bubble.dataset.appearTime = pendingAppearTime;
+                        } else if (window.Hesitation && Hesitation.isGhostTyping(dialogue)) {
+                            // Typed, stopped, never sent: only its typingWindows show
+                        } else {
+                            story.addMessage(dialogue, senderChar);
+                            story.scrollToBottom();
+                        }
                     }
-                    
+                
                     // ✅ SYNC 3: Sync Video Elements (MP4 Giphys)
                     const videos = document.querySelectorAll('video.giphy-video');
                     videos.forEach(v => {
                         const appearTime = parseFloat(v.closest('.message').dataset.appearTime || 0);
                         const relativeTime = currentTime - appearTime;
-                        
+                    
                         if (relativeTime >= 0) {
                             // Ensure video loops correctly based on its duration
                             // Note: duration might be NaN if not loaded, handle gracefully
@@ -513,44 +754,44 @@ async function captureFrames(story, outputName = 'story', timelineData) {
                             }
                         }
                     });
-                    
+                
                     // ============================================
                     // FIX: Sticker Pop-In Animation (IMPROVED)
                     // Animation ทำงานทันที ไม่รอ GIF load
                     // ============================================
-                    
+                
                     // 🎬 SYNC 4: Sync ALL Sticker Elements (img.sticker + gif-canvas-wrapper)
                     // ต้อง sync ทั้ง raw img.sticker และ gif-canvas-wrapper
                     const stickerElements = document.querySelectorAll('.chat-image.sticker, .gif-canvas-wrapper');
                     stickerElements.forEach(element => {
                         const msg = element.closest('.message');
                         if (!msg) return;
-                        
+                    
                         const appearTime = parseFloat(msg.dataset.appearTime || 0);
                         const relativeTime = currentTime - appearTime;
-                        
+                    
                         // 🎨 PopIn Animation - ALWAYS apply (ไม่รอ GIF load)
                         const animDuration = 0.35; // เพิ่มเวลา animation เล็กน้อย
                         let scale = 1;
                         let translateY = 0;
                         let opacity = 1;
-                        
+                    
                         if (relativeTime >= 0) {
                             if (relativeTime < animDuration) {
                                 const t = relativeTime / animDuration;
-                                
+                            
                                 // EaseOutBack curve for bouncy "pop" effect (overshoot)
                                 // c1 = 1.70158 คือค่า standard สำหรับ easeOutBack
                                 const c1 = 1.70158;
                                 const c3 = c1 + 1;
                                 const eased = 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
-                                
+                            
                                 // Scale: 0.6 → overshoot ~1.1 → settle at 1.0
                                 scale = 0.6 + (0.4 * eased);
-                                
+                            
                                 // TranslateY: 30px → 0px (เพิ่มระยะเพื่อให้เห็น bounce ชัด)
                                 translateY = 30 * (1 - eased);
-                                
+                            
                                 // Opacity: 0 → 1 (ช่วงแรก 60% ของ animation)
                                 opacity = Math.min(1, t / 0.6);
                             } else {
@@ -559,21 +800,21 @@ async function captureFrames(story, outputName = 'story', timelineData) {
                                 translateY = 0;
                                 opacity = 1;
                             }
-                            
+                        
                             // Apply styles directly
                             element.style.opacity = opacity.toString();
                             element.style.transform = `scale(${scale.toFixed(4)}) translateY(${translateY.toFixed(2)}px)`;
                             element.style.transformOrigin = 'center bottom';
-                            
+                        
                             // 🎬 GIF Frame Sync (only for loaded gif-canvas-wrapper)
                             // ✅ Animation works even if GIF not loaded yet (pending state)
                             if (element.classList.contains('gif-canvas-wrapper') && 
                                 element._supergif && 
                                 element.dataset.gifLoaded === 'true') {
-                                
+                            
                                 const rub = element._supergif;
                                 const frameCount = parseInt(element.dataset.frameCount) || 1;
-                                
+                            
                                 // Time-based frame calculation
                                 const gifDuration = parseFloat(element.dataset.gifDuration) || (frameCount * 0.1);
                                 const loopedTime = relativeTime % gifDuration;
@@ -582,7 +823,7 @@ async function captureFrames(story, outputName = 'story', timelineData) {
                                     Math.floor(loopedTime / timePerFrame),
                                     frameCount - 1
                                 );
-                                
+                            
                                 // Skip redundant frame moves
                                 const lastFrame = parseInt(element.dataset.lastFrameIndex) || -1;
                                 if (frameIndex !== lastFrame) {
@@ -597,30 +838,39 @@ async function captureFrames(story, outputName = 'story', timelineData) {
                         }
                     });
 
-                    // Check Typing
-                    if (currentTime >= item.typingStart && currentTime < item.typingEnd) {
+                    // Check Typing (+ fade out for TYPING_FADE after each window ends - hesitation bursts stop and restart)
+                    const typingWindows = item.typingWindows || [{ start: item.typingStart, end: item.typingEnd }];
+                    for (const win of typingWindows) {
+                        if (!(win.end > win.start && currentTime >= win.start && currentTime < win.end + TYPING_FADE)) continue;
                         const dialogue = storyData.dialogues[item.index];
                         const senderChar = storyData.characters[dialogue.sender];
                         if (senderChar && senderChar.side === 'left') {
-                            isAnyTyping = true;
-                            typingChar = senderChar;
+                            const opacity = currentTime < win.end
+                                ? Math.min(1, (currentTime - win.start) / TYPING_FADE)
+                                : 1 - (currentTime - win.end) / TYPING_FADE;
+                            if (opacity > typingOpacity) {
+                                typingOpacity = opacity;
+                                typingChar = senderChar;
+                            }
+                            if (currentTime < win.end) isAnyTyping = true;
                         }
                     }
                 }
                 } catch(e) { console.log('[R] Loop Error:', e.toString()); }
-                
+            
                 // Update Typing UI
                 try {
                 const typingIndicator = document.getElementById('typing-indicator');
-                if (isAnyTyping) {
-                    typingIndicator.classList.remove('hidden');
+                typingIndicator.style.opacity = String(typingOpacity);
+                if (typingOpacity > 0) {
+                    typingIndicator.classList.toggle('hidden', !isAnyTyping);
                     const avatarImg = document.querySelector('.typing-avatar img');
                     if (avatarImg && typingChar) {
                         let avatarSrc = typingChar.avatar;
                         if (avatarSrc && avatarSrc.startsWith('assets')) avatarSrc = '/' + avatarSrc;
                         if (!avatarImg.src.endsWith(avatarSrc)) avatarImg.src = avatarSrc;
                     }
-                    
+                
                     // ✅ FIX 3: Manually Advance Typing Dots
                     // Loop 1.4s (from style.css)
                     const dots = document.querySelectorAll('.typing-bubble .dot');
@@ -629,6 +879,14 @@ async function captureFrames(story, outputName = 'story', timelineData) {
                         const stagger = index * 0.2;
                         // Seek animation to current time
                         dot.style.animationDelay = `calc(-${currentTime}s + ${stagger}s)`;
+                        // A paused CSS animation that was just (re)shown can still
+                        // pick up a few ms of wall-clock time - pin it explicitly
+                        if (dot.getAnimations) {
+                            dot.getAnimations().forEach(anim => {
+                                anim.pause();
+                                anim.currentTime = 0;
+                            });
+                        }
                     });
 
                 } else {
@@ -636,44 +894,35 @@ async function captureFrames(story, outputName = 'story', timelineData) {
                 }
                 } catch(e) { console.log('[R] Typing UI Error:', e.toString()); }
 
-                // ✅ FIX 4: Manually Advance Message Pop-in & Cinematic Focus
-                let isCinematic = false;
-                
-                // Check Cinematic Focus Window (2.5s duration)
-                for (const item of timeline) {
-                    if (item.dialogue.camera_effect === 'zoom_in' && 
-                        currentTime >= item.appearTime && 
-                        currentTime < (item.appearTime + 2.5)) {
-                        isCinematic = true;
-                        break;
-                    }
+                // 🔤 Caption Strip: same cue times as the .srt/.vtt sidecars
+                if (captionStrip) {
+                    const cue = captionCues.find(c => currentTime >= c.start && currentTime < c.end);
+                    const text = cue ? cue.text : '';
+                    if (captionStrip.textContent !== text) captionStrip.textContent = text;
+                    captionStrip.classList.toggle('hidden', !cue);
                 }
 
-                // Apply Cinematic State Manually
-                const camTop = document.getElementById('cinematic-bar-top');
-                const camBottom = document.getElementById('cinematic-bar-bottom');
-                const wrapper = document.getElementById('camera-wrapper');
-
-                if (isCinematic) {
-                    if(camTop) camTop.style.height = '15%';
-                    if(camBottom) camBottom.style.height = '15%';
-                    if(wrapper) {
-                        wrapper.style.transform = 'scale(1.15) translateY(-5%)';
-                        wrapper.style.filter = 'contrast(1.1) saturate(1.2)';
-                    }
-                } else {
-                    if(camTop) camTop.style.height = '0%';
-                    if(camBottom) camBottom.style.height = '0%';
-                    if(wrapper) {
-                        wrapper.style.transform = 'none';
-                        wrapper.style.filter = 'none';
-                    }
+                // 📦 Outro / "to be continued" card (visualizer/outro.js, mounted at setup)
+                if (endCard && window.OutroCard) {
+                    OutroCard.apply(OutroCard.computeState(endCard, currentTime), document.getElementById('render-end-card'));
+                }
+
+                // ✅ FIX 4: Camera Effects (zoom / shake / push-in / letterbox)
+                // Pure function of time -> identical on every page and every re-render
+                try {
+                if (window.CameraEffects) {
+                    CameraEffects.apply(CameraEffects.computeState(cameraCues, currentTime), {
+                        wrapper: document.getElementById('camera-wrapper'),
+                        barTop: document.getElementById('cinematic-bar-top'),
+                        barBottom: document.getElementById('cinematic-bar-bottom')
+                    });
                 }
+                } catch(e) { console.log('[R] Camera Error:', e.toString()); }
 
                 // Time Divider Overlay Check
                 let activeOverlay = false;
                 let overlayText = '';
-                
+            
                 for (const item of timeline) {
                     if (item.dialogue.sender === 'time_divider') {
                         if (currentTime >= item.typingStart && currentTime < item.appearTime) {
@@ -683,7 +932,7 @@ async function captureFrames(story, outputName = 'story', timelineData) {
                         }
                     }
                 }
-                
+            
                 // Apply Time Divider Overlay State
                 let overlay = document.getElementById('time-divider-overlay');
                 if (activeOverlay) {
@@ -699,48 +948,565 @@ async function captureFrames(story, outputName = 'story', timelineData) {
                     if (overlay) overlay.style.opacity = '0';
                 }
 
-                document.querySelectorAll('.message').forEach(msg => {
+                // Reaction badges / edited bubbles use the same pop-by-animation-delay as bubbles
+                document.querySelectorAll('.message, .reaction-badge, .bubble-transform').forEach(msg => {
                     const appearTime = parseFloat(msg.dataset.appearTime || 0);
                     const elapsed = currentTime - appearTime;
                     if (elapsed >= 0) {
                         msg.style.animationDelay = `-${elapsed}s`;
+                        if (msg.getAnimations) {
+                            msg.getAnimations().forEach(anim => {
+                                anim.pause();
+                                anim.currentTime = 0;
+                            });
+                        }
                     }
                 });
-            };
             
+                // Voice notes: waveform progress from the bubble's appear time (audio is mixed in by ffmpeg)
+                if (window.VoiceNotes) {
+                    document.querySelectorAll('.voice-note').forEach(note => {
+                        const msg = note.closest('.message');
+                        VoiceNotes.setProgress(note, currentTime - parseFloat((msg && msg.dataset.appearTime) || 0));
+                    });
+                }
+
+                // ✅ Time-based scroll: ease from the previous bottom to the new bottom
+                // after each message (replaces CSS smooth scroll, which ignores frame time)
+                const messages = story.container.querySelectorAll('.message');
+                const lastMsg = messages[messages.length - 1];
+                if (lastMsg) {
+                    const container = story.container;
+                    const maxScroll = Math.max(0, container.scrollHeight - container.clientHeight);
+                    const prevMsg = messages[messages.length - 2];
+                    const addedHeight = prevMsg
+                        ? (lastMsg.offsetTop + lastMsg.offsetHeight) - (prevMsg.offsetTop + prevMsg.offsetHeight)
+                        : 0;
+                    const fromScroll = Math.max(0, maxScroll - addedHeight);
+                    const scrollDuration = 0.3;
+                    let t = (currentTime - parseFloat(lastMsg.dataset.appearTime || 0)) / scrollDuration;
+                    t = Math.min(1, Math.max(0, t));
+                    const eased = 1 - Math.pow(1 - t, 3);
+                    container.scrollTop = Math.round(fromScroll + (maxScroll - fromScroll) * eased);
+                }
+            };
+        
             window.timelineReady = true;
         }
     });
-    
+
     await page.waitForFunction(() => window.timelineReady === true, { timeout: 15000 });
+    return page;
+}
+
+// Seek a render page to `time`. Waits for images/GIFs that started loading on this
+// frame, then seeks again so they are drawn - keeps output independent of network timing.
+async function seekFrame(page, time) {
+    await page.evaluate((t) => window.setCurrentTime(t), time);
+    const pending = await page.evaluate(() =>
+        !!document.querySelector('[data-gif-loaded="pending"]') ||
+        Array.from(document.images).some(img => !img.complete)
+    );
+    if (pending) {
+        await page.waitForFunction(() =>
+            !document.querySelector('[data-gif-loaded="pending"]') &&
+            Array.from(document.images).every(img => img.complete),
+            { timeout: 10000 }
+        ).catch(async () => {
+            console.warn(`\n⚠️ Assets still loading at ${time.toFixed(2)}s, capturing anyway`);
+            // Don't wait on the same broken GIF every frame
+            await page.evaluate(() => {
+                document.querySelectorAll('[data-gif-loaded="pending"]').forEach(el => { el.dataset.gifLoaded = 'timeout'; });
+            });
+        });
+        await page.evaluate((t) => window.setCurrentTime(t), time);
+    }
+    // Loaded isn't decoded: Chromium may paint a placeholder-quality avatar for a
+    // frame or two, which shows up as per-run pixel noise
+    await page.evaluate(() => Promise.all(
+        Array.from(document.images).map(img => (img.src ? img.decode().catch(() => {}) : null))
+    ));
+}
+
+// Split [0, totalFrames) into contiguous slices, one per worker.
+// Tiny renders stay on fewer workers (page startup costs more than it saves).
+function splitFrameRange(totalFrames, workers, minFramesPerSlice = CONFIG.minFramesPerWorker) {
+    const count = Math.max(1, Math.min(workers, Math.floor(totalFrames / minFramesPerSlice)));
+    const size = Math.ceil(totalFrames / count);
+    const slices = [];
+    for (let start = 0; start < totalFrames; start += size) {
+        slices.push({ start, end: Math.min(totalFrames, start + size) });
+    }
+    return slices;
+}
+
+// ============================================
+// Segment Encoder (pipe capture mode)
+// ============================================
+// Screenshots go to ffmpeg over stdin (image2pipe) and come out as a lossless
+// RGB H.264 segment, so the final encode sees exactly the pixels a PNG would hold.
+function startSegmentEncoder(segmentPath, quality = resolveRenderQuality()) {
+    const proc = spawn(ffmpegPath, [
+        '-y',
+        '-f', 'image2pipe',
+        '-framerate', String(quality.fps),
+        '-c:v', quality.frameFormat === 'jpeg' ? 'mjpeg' : 'png',
+        '-i', '-',
+        '-c:v', 'libx264rgb',
+        '-qp', '0',               // lossless
+        '-preset', 'ultrafast',
+        '-pix_fmt', 'rgb24',
+        segmentPath
+    ]);
+    
+    let stderr = '';
+    let exited = false;
+    proc.stderr.on('data', (data) => { stderr = (stderr + data.toString()).slice(-2000); });
+    proc.stdin.on('error', () => {}); // EPIPE surfaces through `done` below
+    
+    const done = new Promise((resolve, reject) => {
+        proc.on('error', reject);
+        proc.on('close', (code) => {
+            exited = true;
+            if (code === 0) resolve(segmentPath);
+            else reject(new Error(`Segment encoder failed (code ${code}): ${stderr.trim().split('\n').pop()}`));
+        });
+    });
+    done.catch(() => {}); // handled by whoever awaits finish()
+    
+    // Respect stdin backpressure so frames don't pile up in memory
+    const write = (buffer) => new Promise((resolve, reject) => {
+        if (exited) return reject(new Error('Segment encoder exited early'));
+        if (proc.stdin.write(buffer)) return resolve();
+        const onDrain = () => { proc.off('close', onClose); resolve(); };
+        const onClose = () => { proc.stdin.off('drain', onDrain); reject(new Error('Segment encoder exited early')); };
+        proc.stdin.once('drain', onDrain);
+        proc.once('close', onClose);
+    });
+    
+    return {
+        write,
+        finish: () => { proc.stdin.end(); return done; },
+        kill: () => { if (!exited) proc.kill('SIGKILL'); }
+    };
+}
+
+// ============================================
+// Frame Cleanup & Retention
+// ============================================
+// Delete work dirs under CONFIG.framesDir beyond the newest `keepLatest` or older than `maxAgeHours`.
+// Dirs of unfinished renders (any project) hold a checkpoint.json and only expire after `unfinishedMaxAgeHours`.
+async function pruneFrameDirs(excludeDir = null, retention = CONFIG.frameRetention) {
+    const root = CONFIG.framesDir;
+    if (!await fs.pathExists(root)) return;
+    
+    const entries = await fs.readdir(root);
+    const dirs = [];
+    const unfinished = [];
+    for (const name of entries) {
+        const dirPath = path.join(root, name);
+        if (excludeDir && path.resolve(dirPath) === path.resolve(excludeDir)) continue;
+        const stat = await fs.stat(dirPath).catch(() => null);
+        if (!stat || !stat.isDirectory()) continue;
+        const checkpointStat = await fs.stat(path.join(dirPath, CHECKPOINT_FILE)).catch(() => null);
+        if (checkpointStat) unfinished.push({ dirPath, mtime: checkpointStat.mtimeMs });
+        else dirs.push({ dirPath, mtime: stat.mtimeMs });
+    }
+    dirs.sort((a, b) => b.mtime - a.mtime);
+    
+    const maxAgeMs = retention.maxAgeHours * 60 * 60 * 1000;
+    for (const [i, dir] of dirs.entries()) {
+        if (i >= retention.keepLatest || Date.now() - dir.mtime > maxAgeMs) {
+            await fs.remove(dir.dirPath);
+            console.log(`🧹 Removed old frames: ${dir.dirPath}`);
+        }
+    }
+    
+    const unfinishedMaxAgeMs = retention.unfinishedMaxAgeHours * 60 * 60 * 1000;
+    for (const dir of unfinished) {
+        if (Date.now() - dir.mtime > unfinishedMaxAgeMs) {
+            await fs.remove(dir.dirPath);
+            console.log(`🧹 Removed stale checkpoint: ${dir.dirPath}`);
+        }
+    }
+}
+
+// ============================================
+// Render Checkpoint (resume after crash/restart)
+// ============================================
+// checkpoint.json lives in the work dir next to the frames/segments:
+// { storyHash, timelineHash, captureMode, segmentFrames, totalFrames, slices: [{ start, end, next }] }
+// `next` = first frame of the slice that is not safely on disk yet.
+const CHECKPOINT_FILE = 'checkpoint.json';
+
+function hashJson(value) {
+    return crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex');
+}
+
+// Story fields the captured frames are drawn from: chat, header and intro card.
+// status / memory_saved / sound_mapping / outro don't touch a frame (the end card is in the timeline hash)
+const PIXEL_STORY_FIELDS = ['dialogues', 'characters', 'theme', 'show_partner_name', 'show_my_name', 'custom_header_name', 'room_name', 'intro_path', 'part'];
+
+// Anything that changes the captured pixels must be part of the key
+function checkpointKey(story, timelineData, captureMode, captions = null, quality = resolveRenderQuality()) {
+    const { timeline, totalDuration, introTiming, endCard } = timelineData;
+    const { fps, scale, frameFormat, jpegQuality, watermark } = quality;
+    return {
+        storyHash: hashJson(PIXEL_STORY_FIELDS.map(field => story[field] ?? null)),
+        timelineHash: hashJson({ timeline, totalDuration, introTiming, endCard, fps, width: CONFIG.width, height: CONFIG.height }),
+        qualityHash: hashJson({ scale, frameFormat, jpegQuality, watermark }),
+        captionsHash: captions ? hashJson(captions) : null,
+        captureMode,
+        segmentFrames: CONFIG.segmentFrames
+    };
+}
+
+async function readCheckpoint(workDir) {
+    try {
+        return await fs.readJson(path.join(workDir, CHECKPOINT_FILE));
+    } catch (e) {
+        return null; // missing or half-written: start over
+    }
+}
+
+// Writes are queued so parallel workers never interleave, and go through a
+// temp file + rename so a crash mid-write can't leave broken JSON behind
+function createCheckpointWriter(workDir, checkpoint) {
+    const filePath = path.join(workDir, CHECKPOINT_FILE);
+    const tmpPath = `${filePath}.tmp`;
+    let queue = Promise.resolve();
+    
+    return () => {
+        const json = JSON.stringify({ ...checkpoint, updatedAt: new Date().toISOString() }, null, 2);
+        queue = queue
+            .then(() => fs.writeFile(tmpPath, json))
+            .then(() => fs.move(tmpPath, filePath, { overwrite: true }))
+            .catch(err => console.warn('⚠️ Could not save render checkpoint:', err.message));
+        return queue;
+    };
+}
+
+// Pipe mode segment for the chunk starting at `frame` (zero-padded so names sort in order)
+function segmentPathFor(workDir, frame) {
+    return path.join(workDir, `segment_${String(frame).padStart(6, '0')}.mkv`);
+}
+
+// ============================================
+// Frame Capture
+// ============================================
+// 90: Frame Capture
+// Resumes from checkpoint.json when the same story was interrupted before;
+// runOptions.workKey keeps the work dir stable across re-runs (defaults to outputName).
+async function captureFrames(story, outputName = 'story', timelineData, runOptions = {}) {
+    const { signal } = runOptions;
+    throwIfCancelled(signal);
+
+    const captureMode = runOptions.captureMode || CONFIG.captureMode;
+    const quality = runOptions.quality || resolveRenderQuality();
+    // Draft proofs get their own work dir so they never discard a final render's checkpoint
+    const workName = (runOptions.workKey || outputName) + (quality.id === 'final' ? '' : `_${quality.id}`);
+    const framesDir = path.join(CONFIG.framesDir, workName);
+    await fs.ensureDir(framesDir);
+    
+    const { totalDuration } = timelineData;
+    const totalFrames = Math.ceil(totalDuration * quality.fps);
     
-    // Capture Loop
-    for (let frame = 0; frame < totalFrames; frame++) {
-        const currentTime = frame / CONFIG.fps;
-        await page.evaluate((time) => window.setCurrentTime(time), currentTime);
+    // ✅ Resume: reuse the slices of an interrupted run if nothing changed since
+    const key = checkpointKey(story, timelineData, captureMode, runOptions.captions, quality);
+    const saved = await readCheckpoint(framesDir);
+    const canResume = saved && saved.totalFrames === totalFrames &&
+        Object.keys(key).every(field => saved[field] === key[field]);
+    
+    let slices;
+    if (canResume) {
+        slices = saved.slices;
+    } else {
+        if (saved) console.log('♻️ Story changed since the last attempt, discarding old frames');
+        await fs.emptyDir(framesDir);
+        const workers = Math.max(1, parseInt(runOptions.workers) || CONFIG.workers);
+        slices = splitFrameRange(totalFrames, workers).map(slice => ({ ...slice, next: slice.start }));
+    }
+    const checkpoint = { ...key, totalFrames, slices };
+    const saveCheckpoint = createCheckpointWriter(framesDir, checkpoint);
+    await saveCheckpoint();
+    
+    let framesDone = slices.reduce((sum, slice) => sum + (slice.next - slice.start), 0);
+    const remaining = slices.filter(slice => slice.next < slice.end);
+    
+    console.log(`\nCapturing ${totalFrames} frames (${totalDuration.toFixed(1)}s, ${captureMode} mode)...`);
+    if (canResume) console.log(`⏯️ Resuming: ${framesDone} / ${totalFrames} frames already captured`);
+    reportProgress(runOptions, 'capture', { frame: framesDone, totalFrames });
+    
+    // Disk mode: every worker writes frame_%06d.png with the global frame number.
+    // Pipe mode: every worker streams chunks of CONFIG.segmentFrames into their own segments;
+    // segments are concatenated in order. Either way the slices join without any lossy step in between.
+    const frameExt = quality.frameFormat === 'jpeg' ? 'jpg' : 'png';
+    const captureSlice = async (page, slice) => {
+        const grabFrame = async (frame) => {
+            throwIfCancelled(signal);
+            await seekFrame(page, frame / quality.fps);
+            // ใช้ PNG แทน JPEG เพื่อป้องกัน banding บน gradient (draft: JPEG, ความเร็วสำคัญกว่า)
+            return quality.frameFormat === 'jpeg'
+                ? page.screenshot({ type: 'jpeg', quality: quality.jpegQuality })
+                : page.screenshot({ type: 'png' });
+        };
+        const frameDone = () => {
+            framesDone++;
+            if (framesDone % 30 === 0) process.stdout.write(`\rRecording: ${framesDone} / ${totalFrames} frames`);
+            reportProgress(runOptions, 'capture', { frame: framesDone, totalFrames });
+        };
+        
+        if (captureMode !== 'pipe') {
+            while (slice.next < slice.end) {
+                const framePath = path.join(framesDir, `frame_${String(slice.next).padStart(6, '0')}.${frameExt}`);
+                await fs.writeFile(framePath, await grabFrame(slice.next));
+                slice.next++;
+                saveCheckpoint();
+                frameDone();
+            }
+            return;
+        }
         
-        // ใช้ PNG แทน JPEG เพื่อป้องกัน banding บน gradient
-        const framePath = path.join(framesDir, `frame_${String(frame).padStart(6, '0')}.png`);
-        await page.screenshot({ path: framePath, type: 'png' });
+        while (slice.next < slice.end) {
+            const chunkEnd = Math.min(slice.end, slice.next + CONFIG.segmentFrames);
+            const encoder = startSegmentEncoder(segmentPathFor(framesDir, slice.next), quality);
+            const detachAbort = killOnAbort(signal, encoder.kill);
+            try {
+                for (let frame = slice.next; frame < chunkEnd; frame++) {
+                    await encoder.write(await grabFrame(frame));
+                    frameDone();
+                }
+                await encoder.finish();
+            } catch (err) {
+                encoder.kill();
+                throw err;
+            } finally {
+                detachAbort();
+            }
+            // Only a finished segment counts - a half-written one is redone on resume
+            slice.next = chunkEnd;
+            await saveCheckpoint();
+        }
+    };
+    
+    if (remaining.length === 0) {
+        console.log('⏩ All frames already captured, going straight to assembly');
+    } else {
+        const browser = await puppeteer.launch({
+            headless: 'new',
+            args: [
+                '--no-sandbox',
+                '--disable-setuid-sandbox',
+                // Parallel workers = several tabs; keep background tabs at full speed
+                '--disable-background-timer-throttling',
+                '--disable-backgrounding-occluded-windows',
+                '--disable-renderer-backgrounding'
+            ]
+        });
+        if (remaining.length > 1) console.log(`⚡ Parallel capture: ${remaining.length} workers`);
+        
+        // ✅ Always close Chromium - cancelled/failed renders used to leave it running
+        try {
+            await Promise.all(remaining.map(async (slice, i) => {
+                const page = await openRenderPage(browser, story, timelineData, remaining.length > 1 ? `W${i + 1}` : '', runOptions.captions, quality);
+                try {
+                    await captureSlice(page, slice);
+                } finally {
+                    await page.close().catch(() => {});
+                }
+            }));
+        
+            console.log('\nFrame capture complete.');
+        } finally {
+            await browser.close();
+            await saveCheckpoint();
+        }
+    }
+    
+    // What assembleVideo() reads as input 0
+    let videoInput;
+    if (captureMode === 'pipe') {
+        const segmentNames = [];
+        slices.forEach(slice => {
+            for (let frame = slice.start; frame < slice.end; frame += CONFIG.segmentFrames) {
+                segmentNames.push(path.basename(segmentPathFor(framesDir, frame)));
+            }
+        });
+        const listPath = path.join(framesDir, 'segments.txt');
+        await fs.writeFile(listPath, segmentNames.map(name => `file '${name}'`).join('\n') + '\n');
+        videoInput = { path: listPath, inputOptions: ['-f', 'concat', '-safe', '0'] };
+    } else {
+        videoInput = { path: path.join(framesDir, `frame_%06d.${frameExt}`), inputOptions: ['-r', String(quality.fps)] };
+    }
+    
+    return { framesDir, frameCount: totalFrames, videoInput };
+}
+
+// ============================================
+// Still Frame (hook frame for covers.js)
+// ============================================
+// One 1080x1920 PNG of the chat at `time`. A fresh page can seek straight to any
+// time (parallel slices rely on the same thing), so this is exactly the video frame.
+async function captureStill(story, timelineData, time, outputPath) {
+    const browser = await puppeteer.launch({
+        headless: 'new',
+        args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+    try {
+        const page = await openRenderPage(browser, story, timelineData, 'still');
+        const frame = Math.min(Math.round(time * CONFIG.fps), Math.ceil(timelineData.totalDuration * CONFIG.fps) - 1);
+        await seekFrame(page, frame / CONFIG.fps);
+        await fs.ensureDir(path.dirname(outputPath));
+        await page.screenshot({ path: outputPath, type: 'png' });
+        return outputPath;
+    } finally {
+        await browser.close();
+    }
+}
+
+// ============================================
+// Output Layout (render presets)
+// ============================================
+// Capture always produces the 9:16 phone; 1:1 / 4:5 / 16:9 are composed here.
+
+// Static layer under the phone: brand background and/or 16:9 side panels.
+// Blurred 1:1 / 4:5 renders don't need one (the blur comes from the video itself).
+async function renderBackdrop(story, preset, workDir) {
+    if (preset.layout === 'full') return null;
+    if (preset.layout === 'centered' && preset.background === 'blur') return null;
+    
+    const scale = 3; // same deviceScaleFactor as the capture pages
+    const browser = await puppeteer.launch({
+        headless: 'new',
+        args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+    try {
+        const page = await browser.newPage();
+        await page.setViewport({ width: preset.width / scale, height: preset.height / scale, deviceScaleFactor: scale });
+        await page.evaluateOnNewDocument((data) => { window.__BACKDROP__ = data; }, {
+            layout: preset.layout,
+            background: preset.background,
+            brandImage: fs.existsSync(BRAND_BACKGROUND) ? BRAND_BACKGROUND : null,
+            phone: preset.phone,
+            scale,
+            story: {
+                title: story.title,
+                room_name: story.room_name,
+                custom_header_name: story.custom_header_name,
+                characters: story.characters
+            }
+        });
+        await page.goto(`${await getVisualizerBaseUrl()}/visualizer/backdrop.html?v=${Date.now()}`, {
+            waitUntil: 'networkidle0',
+            timeout: 60000
+        });
+        await page.waitForFunction(() => window.backdropReady === true, { timeout: 15000 });
         
-        if (frame % 30 === 0) process.stdout.write(`\rRecording: ${currentTime.toFixed(1)}s / ${totalDuration.toFixed(1)}s`);
+        const backdropPath = path.join(workDir, `backdrop_${preset.id.replace(':', 'x')}_${preset.background}.png`);
+        await page.screenshot({ path: backdropPath, type: 'png', omitBackground: true });
+        console.log(`🖼️ Backdrop ready (${preset.id}, ${preset.background})`);
+        return backdropPath;
+    } finally {
+        await browser.close();
     }
+}
+
+// Video part of the ffmpeg filter graph: [0:v] (+ backdrop input) -> [vout]
+function buildVideoFilter(layout, backdropInput = null, fps = CONFIG.fps) {
+    const preset = layout?.preset;
+    if (!preset || preset.layout === 'full') return `[0:v]fps=${fps}[vout]`;
     
-    console.log('\nFrame capture complete.');
-    await browser.close();
-    return { framesDir, frameCount: totalFrames };
+    const { width, height, phone } = preset;
+    const graph = [];
+    let base;
+    
+    if (preset.background === 'blur') {
+        // Blur at 1/4 size and scale back up: same look, a fraction of the work
+        const smallW = Math.round(width / 8) * 2;
+        const smallH = Math.round(height / 8) * 2;
+        graph.push('[0:v]split=2[bgsrc][phonesrc]');
+        graph.push(`[bgsrc]scale=${smallW}:${smallH}:force_original_aspect_ratio=increase,crop=${smallW}:${smallH},` +
+            `boxblur=12:2,scale=${width}:${height},eq=brightness=-0.08[bg]`);
+        base = '[bg]';
+        if (backdropInput !== null) {
+            graph.push(`[bg][${backdropInput}:v]overlay=0:0:shortest=1[bgpanels]`);
+            base = '[bgpanels]';
+        }
+    } else {
+        graph.push('[0:v]null[phonesrc]');
+        base = `[${backdropInput}:v]`;
+    }
+    
+    graph.push(`[phonesrc]scale=${phone.width}:${phone.height}[phone]`);
+    graph.push(`${base}[phone]overlay=${phone.x}:${phone.y}:shortest=1,fps=${fps}[vout]`);
+    return graph.join(';');
+}
+
+// ============================================
+// BGM Envelope (ducking + fades)
+// ============================================
+// Every voice clip's start/end is known from the timeline, so the ducking is a
+// scheduled volume envelope rather than a compressor reacting to the signal:
+// same result on every render, and it dips *before* the first syllable.
+function speechIntervals(timeline = [], introPath = null, introTiming = null) {
+    const intervals = [];
+    if (introPath && introTiming?.ttsDuration > 0) {
+        intervals.push({ start: introTiming.delayBefore, end: introTiming.delayBefore + introTiming.ttsDuration });
+    }
+    timeline.forEach(item => {
+        if (item.voiceDuration > 0) intervals.push({ start: item.appearTime, end: item.appearTime + item.voiceDuration });
+    });
+    return intervals.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Filter chain for the delayed BGM stream: fade in after the intro, duck under speech,
+ * fade out over the ending buffer
+ * @returns {string} e.g. "afade=t=in:st=4.1:d=1,volume='...':eval=frame,afade=t=out:st=30:d=3"
+ */
+function buildBgmEnvelope({ bgmVolume, introDuration, fadeOutStart, totalDuration, speech = [] }) {
+    const attack = TIMING.BGM_DUCK_ATTACK ?? 0.15;
+    const release = TIMING.BGM_DUCK_RELEASE ?? 0.5;
+    const duckLevel = TIMING.BGM_DUCK_LEVEL ?? 0.35;
+    const fmt = (n) => n.toFixed(3);
+
+    // Lines closer together than a full release + attack stay ducked instead of pumping
+    const merged = [];
+    speech.forEach(({ start, end }) => {
+        const last = merged[merged.length - 1];
+        if (last && start - last.end < attack + release) last.end = Math.max(last.end, end);
+        else merged.push({ start, end });
+    });
+
+    const filters = [`afade=t=in:st=${fmt(introDuration)}:d=${fmt(TIMING.BGM_FADE_IN ?? 1.0)}`];
+    if (merged.length > 0) {
+        // 0 = music at full level, 1 = fully ducked; ramps are linear
+        const ducked = merged
+            .map(({ start, end }) => `clip(min((t-${fmt(start - attack)})/${attack}\,(${fmt(end + release)}-t)/${release})\,0\,1)`)
+            .reduce((acc, term) => (acc ? `max(${acc}\,${term})` : term), '');
+        filters.push(`volume='${bgmVolume}*(1-${fmt(1 - duckLevel)}*${ducked})':eval=frame`);
+    } else {
+        filters.push(`volume=${bgmVolume}`);
+    }
+    const fadeOut = totalDuration - fadeOutStart;
+    if (fadeOut > 0) filters.push(`afade=t=out:st=${fmt(fadeOutStart)}:d=${fmt(fadeOut)}`);
+    return filters.join(',');
 }
 
 // ============================================
 // Assemble Video
 // ============================================
-async function assembleVideo(framesDir, outputName = 'story', audioOptions = {}) {
-    const outputPath = path.join(CONFIG.outputDir, `${outputName}.mp4`);
-    const framePattern = path.join(framesDir, 'frame_%06d.png');  // PNG for no banding
+// videoInput = { path, inputOptions } from captureFrames() (PNG sequence or segment list)
+// + optional layout = { preset, backdropPath } for non 9:16 render presets
+async function assembleVideo(videoInput, outputName = 'story', audioOptions = {}, runOptions = {}) {
+    throwIfCancelled(runOptions.signal);
+    const quality = runOptions.quality || resolveRenderQuality();
+    const outputDir = quality.outputDir || CONFIG.outputDir;
+    const outputPath = path.join(outputDir, `${outputName}.mp4`);
 
-    await fs.ensureDir(CONFIG.outputDir);
+    await fs.ensureDir(outputDir);
     
-    const { bgMusicPath, sfxPath, timeline, bgmVolume = 0.3, sfxVolume = 0.5, totalDuration, swooshPath, swooshVolume = 0.7, introPath, introDuration = 0, introTiming } = audioOptions;
+    const { bgMusicPath, sfxPath, sfxEnabled = true, soundMapping, story, timeline, bgmVolume = 0.3, sfxVolume = 0.5, totalDuration, chatEnd, swooshPath, swooshVolume = 0.7, introPath, introDuration = 0, introTiming } = audioOptions;
     
     return new Promise((resolve, reject) => {
         console.log(`Assembling video... (duration: ${totalDuration?.toFixed(1) || '?'}s)`);
@@ -762,10 +1528,19 @@ async function assembleVideo(framesDir, outputName = 'story', audioOptions = {})
         
         // 0: Video
         let command = ffmpeg()
-            .input(framePattern)
-            .inputFPS(CONFIG.fps);
+            .input(videoInput.path)
+            .inputOptions(videoInput.inputOptions);
+        
+        // 1: Backdrop image (render presets only), looped for the whole video
+        let backdropInput = null;
+        if (videoInput.layout?.backdropPath) {
+            command.input(videoInput.layout.backdropPath).inputOptions(['-loop', '1', '-framerate', String(quality.fps)]);
+            backdropInput = 1;
+        }
+        const videoFilter = buildVideoFilter(videoInput.layout, backdropInput, quality.fps);
         
-        let audioInputIndex = 1;
+        const firstAudioInput = backdropInput === null ? 1 : 2;
+        let audioInputIndex = firstAudioInput;
         let filterComplex = '';
         let mixInputs = '';
         let hasAudio = false;
@@ -797,48 +1572,74 @@ async function assembleVideo(framesDir, outputName = 'story', audioOptions = {})
         // 3. BGM (if exists) - starts when chat begins (after intro)
         if (bgMusicPath && fs.existsSync(bgMusicPath)) {
             command.input(bgMusicPath).inputOptions(['-stream_loop', '-1']);
-            // BGM starts when chat begins
+            // BGM starts when chat begins, fades in, ducks under speech, fades out over the ending
             const bgmDelay = Math.round(introDuration * 1000);
-            filterComplex += `[${audioInputIndex}:a]adelay=${bgmDelay}|${bgmDelay},volume=${bgmVolume}[bgm];`;
+            const speech = speechIntervals(timeline, introPath && fs.existsSync(introPath) ? introPath : null, introTiming);
+            const envelope = buildBgmEnvelope({
+                bgmVolume,
+                introDuration,
+                fadeOutStart: chatEnd ?? Math.max(introDuration, (totalDuration || 0) - (TIMING.ENDING_BUFFER || 3)),
+                totalDuration: totalDuration || 0,
+                speech
+            });
+            filterComplex += `[${audioInputIndex}:a]adelay=${bgmDelay}|${bgmDelay},${envelope}[bgm];`;
             mixInputs += `[bgm]`;
             audioInputIndex++;
             hasAudio = true;
-            console.log(`  ✅ Added BGM (delay: ${bgmDelay}ms - when chat starts, vol: ${bgmVolume})`);
+            console.log(`  ✅ Added BGM (delay: ${bgmDelay}ms - when chat starts, vol: ${bgmVolume}, ducked under ${speech.length} voice clips)`);
         }
 
-        // 4. SFX (Messages)
-        if (sfxPath && fs.existsSync(sfxPath) && timeline && timeline.length > 0) {
-            command.input(sfxPath);
-            const sfxInputIdx = audioInputIndex;
-            audioInputIndex++;
-            
-            const sfxCount = Math.min(timeline.length, 50);
-            for (let i = 0; i < sfxCount; i++) {
-                const delayMs = Math.round(timeline[i].appearTime * 1000);
-                filterComplex += `[${sfxInputIdx}:a]adelay=${delayMs}|${delayMs},volume=${sfxVolume}[sfx${i}];`;
+        // 4. SFX (Messages) - sound per side / character / event (visualizer/sound-map.js), Pop SFX as fallback
+        const sfxCues = !sfxEnabled || !story ? [] : (timeline || [])
+            .map(item => ({ item, path: SoundMap.resolve(soundMapping, story, item.index, sfxPath) }))
+            .filter(cue => cue.path && fs.existsSync(cue.path))
+            .slice(0, 50);
+        if (sfxCues.length > 0) {
+            // One input per distinct file, reused by every cue that plays it
+            const sfxInputs = new Map();
+            sfxCues.forEach((cue, i) => {
+                if (!sfxInputs.has(cue.path)) {
+                    command.input(cue.path);
+                    sfxInputs.set(cue.path, audioInputIndex++);
+                }
+                const delayMs = Math.round(cue.item.appearTime * 1000);
+                filterComplex += `[${sfxInputs.get(cue.path)}:a]adelay=${delayMs}|${delayMs},volume=${sfxVolume}[sfx${i}];`;
                 mixInputs += `[sfx${i}]`;
-                hasAudio = true;
-            }
-            console.log(`  ✅ Added ${sfxCount} SFX instances (vol: ${sfxVolume})`);
+            });
+            hasAudio = true;
+            console.log(`  ✅ Added ${sfxCues.length} SFX instances from ${sfxInputs.size} sound(s) (vol: ${sfxVolume})`);
         }
+
+        // 5. Narration (per-message voice clips and voice notes, timed by calculateTimeline)
+        const voiced = (timeline || []).filter(item => item.voiceDuration > 0 && fs.existsSync(item.voicePath));
+        voiced.forEach((item, i) => {
+            command.input(item.voicePath);
+            const delayMs = Math.round(item.appearTime * 1000);
+            filterComplex += `[${audioInputIndex}:a]adelay=${delayMs}|${delayMs},volume=${TIMING.NARRATION_VOLUME ?? 1.0}[voice${i}];`;
+            mixInputs += `[voice${i}]`;
+            audioInputIndex++;
+            hasAudio = true;
+        });
+        if (voiced.length > 0) console.log(`  ✅ Added ${voiced.length} narration clips`);
         
-        console.log(`  Total audio inputs: ${audioInputIndex - 1} | hasAudio: ${hasAudio}`);
+        console.log(`  Total audio inputs: ${audioInputIndex - firstAudioInput} | hasAudio: ${hasAudio}`);
         
         if (hasAudio) {
             // Count number of inputs in mixInputs e.g. [intro][swoosh][bgm][sfx0]...
             const count = (mixInputs.match(/\[/g) || []).length;
             // Use duration=longest so BGM (looped) defines length, then -t cuts to video duration
             filterComplex += `${mixInputs}amix=inputs=${count}:duration=longest:dropout_transition=0:normalize=0[aout]`;
-            // ✅ รวม video filter (fps) เข้าไปใน complexFilter เพื่อป้องกัน conflict
-            const fullFilter = `[0:v]fps=30[vout];${filterComplex}`;
+            // ✅ รวม video filter (fps + preset layout) เข้าไปใน complexFilter เพื่อป้องกัน conflict
+            const fullFilter = `${videoFilter};${filterComplex}`;
             console.log(`  Filter: ${fullFilter.substring(0, 100)}...`);
             command
                 .complexFilter(fullFilter)
                 .outputOptions(['-map', '[vout]', '-map', '[aout]']);
         } else {
-            // No audio - use simple videoFilters
-            command.videoFilters(['fps=30']);
-            command.outputOptions(['-an']);  // No audio track
+            // No audio - video graph only
+            command
+                .complexFilter(videoFilter)
+                .outputOptions(['-map', '[vout]', '-an']);  // No audio track
         }
         // ✅ FIX: Use -t to set exact video duration (prevents infinite loop)
         // ============================================
@@ -847,15 +1648,15 @@ async function assembleVideo(framesDir, outputName = 'story', audioOptions = {})
         const outputOpts = [
             '-c:v', 'libx264',
             '-pix_fmt', 'yuv420p',
-            '-preset', 'slow',
-            '-crf', '18',            // High quality
+            '-preset', quality.x264Preset,
+            '-crf', String(quality.crf), // final: 18 = high quality
             '-g', '15',              // Keyframe every 0.5s - จับ animation ได้ครบ
             '-bf', '2',              // B-frames - smooth motion
             '-vsync', 'cfr',         // Constant frame rate - ไม่ drop frames
             '-c:a', 'aac',
             '-b:a', '128k'
         ];
-        // Note: Video filter (fps=30) is now included in complexFilter above
+        // Note: Video filter (fps=30 + layout) is now included in complexFilter above
         
         // Add duration limit if we know the total duration
         if (totalDuration) {
@@ -864,11 +1665,25 @@ async function assembleVideo(framesDir, outputName = 'story', audioOptions = {})
         
         // NOTE: Do NOT use -shortest here, as it would cut video at shortest audio (intro ~1s)
         
+        const detachAbort = killOnAbort(runOptions.signal, () => command.kill('SIGKILL'));
+        
         command
             .outputOptions(outputOpts)
             .output(outputPath)
-            .on('end', () => resolve(outputPath))
-            .on('error', (err) => reject(err))
+            .on('progress', (progress) => {
+                reportProgress(runOptions, 'assemble', {
+                    seconds: timemarkToSeconds(progress.timemark),
+                    totalDuration
+                });
+            })
+            .on('end', () => {
+                detachAbort();
+                resolve(outputPath);
+            })
+            .on('error', (err) => {
+                detachAbort();
+                reject(runOptions.signal?.aborted ? cancelledError() : err);
+            })
             .run();
     });
 }
@@ -883,6 +1698,7 @@ function measureLufs(filePath) {
         let stderr = '';
         const proc = require('child_process').spawn(ffmpegPath, [
             '-i', filePath,
+            '-vn',
             '-af', 'loudnorm=print_format=summary',
             '-f', 'null', '-'
         ]);
@@ -906,7 +1722,11 @@ function measureLufs(filePath) {
     });
 }
 
-async function normalizeAudio(inputPath, targetLufs = -14) {
+// Resolves { path, loudness }: loudness = { integrated, truePeak } measured on the normalized file,
+// null when it couldn't be measured (single-pass fallback / failed normalization)
+async function normalizeAudio(inputPath, targetLufs = -14, runOptions = {}) {
+    const { signal } = runOptions;
+    throwIfCancelled(signal);
     const ext = path.extname(inputPath);
     const baseName = path.basename(inputPath, ext);
     const outputPath = path.join(path.dirname(inputPath), `${baseName}_normalized${ext}`);
@@ -915,6 +1735,7 @@ async function normalizeAudio(inputPath, targetLufs = -14) {
     
     // ========== PASS 1: Measure current loudness ==========
     console.log(`   Pass 1: Measuring...`);
+    reportProgress(runOptions, 'normalize', { pass: 1 });
     const measured = await new Promise((resolve) => {
         let stderr = '';
         const proc = require('child_process').spawn(ffmpegPath, [
@@ -922,6 +1743,8 @@ async function normalizeAudio(inputPath, targetLufs = -14) {
             '-af', `loudnorm=I=${targetLufs}:TP=-1.5:LRA=11:print_format=json`,
             '-f', 'null', '-'
         ]);
+        const detachAbort = killOnAbort(signal, () => proc.kill('SIGKILL'));
+        proc.on('close', detachAbort);
         
         proc.stderr.on('data', (data) => {
             stderr += data.toString();
@@ -945,6 +1768,8 @@ async function normalizeAudio(inputPath, targetLufs = -14) {
         proc.on('error', () => resolve(null));
     });
     
+    throwIfCancelled(signal);
+    
     if (!measured) {
         console.log(`   ⚠️ Could not measure loudness, using single-pass fallback`);
         // Fallback to single-pass
@@ -956,9 +1781,9 @@ async function normalizeAudio(inputPath, targetLufs = -14) {
                 .on('end', async () => {
                     await fs.remove(inputPath);
                     await fs.move(outputPath, inputPath);
-                    resolve(inputPath);
+                    resolve({ path: inputPath, loudness: null });
                 })
-                .on('error', () => resolve(inputPath))
+                .on('error', () => resolve({ path: inputPath, loudness: null }))
                 .run();
         });
     }
@@ -967,8 +1792,11 @@ async function normalizeAudio(inputPath, targetLufs = -14) {
     
     // ========== PASS 2: Apply correction with measured values ==========
     console.log(`   Pass 2: Normalizing...`);
-    return new Promise((resolve) => {
-        ffmpeg(inputPath)
+    reportProgress(runOptions, 'normalize', { pass: 2, inputLufs: parseFloat(measured.input_i) });
+    return new Promise((resolve, reject) => {
+        const command = ffmpeg(inputPath);
+        const detachAbort = killOnAbort(signal, () => command.kill('SIGKILL'));
+        command
             .audioFilters([
                 `loudnorm=I=${targetLufs}:TP=-1.5:LRA=11:` +
                 `measured_I=${measured.input_i}:` +
@@ -985,6 +1813,7 @@ async function normalizeAudio(inputPath, targetLufs = -14) {
             ])
             .output(outputPath)
             .on('end', async () => {
+                detachAbort();
                 console.log(`✅ Audio normalized!`);
                 
                 // Measure final LUFS
@@ -992,42 +1821,172 @@ async function normalizeAudio(inputPath, targetLufs = -14) {
                 if (lufs.integrated !== null) {
                     console.log(`📊 Final Loudness: ${lufs.integrated.toFixed(1)} LUFS | True Peak: ${lufs.truePeak?.toFixed(1) || '?'} dBTP`);
                 }
+                reportProgress(runOptions, 'normalize', { pass: 2, done: true, lufs: lufs.integrated, truePeak: lufs.truePeak });
                 
                 // Replace original with normalized version
                 try {
                     await fs.remove(inputPath);
                     await fs.move(outputPath, inputPath);
                     console.log(`📦 Replaced original with normalized version.`);
-                    resolve(inputPath);
+                    resolve({ path: inputPath, loudness: lufs });
                 } catch (err) {
                     console.log(`⚠️ Could not replace original. Normalized file: ${outputPath}`);
-                    resolve(outputPath);
+                    resolve({ path: outputPath, loudness: lufs });
                 }
             })
-            .on('error', (err) => {
+            .on('error', async (err) => {
+                detachAbort();
+                if (signal?.aborted) {
+                    await fs.remove(outputPath).catch(() => {});
+                    return reject(cancelledError());
+                }
                 console.error('❌ Normalization failed:', err.message);
-                resolve(inputPath);
+                resolve({ path: inputPath, loudness: null });
             })
             .run();
     });
 }
 
+// ============================================
+// Preview Export (GIF / WebP for team review)
+// ============================================
+// Cut from the captured phone frames (before layout/audio), so it costs one
+// small ffmpeg pass instead of another capture.
+const PREVIEW_FORMATS = ['gif', 'webp'];
+
+/**
+ * Time window of a message range: from the first message's typing to a beat after the last one appears
+ * @param {number} start - first message (1-based, within the rendered story)
+ * @param {number} end - last message (1-based, inclusive)
+ */
+function previewWindow(timelineData, start, end) {
+    const { timeline, totalDuration } = timelineData;
+    const items = timeline.filter(item => item.index >= start - 1 && item.index <= end - 1);
+    if (items.length === 0) return null;
+
+    const from = Math.max(0, items[0].typingStart - CONFIG.preview.leadIn);
+    const last = items[items.length - 1];
+    let to = Math.min(totalDuration, last.appearTime + Math.max(CONFIG.preview.tail, last.voiceDuration || 0));
+    to = Math.min(to, from + CONFIG.preview.maxSeconds);
+    return { from, duration: to - from };
+}
+
+/**
+ * @param {Object} videoInput - captureFrames() input (segment list or PNG sequence)
+ * @param {Object} preview - { format: 'gif'|'webp', start, end, fps, width }
+ * @returns {Promise<string>} output path
+ */
+async function exportPreview(videoInput, timelineData, outputName, preview, runOptions = {}) {
+    const { signal } = runOptions;
+    throwIfCancelled(signal);
+    const format = PREVIEW_FORMATS.includes(preview.format) ? preview.format : 'gif';
+    const fps = parseInt(preview.fps) || CONFIG.preview.fps;
+    const width = (Math.round((parseInt(preview.width) || CONFIG.preview.width) / 2) * 2);
+    const start = parseInt(preview.start) || 1;
+    const end = parseInt(preview.end) || start + CONFIG.preview.defaultMessages - 1;
+
+    const clip = previewWindow(timelineData, start, end);
+    if (!clip) throw new Error(`No messages in preview range #${start}-#${end}`);
+
+    const outputDir = runOptions.quality?.outputDir || CONFIG.outputDir;
+    const outputPath = path.join(outputDir, `${outputName}_preview.${format}`);
+    await fs.ensureDir(outputDir);
+
+    const scale = `fps=${fps},scale=${width}:-2:flags=lanczos`;
+    const encode = format === 'gif'
+        // Palette from this clip only + diff mode = far smaller than ffmpeg's default 256-colour GIF
+        ? ['-filter_complex', `[0:v]${scale},split[a][b];[a]palettegen=max_colors=${CONFIG.preview.maxColors}:stats_mode=diff[p];[b][p]paletteuse=dither=bayer:bayer_scale=5:diff_mode=rectangle`]
+        : ['-vf', scale, '-c:v', 'libwebp_anim', '-lossless', '0', '-q:v', String(CONFIG.preview.webpQuality), '-compression_level', '6'];
+
+    console.log(`\n🎞️ Preview ${format.toUpperCase()}: messages #${start}-#${end} (${clip.from.toFixed(2)}s +${clip.duration.toFixed(2)}s, ${fps}fps, ${width}px)`);
+
+    return new Promise((resolve, reject) => {
+        const proc = spawn(ffmpegPath, [
+            ...videoInput.inputOptions, '-i', videoInput.path,
+            '-ss', clip.from.toFixed(3), '-t', clip.duration.toFixed(3),
+            ...encode,
+            '-loop', '0', '-an', '-y', outputPath
+        ]);
+        const detachAbort = killOnAbort(signal, () => proc.kill('SIGKILL'));
+        let stderr = '';
+        proc.stderr.on('data', (data) => { stderr += data.toString(); });
+        proc.on('error', (err) => {
+            detachAbort();
+            reject(err);
+        });
+        proc.on('close', async (code) => {
+            detachAbort();
+            if (signal?.aborted) {
+                await fs.remove(outputPath).catch(() => {});
+                return reject(cancelledError());
+            }
+            if (code !== 0) return reject(new Error(`ffmpeg exited with ${code}: ${stderr.split('\n').slice(-3).join(' ')}`));
+            const { size } = await fs.stat(outputPath);
+            console.log(`✅ Preview saved: ${outputPath} (${(size / 1024).toFixed(0)} KB)`);
+            resolve(outputPath);
+        });
+    });
+}
+
+// ============================================
+// Render Manifest
+// ============================================
+// Settings a CLI caller passed (the render queue hands over the job options instead)
+const MANIFEST_SETTING_KEYS = ['bgMusicPath', 'sfxPath', 'sfxEnabled', 'bgmVolume', 'sfxVolume', 'swooshPath', 'swooshVolume', 'preset', 'background', 'burnCaptions', 'quality', 'preview'];
+
+// `loudness` comes from normalizeAudio() (null when the render skipped normalization, e.g. draft)
+async function writeRenderManifest(videoPath, story, timelineData, audioOptions, options, runOptions, preset, files, loudness = null) {
+    const settings = options.settings || Object.fromEntries(MANIFEST_SETTING_KEYS.filter(key => options[key] !== undefined).map(key => [key, options[key]]));
+    const audio = {
+        bgm: audioOptions.bgMusicPath ? { path: audioOptions.bgMusicPath, volume: audioOptions.bgmVolume ?? 0.3, beatSync: !!story.beatSync } : null,
+        sfx: audioOptions.sfxEnabled ? { path: audioOptions.sfxPath || null, volume: audioOptions.sfxVolume ?? 0.5, mapping: story.sound_mapping || null } : null,
+        swoosh: audioOptions.swooshPath ? { path: audioOptions.swooshPath, volume: audioOptions.swooshVolume ?? 0.7 } : null,
+        intro: story.intro_path || null,
+        narration: timelineData.timeline.filter(item => item.voiceDuration > 0).map(item => item.voicePath)
+    };
+    const manifest = buildManifest({
+        story, timelineData, settings, audio, preset, videoPath, files,
+        quality: runOptions.quality,
+        duration: await getAudioDuration(videoPath),
+        loudness,
+        timing: TIMING
+    });
+    return writeManifest(videoPath, manifest);
+}
+
 // ============================================
 // Exports
 // ============================================
 async function recordStory(story, options = {}) {
     const outputName = options.outputName || 'story';
+    // Progress/cancel hooks from the render queue (see Render Control above)
+    const runOptions = {
+        onProgress: options.onProgress,
+        signal: options.signal,
+        workers: options.workers,
+        captureMode: options.captureMode,
+        workKey: options.workKey,
+        quality: resolveRenderQuality(options.quality) // 'final' | 'draft' (render-presets.js)
+    };
     try {
         const timelineData = await calculateTimeline(story);
+        reportProgress(runOptions, 'timeline', { totalDuration: timelineData.totalDuration });
+        
+        // Subtitle cues: always written as .srt/.vtt, burned in only when asked (options.burnCaptions)
+        const subtitleCues = buildSubtitleCues(story, timelineData, runOptions.quality.fps);
+        if (options.burnCaptions) runOptions.captions = subtitleCues;
         
         // Pass pre-calculated timeline to captureFrames
-        const { framesDir } = await captureFrames(story, outputName, timelineData);
+        const { framesDir, videoInput } = await captureFrames(story, outputName, timelineData, runOptions);
         
         const { timeline, totalDuration, introDuration, introTiming } = timelineData;
         
         const audioOptions = {
             bgMusicPath: options.bgMusicPath,
             sfxPath: options.sfxPath,
+            sfxEnabled: options.sfxEnabled !== false,
+            soundMapping: story.sound_mapping,
+            story: story,
             bgmVolume: options.bgmVolume,
             sfxVolume: options.sfxVolume,
             // New options
@@ -1038,27 +1997,74 @@ async function recordStory(story, options = {}) {
             introTiming: introTiming,  // ✅ NEW: Pass intro timing breakdown
             
             timeline: timeline,
-            totalDuration: totalDuration
+            totalDuration: totalDuration,
+            chatEnd: timelineData.chatEnd
         };
         
-        let videoPath = await assembleVideo(framesDir, outputName, audioOptions);
-        // ✅ TEMP: Keep frames for debugging banding issue
-        // if (!options.keepFrames) await fs.remove(framesDir);
-        console.log(`📁 Frames kept at: ${framesDir} (for debugging)`);
+        // 9:16 / 1:1 / 4:5 / 16:9 (see render-presets.js) - frames are the same for all of them
+        const preset = resolveRenderPreset(options.preset, options.background);
+        throwIfCancelled(runOptions.signal);
+        const backdropPath = await renderBackdrop(story, preset, framesDir);
+        
+        let videoPath = await assembleVideo({ ...videoInput, layout: { preset, backdropPath } }, outputName, audioOptions, runOptions);
+        
+        // 🎞️ Short GIF/WebP of a message range (options.preview), from the same frames
+        let previewPath = null;
+        if (options.preview && options.preview.format) {
+            try {
+                previewPath = await exportPreview(videoInput, timelineData, outputName, options.preview, runOptions);
+            } catch (err) {
+                if (err.cancelled) throw err;
+                console.warn('⚠️ Preview export failed:', err.message);
+            }
+        }
+        
+        // Frames/segments are only useful for debugging once the MP4 exists.
+        // Disk mode (debug) keeps its PNGs; pruneFrameDirs() applies the retention policy.
+        // Failed/cancelled renders never reach this point, so their checkpoint stays for a resume.
+        const keepFrames = options.keepFrames ?? ((runOptions.captureMode || CONFIG.captureMode) === 'disk');
+        if (keepFrames) {
+            // Finished: no longer a resume point, so the normal retention applies
+            await fs.remove(path.join(framesDir, CHECKPOINT_FILE));
+            console.log(`📁 Frames kept at: ${framesDir} (debug, max ${CONFIG.frameRetention.keepLatest} renders / ${CONFIG.frameRetention.maxAgeHours}h)`);
+        } else {
+            await fs.remove(framesDir);
+        }
+        await pruneFrameDirs(framesDir).catch(err => console.warn('Frame cleanup failed:', err.message));
         
         // Auto-normalize audio loudness to -14 LUFS (TikTok standard)
-        if (options.normalizeAudio !== false) {
-            videoPath = await normalizeAudio(videoPath, -14);
+        let loudness = null;
+        if (options.normalizeAudio !== false && runOptions.quality.normalizeAudio) {
+            ({ path: videoPath, loudness } = await normalizeAudio(videoPath, -14, runOptions));
+        }
+        
+        const subtitles = await writeSubtitles(videoPath, subtitleCues);
+        
+        // 🧾 What produced this mp4 (past renders list / re-render in the editor)
+        let manifestPath = null;
+        try {
+            manifestPath = await writeRenderManifest(videoPath, story, timelineData, audioOptions, options, runOptions, preset, {
+                subtitles: [subtitles.srt, subtitles.vtt].map(file => path.basename(file)),
+                preview: previewPath ? path.basename(previewPath) : null
+            }, loudness);
+            console.log(`🧾 Manifest: ${manifestPath}`);
+        } catch (err) {
+            console.warn('⚠️ Manifest write failed:', err.message);
         }
         
         // Open output folder and highlight the video file
-        openOutputFolder(videoPath);
+        if (options.openFolder ?? CONFIG.openFolder) openOutputFolder(videoPath);
         
+        reportProgress(runOptions, 'done', { videoPath, subtitles, preview: previewPath, manifest: manifestPath });
         return videoPath;
     } catch (error) {
+        if (error.cancelled) {
+            console.log('\n🛑 Recording cancelled.');
+            throw error;
+        }
         console.error('Recording failed:', error);
         throw error;
     }
 }
 
-module.exports = { recordStory, calculateTimeline, CONFIG };
\ No newline at end of file
+module.exports = { recordStory, calculateTimeline, getAudioDuration, captureStill, openRenderPage, seekFrame, PREVIEW_FORMATS, CONFIG };
\ No newline at end of file
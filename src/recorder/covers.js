@@ -0,0 +1,137 @@
+/**
+ * Covers - Title Card + Hook Frame
+ * Two PNGs per render, saved next to the mp4:
+ * - <name>_cover.png : chat name + the most dramatic message (visualizer/cover.html)
+ * - <name>_hook.png  : the real video frame right after a chosen message appears
+ */
+
+const puppeteer = require('puppeteer');
+const fs = require('fs-extra');
+const path = require('path');
+const { calculateTimeline, captureStill, CONFIG } = require('./capture');
+const { getVisualizerBaseUrl } = require('./visualizer-server');
+const Reactions = require('../visualizer/reactions');
+const BubbleEdits = require('../visualizer/bubble-edits');
+const VoiceNotes = require('../visualizer/voice-notes');
+
+// Hook frame = this long after the message appears (pop-in + scroll have settled)
+const HOOK_SETTLE = 0.8;
+
+// ============================================
+// Most Dramatic Message (heuristic)
+// ============================================
+const DRAMA_WORDS = [
+    'ตาย', 'ช่วย', 'ไม่จริง', 'ทำไม', 'โกหก', 'เลิก', 'ท้อง', 'ผี', 'ไล่ออก', 'ความลับ',
+    'เห้ย', 'เฮ้ย', 'อะไรนะ', 'ไม่ได้', 'หยุด', 'จับได้', 'นอกใจ', 'เงิน', 'ตำรวจ', 'หลอก'
+];
+
+function dramaScore(dialogue) {
+    const text = (dialogue.message || '').trim();
+    // Not a bubble of its own (unsend / edit change an earlier one), or a voice note's waveform - no hook frame there
+    if (!text || dialogue.sender === 'time_divider' || Reactions.isReaction(dialogue) || BubbleEdits.isBubbleEdit(dialogue) || VoiceNotes.isVoiceNote(dialogue)) return -Infinity;
+
+    let score = 0;
+    score += (text.match(/[!?！？]/g) || []).length * 2;
+    score += DRAMA_WORDS.filter(word => text.includes(word)).length * 3;
+    if (/(.)\1{2,}/u.test(text)) score += 2;                // "ห๊ะะะะ", "!!!"
+    if (dialogue.camera_effect === 'zoom_in' || dialogue.camera_effect === 'shake') score += 5; // the writer already flagged it
+    // Readable on a thumbnail: short-ish lines win, walls of text lose
+    if (text.length >= 8 && text.length <= 60) score += 2;
+    if (text.length > 90) score -= 3;
+    return score;
+}
+
+/**
+ * Index of the cover message: the chosen dialogue id if it's in the story, else the highest score
+ */
+function pickCoverIndex(story, dialogueId = null) {
+    const dialogues = story.dialogues || [];
+    const chosen = dialogueId ? dialogues.findIndex(d => d.id === dialogueId && (d.message || '').trim()) : -1;
+    if (chosen !== -1) return chosen;
+
+    let best = -1;
+    let bestScore = -Infinity;
+    dialogues.forEach((d, i) => {
+        const score = dramaScore(d);
+        if (score > bestScore) { // ties -> the earlier message (no spoilers)
+            best = i;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+// ============================================
+// Title Card
+// ============================================
+async function renderTitleCard(story, messageIndex, outputPath) {
+    const dialogue = story.dialogues[messageIndex];
+    const char = dialogue ? (story.characters?.[dialogue.sender] || {}) : null;
+
+    const browser = await puppeteer.launch({
+        headless: 'new',
+        args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+    try {
+        const page = await browser.newPage();
+        await page.setViewport({ width: 360, height: 640, deviceScaleFactor: 3 }); // 1080x1920
+        await page.evaluateOnNewDocument((data) => { window.__COVER__ = data; }, {
+            title: story.custom_header_name || story.room_name || story.title || '',
+            theme: story.theme,
+            message: dialogue ? {
+                text: dialogue.message,
+                sender: char.name || dialogue.sender,
+                avatar: char.avatar || null,
+                side: char.side || 'left'
+            } : null
+        });
+        await page.goto(`${await getVisualizerBaseUrl()}/visualizer/cover.html?v=${Date.now()}`, {
+            waitUntil: 'networkidle0',
+            timeout: 60000
+        });
+        await page.waitForFunction(() => window.coverReady === true, { timeout: 15000 });
+        await page.screenshot({ path: outputPath, type: 'png' });
+        return outputPath;
+    } finally {
+        await browser.close();
+    }
+}
+
+// ============================================
+// Export
+// ============================================
+/**
+ * @param {Object} story - exportStoryJSON() output (already cut to the render range)
+ * @param {Object} options
+ * @param {string} options.outputName - same base name as the mp4
+ * @param {number} [options.coverDialogueId] - message for the title card (default: most dramatic)
+ * @param {number} [options.hookDialogueId] - message for the hook frame (default: the cover message)
+ * @param {Object} [options.timelineData] - reuse calculateTimeline() output from the render
+ * @returns {Promise<{cover: string|null, hook: string|null}>}
+ */
+async function exportCovers(story, options = {}) {
+    const outputName = options.outputName || 'story';
+    await fs.ensureDir(CONFIG.outputDir);
+
+    const coverIndex = pickCoverIndex(story, options.coverDialogueId);
+    const hookChosen = options.hookDialogueId ? (story.dialogues || []).findIndex(d => d.id === options.hookDialogueId) : -1;
+    const hookIndex = hookChosen !== -1 ? hookChosen : coverIndex;
+
+    const result = { cover: null, hook: null };
+
+    result.cover = await renderTitleCard(story, coverIndex, path.join(CONFIG.outputDir, `${outputName}_cover.png`));
+    console.log(`🖼️ Cover: ${path.basename(result.cover)} (message #${coverIndex + 1})`);
+
+    if (hookIndex !== -1) {
+        const timelineData = options.timelineData || await calculateTimeline(story);
+        const item = timelineData.timeline.find(entry => entry.index === hookIndex);
+        if (item) {
+            result.hook = await captureStill(story, timelineData, item.appearTime + HOOK_SETTLE, path.join(CONFIG.outputDir, `${outputName}_hook.png`));
+            console.log(`🪝 Hook frame: ${path.basename(result.hook)} (message #${hookIndex + 1} @ ${(item.appearTime + HOOK_SETTLE).toFixed(2)}s)`);
+        }
+    }
+
+    return result;
+}
+
+module.exports = { exportCovers, pickCoverIndex, dramaScore };
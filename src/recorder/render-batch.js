@@ -0,0 +1,52 @@
+/**
+ * Render Batch - many renders from one request
+ * Several projects and/or every part of a long story. Each part becomes its own
+ * job in the render queue; the part number travels with the job (story.part)
+ * so the video gets a "PART N" intro and a "to be continued" end card.
+ */
+
+// Same split the editor suggests in the render modal (~15 messages per TikTok clip)
+const DEFAULT_PART_SIZE = 15;
+const MIN_PART_SIZE = 3;
+
+/**
+ * 1-based dialogue ranges: 40 messages / 15 -> [1-15], [16-30], [31-40]
+ * @returns {Array<{ start: number, end: number }>}
+ */
+function splitIntoParts(total, partSize = DEFAULT_PART_SIZE) {
+    const size = Math.max(MIN_PART_SIZE, parseInt(partSize) || DEFAULT_PART_SIZE);
+    const parts = [];
+    for (let start = 1; start <= total; start += size) {
+        parts.push({ start, end: Math.min(start + size - 1, total) });
+    }
+    return parts;
+}
+
+/**
+ * One entry per video to render
+ * @param {Array<{ id: number, dialogueCount: number }>} projects
+ * @param {Object} options - { splitParts: boolean, partSize: number }
+ * @returns {Array<{ projectId, dialogueRange, part }>} part = { number, total } or null
+ */
+function planBatch(projects, { splitParts = false, partSize = DEFAULT_PART_SIZE } = {}) {
+    const plan = [];
+    for (const project of projects) {
+        if (project.dialogueCount === 0) continue; // nothing to render
+
+        const ranges = splitParts ? splitIntoParts(project.dialogueCount, partSize) : [];
+        if (ranges.length <= 1) {
+            plan.push({ projectId: project.id, dialogueRange: null, part: null });
+            continue;
+        }
+        ranges.forEach((range, i) => {
+            plan.push({ projectId: project.id, dialogueRange: range, part: { number: i + 1, total: ranges.length } });
+        });
+    }
+    return plan;
+}
+
+module.exports = {
+    DEFAULT_PART_SIZE,
+    splitIntoParts,
+    planBatch
+};
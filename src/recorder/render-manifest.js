@@ -0,0 +1,112 @@
+/**
+ * Render Manifest - <video>_manifest.json next to every mp4
+ * What produced the file: project, dialogue snapshot, timeline, audio inputs,
+ * loudness, preset, plus the render settings as queued (replayable as-is).
+ * The editor lists a project's past renders from these files (GET /api/projects/:id/renders).
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+const MANIFEST_VERSION = 1;
+const MANIFEST_SUFFIX = '_manifest.json';
+
+function manifestPathFor(videoPath) {
+    return path.join(path.dirname(videoPath), path.basename(videoPath, path.extname(videoPath)) + MANIFEST_SUFFIX);
+}
+
+// Only what ends up on screen - voice_path / seq_order churn doesn't make a render stale
+function dialogueHash(dialogues = []) {
+    const snapshot = dialogues.map(d => [
+        d.id ?? null, d.sender, d.message || '', d.delay ?? null, d.reaction_delay ?? null, d.image_path || null, d.camera_effect || null,
+        d.reply_to_dialogue_id || null, d.kind || 'message', d.target_dialogue_id || null,
+        d.hesitation || null, d.audio_path || null, d.audio_duration || null
+    ]);
+    return crypto.createHash('sha1').update(JSON.stringify(snapshot)).digest('hex');
+}
+
+/**
+ * @param {Object} info - { story, timelineData, settings, audio, quality, preset, videoPath, duration, loudness, files }
+ */
+function buildManifest(info) {
+    const { story, timelineData, settings, audio, quality, preset, videoPath, duration, loudness, files, timing } = info;
+    return {
+        version: MANIFEST_VERSION,
+        createdAt: new Date().toISOString(),
+        projectId: story.id ?? null,
+        title: story.title || null,
+        video: path.basename(videoPath),
+        dialogueRange: settings.dialogueRange || null,
+        dialogueCount: (story.dialogues || []).length,
+        dialogueHash: dialogueHash(story.dialogues),
+        duration,
+        timeline: {
+            introDuration: +timelineData.introDuration.toFixed(3),
+            totalDuration: +timelineData.totalDuration.toFixed(3),
+            endCard: timelineData.endCard || null,
+            messages: timelineData.timeline.map(item => ({
+                index: item.index,
+                dialogueId: item.dialogue.id ?? null,
+                sender: item.dialogue.sender,
+                appearTime: +item.appearTime.toFixed(3),
+                voiceDuration: item.voiceDuration ? +item.voiceDuration.toFixed(3) : 0
+            }))
+        },
+        audio: { ...audio, loudness },
+        render: {
+            quality: quality.id,
+            fps: quality.fps,
+            preset: preset.id,
+            background: preset.background,
+            width: preset.width,
+            height: preset.height
+        },
+        timing,
+        files,
+        settings
+    };
+}
+
+async function writeManifest(videoPath, manifest) {
+    const file = manifestPathFor(videoPath);
+    await fs.writeJson(file, manifest, { spaces: 2 });
+    return file;
+}
+
+/**
+ * Manifests of one project across the output dirs, newest first
+ * @returns {Promise<Array<Object>>} manifest + { manifestFile, dir, videoExists }
+ */
+async function listManifests(dirs, projectId) {
+    const found = [];
+    for (const dir of [...new Set(dirs)]) {
+        if (!await fs.pathExists(dir)) continue;
+        for (const name of await fs.readdir(dir)) {
+            if (!name.endsWith(MANIFEST_SUFFIX)) continue;
+            const manifest = await fs.readJson(path.join(dir, name)).catch(() => null);
+            if (!manifest || String(manifest.projectId) !== String(projectId)) continue;
+            found.push({ ...manifest, manifestFile: name, dir, videoExists: await fs.pathExists(path.join(dir, manifest.video)) });
+        }
+    }
+    return found.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// By file name only (no paths from the client)
+async function findManifest(dirs, manifestFile) {
+    if (!manifestFile || path.basename(manifestFile) !== manifestFile || !manifestFile.endsWith(MANIFEST_SUFFIX)) return null;
+    for (const dir of [...new Set(dirs)]) {
+        const file = path.join(dir, manifestFile);
+        if (await fs.pathExists(file)) return { ...await fs.readJson(file), manifestFile, dir };
+    }
+    return null;
+}
+
+module.exports = {
+    MANIFEST_SUFFIX,
+    dialogueHash,
+    buildManifest,
+    writeManifest,
+    listManifests,
+    findManifest
+};
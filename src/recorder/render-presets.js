@@ -0,0 +1,114 @@
+/**
+ * Render Presets - Output Aspect Ratios
+ * Frames are always captured as the 9:16 phone (1080x1920). Other presets put
+ * that phone on a bigger canvas in assembleVideo(), so switching preset never
+ * invalidates captured frames (see the checkpoint in capture.js).
+ */
+
+// ============================================
+// Presets
+// ============================================
+// layout:
+// - 'full'     : the phone is the whole video
+// - 'centered' : phone centered on a background (blurred copy of the video or brand backdrop)
+// - 'panels'   : like 'centered', plus side panels with the room name and cast
+const RENDER_PRESETS = {
+    '9:16': { label: 'TikTok / Reels / Shorts (9:16)', width: 1080, height: 1920, layout: 'full' },
+    '1:1': { label: 'Instagram Feed (1:1)', width: 1080, height: 1080, layout: 'centered' },
+    '4:5': { label: 'Instagram Portrait (4:5)', width: 1080, height: 1350, layout: 'centered' },
+    '16:9': { label: 'YouTube (16:9)', width: 1920, height: 1080, layout: 'panels' }
+};
+
+const DEFAULT_PRESET = '9:16';
+
+// 'blur' = blurred, zoomed copy of the chat behind the phone
+// 'brand' = BRAND_BACKGROUND image (brand gradient if the file is missing)
+const RENDER_BACKGROUNDS = ['blur', 'brand'];
+const DEFAULT_BACKGROUND = 'blur';
+const BRAND_BACKGROUND = 'assets/backgrounds/teal_bg.png';
+
+// Share of the canvas height the phone takes in 'centered' layouts (rest = margin)
+const PHONE_HEIGHT_RATIO = 0.92;
+
+const even = (n) => Math.round(n / 2) * 2; // libx264 + yuv420p need even sizes
+
+/**
+ * Resolve a preset id + background into everything the renderer needs.
+ * Unknown ids fall back to the defaults (use isValidPreset() to reject user input).
+ */
+function resolveRenderPreset(presetId = DEFAULT_PRESET, background = DEFAULT_BACKGROUND) {
+    const id = RENDER_PRESETS[presetId] ? presetId : DEFAULT_PRESET;
+    const preset = RENDER_PRESETS[id];
+
+    // Landscape: the phone spans the full height, the side panels fill the width
+    const phoneHeight = preset.layout === 'centered' ? even(preset.height * PHONE_HEIGHT_RATIO) : preset.height;
+    const phoneWidth = preset.layout === 'full' ? preset.width : even(phoneHeight * 9 / 16);
+
+    return {
+        id,
+        ...preset,
+        background: RENDER_BACKGROUNDS.includes(background) ? background : DEFAULT_BACKGROUND,
+        phone: {
+            width: phoneWidth,
+            height: phoneHeight,
+            x: even((preset.width - phoneWidth) / 2),
+            y: even((preset.height - phoneHeight) / 2)
+        }
+    };
+}
+
+// ============================================
+// Quality (final render vs quick draft proof)
+// ============================================
+// scale = deviceScaleFactor of the 360x640 capture page (3 -> 1080x1920, 1 -> 360x640).
+// Draft proofs go to their own folder with a DRAFT watermark so nobody uploads one by mistake.
+// Non 9:16 presets keep their canvas size in draft; only the phone capture is low-res.
+const RENDER_QUALITIES = {
+    final: {
+        label: 'Final (1080p, 30fps)',
+        fps: 30, scale: 3, frameFormat: 'png',
+        x264Preset: 'slow', crf: 18,
+        normalizeAudio: true, watermark: null, outputDir: null // CONFIG.outputDir (03_Drafts)
+    },
+    draft: {
+        label: 'Draft (360p, 15fps)',
+        fps: 15, scale: 1, frameFormat: 'jpeg', jpegQuality: 80,
+        x264Preset: 'veryfast', crf: 26,
+        normalizeAudio: false, watermark: 'DRAFT', outputDir: './output/00_DraftProofs'
+    }
+};
+
+const DEFAULT_QUALITY = 'final';
+
+function resolveRenderQuality(qualityId = DEFAULT_QUALITY) {
+    const id = RENDER_QUALITIES[qualityId] ? qualityId : DEFAULT_QUALITY;
+    return { id, ...RENDER_QUALITIES[id] };
+}
+
+function isValidQuality(qualityId) {
+    return Object.prototype.hasOwnProperty.call(RENDER_QUALITIES, qualityId);
+}
+
+function isValidPreset(presetId) {
+    return Object.prototype.hasOwnProperty.call(RENDER_PRESETS, presetId);
+}
+
+// Filename suffix so presets of the same story don't overwrite each other ('' for 9:16)
+function presetSuffix(presetId) {
+    return presetId && presetId !== DEFAULT_PRESET ? `_${presetId.replace(':', 'x')}` : '';
+}
+
+module.exports = {
+    RENDER_PRESETS,
+    RENDER_BACKGROUNDS,
+    DEFAULT_PRESET,
+    DEFAULT_BACKGROUND,
+    BRAND_BACKGROUND,
+    RENDER_QUALITIES,
+    DEFAULT_QUALITY,
+    resolveRenderPreset,
+    resolveRenderQuality,
+    isValidPreset,
+    isValidQuality,
+    presetSuffix
+};
@@ -0,0 +1,214 @@
+/**
+ * Render Queue - Background Render Jobs
+ * POST /api/render/:id only enqueues; renders run one at a time here
+ * (Puppeteer + ffmpeg already use the whole machine) and their state
+ * lives in the render_jobs table so the dashboard can poll/cancel them.
+ */
+
+const EventEmitter = require('events');
+
+// ============================================
+// Progress Weights (share of the whole job per phase)
+// ============================================
+// Frame capture is by far the slowest part of a render
+const PHASE_RANGES = {
+    timeline: [0, 0.02],
+    capture: [0.02, 0.85],
+    assemble: [0.85, 0.95],
+    normalize: [0.95, 1],
+    done: [1, 1]
+};
+
+// Don't hit SQLite on every captured frame
+const DB_WRITE_INTERVAL_MS = 1000;
+
+// Fraction (0-1) of the current phase, from the data recordStory reports
+function phaseFraction(phase, data) {
+    switch (phase) {
+        case 'capture':
+            return data.totalFrames ? data.frame / data.totalFrames : 0;
+        case 'assemble':
+            return data.totalDuration ? Math.min(1, data.seconds / data.totalDuration) : 0;
+        case 'normalize':
+            if (data.done) return 1;
+            return data.pass === 2 ? 0.5 : 0;
+        case 'done':
+            return 1;
+        default:
+            return 0;
+    }
+}
+
+class RenderQueue extends EventEmitter {
+    /**
+     * @param {object} deps
+     * @param {object} deps.store - RenderJob model from database.js
+     * @param {Function} deps.runJob - async (job, { onProgress, signal }) => videoPath
+     */
+    constructor({ store, runJob }) {
+        super();
+        this.setMaxListeners(0); // every open SSE stream adds a listener pair
+        this.store = store;
+        this.runJob = runJob;
+        this.pending = [];   // job ids waiting to run (FIFO)
+        this.active = null;  // { id, controller, progress, lastWrite, startedAt }
+    }
+
+    async enqueue(projectId, options = {}) {
+        const id = await this.store.create(projectId, options);
+        this.pending.push(id);
+        console.log(`📥 Render job #${id} queued (project ${projectId}, ${this.pending.length} waiting)`);
+        this.emit('status', { id, projectId: Number(projectId), status: 'QUEUED' });
+        this._drain();
+        return id;
+    }
+
+    /**
+     * Cancel a queued or running job.
+     * @returns {Promise<boolean>} false if the job is not queued/running
+     */
+    async cancel(id) {
+        id = Number(id);
+
+        if (this.active && this.active.id === id) {
+            console.log(`🛑 Cancelling running render job #${id}...`);
+            this.active.controller.abort();
+            return true;
+        }
+
+        const index = this.pending.indexOf(id);
+        if (index !== -1) {
+            this.pending.splice(index, 1);
+            await this.store.finish(id, 'CANCELLED');
+            console.log(`🛑 Render job #${id} removed from queue`);
+            this.emit('status', { id, status: 'CANCELLED' });
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Startup recovery: RUNNING jobs died with the last process,
+     * QUEUED jobs are picked up again in their original order.
+     */
+    async recover() {
+        const interrupted = await this.store.markInterrupted();
+        if (interrupted > 0) console.log(`⚠️ Marked ${interrupted} render job(s) as INTERRUPTED`);
+
+        const queued = await this.store.getByStatus('QUEUED');
+        queued.forEach(job => {
+            if (!this.pending.includes(job.id)) this.pending.push(job.id);
+        });
+        if (queued.length > 0) console.log(`🔁 Resuming ${queued.length} queued render job(s)`);
+        this._drain();
+    }
+
+    // Attach live (in-memory) progress and parse stored options for API responses
+    describe(job) {
+        if (!job) return null;
+        let options = {};
+        try { options = JSON.parse(job.options || '{}'); } catch (e) { /* keep {} */ }
+
+        const described = { ...job, options };
+        if (this.active && this.active.id === job.id) {
+            Object.assign(described, this.active.progress, { elapsed: this._elapsed() });
+        }
+        if (job.status === 'QUEUED') {
+            described.queue_position = this.pending.indexOf(job.id) + 1;
+        }
+        return described;
+    }
+
+    async _drain() {
+        if (this.active || this.pending.length === 0) return;
+
+        const id = this.pending.shift();
+        const controller = new AbortController();
+        this.active = {
+            id,
+            controller,
+            progress: { phase: 'starting', progress: 0, frames_done: 0, frames_total: 0 },
+            lastWrite: 0,
+            startedAt: Date.now()
+        };
+
+        let status = 'COMPLETED';
+        let result = {};
+        let job = null;
+
+        try {
+            job = await this.store.getById(id);
+            if (!job || job.status !== 'QUEUED') {
+                // Deleted or cancelled while waiting
+                this.active = null;
+                return this._drain();
+            }
+
+            await this.store.markRunning(id);
+            console.log(`🎬 Render job #${id} started (project ${job.project_id})`);
+            this.emit('status', { id, projectId: job.project_id, status: 'RUNNING' });
+
+            const videoPath = await this.runJob(this.describe(job), {
+                signal: controller.signal,
+                onProgress: (phase, data) => this._onProgress(id, phase, data)
+            });
+            result.output_path = videoPath;
+        } catch (err) {
+            if (controller.signal.aborted) {
+                status = 'CANCELLED';
+            } else {
+                status = 'FAILED';
+                result.error = err.message;
+                console.error(`❌ Render job #${id} failed:`, err.message);
+            }
+        }
+
+        if (job) {
+            const { phase, progress, frames_done, frames_total } = this.active.progress;
+            try {
+                await this.store.updateProgress(id, { phase, progress, frames_done, frames_total });
+                await this.store.finish(id, status, result);
+            } catch (dbErr) {
+                console.error(`Failed to save render job #${id}:`, dbErr.message);
+            }
+            console.log(`🏁 Render job #${id} ${status}`);
+            this.emit('status', { id, projectId: job.project_id, status, ...result });
+        }
+
+        this.active = null;
+        this._drain();
+    }
+
+    _elapsed() {
+        return this.active ? Math.round((Date.now() - this.active.startedAt) / 100) / 10 : 0;
+    }
+
+    _onProgress(id, phase, data = {}) {
+        if (!this.active || this.active.id !== id) return;
+
+        const [start, end] = PHASE_RANGES[phase] || [this.active.progress.progress, this.active.progress.progress];
+        const progress = this.active.progress;
+        const phaseChanged = progress.phase !== phase;
+
+        progress.phase = phase;
+        progress.progress = Math.round((start + (end - start) * phaseFraction(phase, data)) * 1000) / 1000;
+        if (phase === 'capture') {
+            progress.frames_done = data.frame;
+            progress.frames_total = data.totalFrames;
+        }
+
+        // elapsed (seconds) lets clients derive an ETA from progress
+        this.emit('progress', { id, phase, progress: progress.progress, elapsed: this._elapsed(), ...data });
+
+        const now = Date.now();
+        if (phaseChanged || now - this.active.lastWrite >= DB_WRITE_INTERVAL_MS) {
+            this.active.lastWrite = now;
+            this.store.updateProgress(id, progress).catch(err => {
+                console.warn(`Could not save progress for job #${id}:`, err.message);
+            });
+        }
+    }
+}
+
+module.exports = { RenderQueue, PHASE_RANGES };
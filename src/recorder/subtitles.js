@@ -0,0 +1,112 @@
+/**
+ * Subtitles - SRT / VTT from the render timeline
+ * One cue per message ("ชื่อ: ข้อความ"), timed to the frame the message shows up
+ * on screen, plus the intro title. Written next to the mp4 and reused for the
+ * burned-in caption strip (capture.js -> openRenderPage).
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const Reactions = require('../visualizer/reactions');
+const BubbleEdits = require('../visualizer/bubble-edits');
+const VoiceNotes = require('../visualizer/voice-notes');
+
+// Frame the renderer first shows something at/after t (see frameAlignedTime in capture.js)
+function alignToFrame(t, fps) {
+    return Math.ceil(t * fps - 1e-6) / fps;
+}
+
+function captionText(dialogue, story) {
+    if (dialogue.sender === 'time_divider') return dialogue.message || '';
+    if (Reactions.isReaction(dialogue)) return ''; // a badge on an earlier bubble, nothing to read
+
+    const char = story.characters?.[dialogue.sender];
+    const name = char?.name || dialogue.sender;
+    if (dialogue.kind === 'unsend') return BubbleEdits.unsentText(name);
+    if (dialogue.kind === 'edit') return `${name}: ${(dialogue.message || '').trim()} (${BubbleEdits.EDITED_TAG})`;
+    let text = (dialogue.message || '').trim();
+    if (VoiceNotes.isVoiceNote(dialogue)) text = text ? `🎤 ${text}` : `[${VoiceNotes.LABEL}]`; // transcript of the clip
+    if (!text && dialogue.image_path) text = '[รูปภาพ]';
+    if (!text) return '';
+    return `${name}: ${text}`;
+}
+
+/**
+ * Build caption cues from calculateTimeline() output
+ * @returns {Array<{start: number, end: number, text: string, kind: 'intro'|'message'}>}
+ */
+function buildSubtitleCues(story, timelineData, fps = 30) {
+    const { timeline, totalDuration, introDuration, introTiming } = timelineData;
+    const cues = [];
+
+    // Intro title: visible from the fade-in until the chat starts
+    const title = (story.room_name || '').trim();
+    if (title && introDuration > 0) {
+        cues.push({
+            start: alignToFrame(introTiming?.delayBefore || 0, fps),
+            end: alignToFrame(introDuration, fps),
+            text: title,
+            kind: 'intro'
+        });
+    }
+
+    const messages = timeline
+        .map(item => ({
+            // Time dividers are on screen (full-screen overlay) before they land in the chat
+            start: alignToFrame(item.dialogue.sender === 'time_divider' ? item.typingStart : item.appearTime, fps),
+            text: captionText(item.dialogue, story)
+        }))
+        .filter(cue => cue.text);
+
+    // Each message stays captioned until the next one appears
+    messages.forEach((cue, i) => {
+        const next = messages[i + 1];
+        cues.push({
+            start: cue.start,
+            end: next ? next.start : alignToFrame(totalDuration, fps),
+            text: cue.text,
+            kind: 'message'
+        });
+    });
+
+    return cues.filter(cue => cue.end > cue.start);
+}
+
+function formatTimestamp(seconds, separator) {
+    const ms = Math.max(0, Math.round(seconds * 1000));
+    const pad = (n, len = 2) => String(n).padStart(len, '0');
+    const h = Math.floor(ms / 3600000);
+    const m = Math.floor(ms / 60000) % 60;
+    const s = Math.floor(ms / 1000) % 60;
+    return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+function toSRT(cues) {
+    return cues.map((cue, i) =>
+        `${i + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}\n`
+    ).join('\n');
+}
+
+function toVTT(cues) {
+    // "-->" inside cue text would end the cue header
+    const body = cues.map(cue =>
+        `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cue.text.replace(/-->/g, '->')}\n`
+    ).join('\n');
+    return `WEBVTT\n\n${body}`;
+}
+
+/**
+ * Write <video>.srt and <video>.vtt next to the video
+ * @returns {Promise<{srt: string, vtt: string}>}
+ */
+async function writeSubtitles(videoPath, cues) {
+    const base = path.join(path.dirname(videoPath), path.basename(videoPath, path.extname(videoPath)));
+    const srt = `${base}.srt`;
+    const vtt = `${base}.vtt`;
+    await fs.writeFile(srt, toSRT(cues), 'utf8');
+    await fs.writeFile(vtt, toVTT(cues), 'utf8');
+    console.log(`📝 Subtitles: ${path.basename(srt)}, ${path.basename(vtt)} (${cues.length} cues)`);
+    return { srt, vtt };
+}
+
+module.exports = { buildSubtitleCues, toSRT, toVTT, writeSubtitles };
@@ -0,0 +1,83 @@
+/**
+ * Visualizer Server - where Puppeteer loads visualizer pages from
+ * (index.html for frames, backdrop.html for presets, cover.html for covers)
+ *
+ * RENDER_VISUALIZER in .env:
+ * - auto     : the dashboard server if it answers, otherwise an internal one (default)
+ * - external : always RENDER_BASE_URL (the dashboard server must be running)
+ * - internal : always an internal server on a free port - CLI / headless render boxes
+ *
+ * RENDER_BASE_URL defaults to http://localhost:<PORT or 3000>.
+ */
+
+const express = require('express');
+const http = require('http');
+const path = require('path');
+const TIMING = require('../config/timing');
+
+const ROOT_DIR = path.resolve(__dirname, '../..');
+const MODES = ['auto', 'external', 'internal'];
+const PROBE_TIMEOUT_MS = 1500;
+
+let internalServer = null; // Promise<baseUrl>, one per process
+
+function getMode() {
+    const mode = (process.env.RENDER_VISUALIZER || 'auto').toLowerCase();
+    return MODES.includes(mode) ? mode : 'auto';
+}
+
+function getExternalBaseUrl() {
+    const url = process.env.RENDER_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+    return url.replace(/\/+$/, '');
+}
+
+// Anything that answers /api/config/timing is a server with the same layout as server.js
+function isReachable(baseUrl) {
+    return new Promise((resolve) => {
+        const req = http.get(`${baseUrl}/api/config/timing`, { timeout: PROBE_TIMEOUT_MS }, (res) => {
+            res.resume();
+            resolve(res.statusCode === 200);
+        });
+        req.on('timeout', () => req.destroy());
+        req.on('error', () => resolve(false));
+    });
+}
+
+// Same routes the visualizer needs from server.js: static src/, /assets and the timing config
+function startInternalServer() {
+    if (!internalServer) {
+        internalServer = new Promise((resolve, reject) => {
+            const app = express();
+            app.use(express.static(path.join(ROOT_DIR, 'src')));
+            app.use('/assets', express.static(path.join(ROOT_DIR, 'assets')));
+            app.get('/api/config/timing', (req, res) => res.json(TIMING));
+
+            const server = app.listen(0, '127.0.0.1', () => {
+                server.unref(); // never keeps a CLI render alive on its own
+                const url = `http://127.0.0.1:${server.address().port}`;
+                console.log(`🖥️ Internal visualizer server: ${url}`);
+                resolve(url);
+            });
+            server.on('error', (err) => {
+                internalServer = null;
+                reject(err);
+            });
+        });
+    }
+    return internalServer;
+}
+
+/**
+ * Base URL to open visualizer pages from, e.g. `${base}/visualizer/index.html`
+ * @returns {Promise<string>}
+ */
+async function getVisualizerBaseUrl() {
+    const mode = getMode();
+    const external = getExternalBaseUrl();
+
+    if (mode === 'external') return external;
+    if (mode === 'auto' && await isReachable(external)) return external;
+    return startInternalServer();
+}
+
+module.exports = { getVisualizerBaseUrl };
@@ -0,0 +1,84 @@
+/**
+ * Bubble Edits (Unsend / Edit)
+ * Dialogue rows that change a bubble already on screen (target_dialogue_id):
+ * - kind 'unsend' : the bubble turns into "X ยกเลิกการส่งข้อความ"
+ * - kind 'edit'   : the bubble text becomes `message` + an "แก้ไขแล้ว" tag
+ * Like reactions there is no typing and no new bubble; calculateTimeline() gives
+ * the row its own appear time, so preview and render transform on the same frame.
+ *
+ * Loaded by visualizer/index.html before script.js -> window.BubbleEdits
+ */
+(function (root) {
+    const KINDS = {
+        unsend: { label: '🚫 ยกเลิกข้อความ', icon: '🚫' },
+        edit: { label: '✏️ แก้ไขข้อความ', icon: '✏️' }
+    };
+    const EDITED_TAG = 'แก้ไขแล้ว';
+
+    function isBubbleEdit(dialogue) {
+        return !!dialogue && Object.prototype.hasOwnProperty.call(KINDS, dialogue.kind);
+    }
+
+    function unsentText(senderName) {
+        return `${senderName} ยกเลิกการส่งข้อความ`;
+    }
+
+    /**
+     * Transform the bubble of dialogue.target_dialogue_id (a .message[data-dialogue-id] in `container`)
+     * @returns {HTMLElement|null} the changed bubble (.bubble-transform), null when the target isn't on screen (yet)
+     */
+    function apply(container, dialogue, senderName) {
+        const msg = container.querySelector(`.message[data-dialogue-id="${dialogue.target_dialogue_id}"]`);
+        const wrapper = msg && msg.querySelector('.message-content-wrapper');
+        if (!wrapper) return null;
+        const doc = msg.ownerDocument;
+
+        let bubble;
+        if (dialogue.kind === 'unsend') {
+            // Text, image, quote and reactions all go - only the sender name stays
+            Array.from(wrapper.children).forEach(el => {
+                if (!el.classList.contains('message-sender')) el.remove();
+            });
+            bubble = doc.createElement('div');
+            bubble.className = 'message-bubble unsent-bubble';
+            bubble.textContent = `🚫 ${unsentText(senderName)}`;
+            wrapper.appendChild(bubble);
+            msg.classList.add('unsent');
+        } else {
+            bubble = wrapper.querySelector('.message-bubble');
+            if (!bubble) {
+                bubble = doc.createElement('div');
+                bubble.className = 'message-bubble';
+                wrapper.appendChild(bubble);
+            }
+            let text = bubble.querySelector('.bubble-text');
+            if (!text) {
+                text = doc.createElement('div');
+                text.className = 'bubble-text';
+                bubble.appendChild(text);
+            }
+            text.textContent = dialogue.message || '';
+            if (!bubble.querySelector('.edited-tag')) {
+                const tag = doc.createElement('div');
+                tag.className = 'edited-tag';
+                tag.textContent = EDITED_TAG;
+                bubble.appendChild(tag);
+            }
+            msg.classList.add('edited');
+        }
+
+        // Restart the flash (a bubble can be edited more than once)
+        bubble.classList.remove('bubble-transform');
+        void bubble.offsetWidth;
+        bubble.classList.add('bubble-transform');
+        return bubble;
+    }
+
+    const BubbleEdits = { KINDS, EDITED_TAG, isBubbleEdit, unsentText, apply };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BubbleEdits;
+    } else {
+        root.BubbleEdits = BubbleEdits;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,153 @@
+/**
+ * Camera Effects Track
+ * Per-dialogue camera directives (dialogues.camera_effect), evaluated as a pure
+ * function of time so the live preview (requestAnimationFrame clock) and the
+ * renderer (frame time from capture.js) show exactly the same shot.
+ *
+ * Loaded by visualizer/index.html before script.js -> window.CameraEffects
+ */
+(function (root) {
+    // ============================================
+    // Effects
+    // ============================================
+    // one-shot : plays once from the moment the message appears
+    // state    : stays until another directive changes it (push-in, letterbox)
+    const EFFECTS = {
+        zoom_in: { label: '🔍 Zoom (เน้นข้อความ)', kind: 'one-shot' },
+        shake: { label: '💥 Shake (ช็อก)', kind: 'one-shot' },
+        push_in: { label: '🎥 Push-in ช้าๆ (หลอน)', kind: 'state' },
+        letterbox_on: { label: '🎬 แถบดำ เปิด', kind: 'state' },
+        letterbox_off: { label: '🎬 แถบดำ ปิด', kind: 'state' },
+        reset: { label: '↩️ กล้องปกติ', kind: 'state' }
+    };
+
+    const ZOOM = { in: 0.25, hold: 2.5, out: 0.4, scale: 0.15, lift: -5 }; // lift = translateY %
+    const SHAKE = { duration: 0.6, x: 10, y: 6, rotate: 0.6 };             // px / deg at full strength
+    const PUSH = { duration: 6, scale: 0.12, release: 0.6 };
+    const LETTERBOX = { duration: 0.4, height: 15 };                       // bar height in %
+
+    const clamp01 = (v) => Math.max(0, Math.min(1, v));
+    const easeOut = (p) => 1 - Math.pow(1 - p, 3);
+    const easeInOut = (p) => (p < 0.5 ? 4 * p * p * p : 1 - Math.pow(-2 * p + 2, 3) / 2);
+
+    function isValid(effect) {
+        return Object.prototype.hasOwnProperty.call(EFFECTS, effect);
+    }
+
+    /**
+     * [{ effect, time }] -> known effects only, sorted by time (stable)
+     */
+    function normalizeCues(cues) {
+        return (cues || [])
+            .filter(cue => cue && isValid(cue.effect) && Number.isFinite(cue.time))
+            .map((cue, order) => ({ effect: cue.effect, time: cue.time, order }))
+            .sort((a, b) => a.time - b.time || a.order - b.order);
+    }
+
+    // 0..1 strength of a zoom_in cue `elapsed` seconds after it fired
+    function zoomAmount(elapsed) {
+        if (elapsed < 0 || elapsed >= ZOOM.hold + ZOOM.out) return 0;
+        if (elapsed < ZOOM.in) return easeOut(elapsed / ZOOM.in);
+        if (elapsed < ZOOM.hold) return 1;
+        return 1 - easeInOut((elapsed - ZOOM.hold) / ZOOM.out);
+    }
+
+    // Letterbox level (0..1) at time t, transitions start from wherever the previous one got to
+    function letterboxLevel(cues, t) {
+        let from = 0;
+        let target = 0;
+        let since = -Infinity;
+        for (const cue of cues) {
+            if (cue.time > t) break;
+            if (cue.effect !== 'letterbox_on' && cue.effect !== 'letterbox_off' && cue.effect !== 'reset') continue;
+            from = from + (target - from) * easeInOut(clamp01((cue.time - since) / LETTERBOX.duration));
+            target = cue.effect === 'letterbox_on' ? 1 : 0;
+            since = cue.time;
+        }
+        return from + (target - from) * easeInOut(clamp01((t - since) / LETTERBOX.duration));
+    }
+
+    // Push-in amount (0..1): ramps while active, released by the next push_in / reset
+    function pushAmount(cues, t) {
+        let amount = 0;
+        cues.forEach((cue, i) => {
+            if (cue.effect !== 'push_in' || cue.time > t) return;
+            const end = cues.slice(i + 1).find(next => next.effect === 'push_in' || next.effect === 'reset');
+            const until = end ? end.time : Infinity;
+            if (t < until) {
+                amount = Math.max(amount, easeInOut(clamp01((t - cue.time) / PUSH.duration)));
+            } else {
+                const reached = easeInOut(clamp01((until - cue.time) / PUSH.duration));
+                amount = Math.max(amount, reached * (1 - easeInOut(clamp01((t - until) / PUSH.release))));
+            }
+        });
+        return amount;
+    }
+
+    /**
+     * Camera state at time t (seconds, same clock as the cue times)
+     * @returns {{ scale, x, y, lift, rotate, letterbox, focus }}
+     */
+    function computeState(cues, t) {
+        const sorted = normalizeCues(cues);
+
+        let zoom = 0;
+        let x = 0;
+        let y = 0;
+        let rotate = 0;
+        for (const cue of sorted) {
+            if (cue.time > t) break;
+            const elapsed = t - cue.time;
+            if (cue.effect === 'zoom_in') {
+                zoom = Math.max(zoom, zoomAmount(elapsed));
+            } else if (cue.effect === 'shake' && elapsed < SHAKE.duration) {
+                // Decaying wobble - sine of elapsed time so every frame is reproducible
+                const decay = 1 - elapsed / SHAKE.duration;
+                x += SHAKE.x * decay * Math.sin(elapsed * Math.PI * 2 * 14);
+                y += SHAKE.y * decay * Math.sin(elapsed * Math.PI * 2 * 11 + 1);
+                rotate += SHAKE.rotate * decay * Math.sin(elapsed * Math.PI * 2 * 9);
+            }
+        }
+
+        const push = pushAmount(sorted, t);
+        return {
+            scale: (1 + ZOOM.scale * zoom) * (1 + PUSH.scale * push),
+            x,
+            y,
+            lift: ZOOM.lift * zoom,
+            rotate,
+            // zoom_in keeps its original "cinematic focus" look: bars + punchier colors
+            letterbox: Math.max(letterboxLevel(sorted, t), zoom),
+            focus: zoom
+        };
+    }
+
+    /**
+     * Write a state from computeState() to the DOM
+     * @param {Object} els - { wrapper, barTop, barBottom }
+     */
+    function apply(state, els) {
+        const { wrapper, barTop, barBottom } = els;
+        const barHeight = `${(LETTERBOX.height * state.letterbox).toFixed(3)}%`;
+        if (barTop) barTop.style.height = barHeight;
+        if (barBottom) barBottom.style.height = barHeight;
+
+        if (!wrapper) return;
+        const idle = state.scale === 1 && !state.x && !state.y && !state.lift && !state.rotate;
+        wrapper.style.transform = idle
+            ? 'none'
+            : `translate(${state.x.toFixed(2)}px, ${state.y.toFixed(2)}px) translateY(${state.lift.toFixed(3)}%) ` +
+              `scale(${state.scale.toFixed(4)}) rotate(${state.rotate.toFixed(3)}deg)`;
+        wrapper.style.filter = state.focus > 0
+            ? `contrast(${(1 + 0.1 * state.focus).toFixed(3)}) saturate(${(1 + 0.2 * state.focus).toFixed(3)})`
+            : 'none';
+    }
+
+    const CameraEffects = { EFFECTS, isValid, normalizeCues, computeState, apply };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CameraEffects; // server.js validates dialogue input with the same list
+    } else {
+        root.CameraEffects = CameraEffects;
+    }
+})(typeof window !== 'undefined' ? window : this);
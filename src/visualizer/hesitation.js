@@ -0,0 +1,86 @@
+/**
+ * Typing Hesitation
+ * Typing bursts that stop without sending, played after a row's reaction gap and before
+ * its real typing: [{ typing: 1.2, pause: 0.8 }, ...] = typing indicator on for 1.2s,
+ * off for 0.8s, then the next burst. Stored per dialogue row (`hesitation`, JSON).
+ * A row of kind 'typing' is hesitation only - the message never arrives.
+ * calculateTimeline() turns the bursts into typingWindows; the live loop plays the same bursts.
+ *
+ * Loaded by visualizer/index.html before script.js -> window.Hesitation
+ */
+(function (root) {
+    const MAX_BURSTS = 5;
+    const MAX_SECONDS = 10; // per typing / pause
+    const DEFAULT_BURSTS = [{ typing: 1.5, pause: 1.0 }];
+
+    function isGhostTyping(dialogue) {
+        return !!dialogue && dialogue.kind === 'typing';
+    }
+
+    /**
+     * Bursts from an array ([{ typing, pause }] or [[typing, pause]]), its JSON, or editor text "1.2/0.8, 0.6/0.5"
+     * @returns {Array<{typing: number, pause: number}>|null} [] for empty, null when invalid
+     */
+    function normalize(value) {
+        if (value === null || value === undefined || value === '') return [];
+        let list = value;
+        if (typeof value === 'string') {
+            const text = value.trim();
+            if (!text) return [];
+            if (text.startsWith('[')) {
+                try { list = JSON.parse(text); } catch (e) { return null; }
+            } else {
+                list = text.split(',').map(part => part.split('/'));
+            }
+        }
+        if (!Array.isArray(list) || list.length > MAX_BURSTS) return null;
+
+        const bursts = [];
+        for (const item of list) {
+            const pair = Array.isArray(item) ? item : [item && item.typing, item && item.pause];
+            const typing = parseFloat(pair[0]);
+            const pause = pair[1] === undefined || String(pair[1]).trim() === '' ? 0 : parseFloat(pair[1]);
+            if (!(typing > 0 && typing <= MAX_SECONDS) || !(pause >= 0 && pause <= MAX_SECONDS)) return null;
+            bursts.push({ typing, pause });
+        }
+        return bursts;
+    }
+
+    // Lenient read for playback: invalid data = no hesitation
+    function parse(value) {
+        return normalize(value) || [];
+    }
+
+    // Stored form: JSON string, null for none / invalid
+    function serialize(value) {
+        const bursts = normalize(value);
+        return bursts && bursts.length ? JSON.stringify(bursts) : null;
+    }
+
+    // Editor text for a burst list ("1.2/0.8, 0.6/0.5")
+    function format(value) {
+        return parse(value).map(b => `${b.typing}/${b.pause}`).join(', ');
+    }
+
+    function duration(bursts) {
+        return bursts.reduce((sum, b) => sum + b.typing + b.pause, 0);
+    }
+
+    // Typing-indicator windows of the bursts, starting at `start` (seconds)
+    function windows(start, bursts) {
+        let t = start;
+        return bursts.map(b => {
+            const win = { start: t, end: t + b.typing };
+            t += b.typing + b.pause;
+            return win;
+        });
+    }
+
+    const Hesitation = { MAX_BURSTS, DEFAULT_BURSTS, isGhostTyping, normalize, parse, serialize, format, duration, windows };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Hesitation;
+    } else {
+        root.Hesitation = Hesitation;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,180 @@
+/**
+ * Outro / Call-to-action Card
+ * What the video ends on after the last message: "follow for part 2", a channel
+ * handle, a comment-bait question about the story, or a custom image.
+ * Chosen per project (projects.outro_config) or globally (settings.outro_config);
+ * calculateTimeline() schedules it and adds its length to the video.
+ *
+ * Animation is a pure function of time (like camera.js): the renderer feeds it
+ * frame times, the live preview feeds it the wall clock.
+ *
+ * Loaded by visualizer/index.html before script.js -> window.OutroCard
+ */
+(function (root) {
+    // ============================================
+    // Types
+    // ============================================
+    const TYPES = {
+        none: { label: '🚫 ไม่มี (ค้างหน้าแชท)' },
+        next_part: { label: '📦 ติดตามภาคต่อ' },
+        handle: { label: '📣 ชื่อช่อง / @handle' },
+        comment_bait: { label: '💬 คำถามชวนคอมเมนต์' },
+        image: { label: '🖼️ รูปภาพ' }
+    };
+
+    const MIN_DURATION = 1.5;
+    const MAX_DURATION = 10;
+    const MAX_TEXT = 120;
+
+    // Entrance, seconds after the card starts (backdrop uses card.fadeIn)
+    const TITLE = { delay: 0.1, duration: 0.5, rise: 24 };    // rise = px
+    const SUBTITLE = { delay: 0.35, duration: 0.5, rise: 16 };
+    const IMAGE = { delay: 0.1, duration: 0.6, from: 0.85 };  // scale
+    const PULSE = { period: 1.2, amount: 0.04 };              // CTA line after it has landed
+
+    const clamp01 = (v) => Math.max(0, Math.min(1, v));
+    const easeOut = (p) => 1 - Math.pow(1 - p, 3);
+    const text = (v) => (typeof v === 'string' ? v.trim().slice(0, MAX_TEXT) : '');
+
+    function isValid(type) {
+        return Object.prototype.hasOwnProperty.call(TYPES, type);
+    }
+
+    /**
+     * Stored config -> { type, text, handle, question, image_path, duration }
+     * duration: null = TIMING.OUTRO_DURATION
+     */
+    function normalize(config) {
+        const c = config && typeof config === 'object' ? config : {};
+        const duration = parseFloat(c.duration);
+        return {
+            type: isValid(c.type) ? c.type : 'none',
+            text: text(c.text),
+            handle: text(c.handle).replace(/^@+/, ''),
+            question: text(c.question),
+            image_path: text(c.image_path) || null,
+            duration: Number.isFinite(duration) ? Math.max(MIN_DURATION, Math.min(MAX_DURATION, duration)) : null
+        };
+    }
+
+    // Project config wins whenever it is set (even type 'none'); NULL = global
+    function resolve(projectConfig, globalConfig) {
+        return normalize(projectConfig || globalConfig);
+    }
+
+    /**
+     * What the card shows
+     * @param {Object} options - { nextPart } for series parts
+     * @returns {{ type, title, subtitle, image }|null} null = no card
+     */
+    function buildCard(config, options = {}) {
+        const c = normalize(config);
+        switch (c.type) {
+            case 'next_part':
+                return {
+                    type: c.type,
+                    title: c.text || 'ติดตามตอนต่อไป...',
+                    subtitle: options.nextPart ? `To be continued ▶ Part ${options.nextPart}` : 'กดติดตามไว้ ไม่พลาดภาคต่อ',
+                    image: null
+                };
+            case 'handle':
+                if (!c.handle) return null;
+                return { type: c.type, title: c.text || 'กดติดตามเลย!', subtitle: `@${c.handle}`, image: null };
+            case 'comment_bait':
+                if (!c.question) return null;
+                return { type: c.type, title: c.question, subtitle: c.text || '💬 คอมเมนต์บอกหน่อย 👇', image: null };
+            case 'image':
+                if (!c.image_path) return null;
+                return { type: c.type, title: c.text || '', subtitle: '', image: c.image_path };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Look of the card at time t
+     * @param {Object} card - buildCard() + { start, fadeIn } (seconds)
+     */
+    function computeState(card, t) {
+        if (!card || t < card.start) return { visible: false };
+        const local = t - card.start;
+
+        const enter = (spec) => easeOut(clamp01((local - spec.delay) / spec.duration));
+        const title = enter(TITLE);
+        const subtitle = enter(SUBTITLE);
+        const landed = local - (SUBTITLE.delay + SUBTITLE.duration);
+        const pulse = landed > 0 && (card.type === 'handle' || card.type === 'next_part')
+            ? 1 + PULSE.amount * Math.sin((2 * Math.PI * landed) / PULSE.period)
+            : 1;
+
+        return {
+            visible: true,
+            backdrop: clamp01(local / (card.fadeIn || 0.4)),
+            title: { opacity: title, y: (1 - title) * TITLE.rise },
+            subtitle: { opacity: subtitle, y: (1 - subtitle) * SUBTITLE.rise, scale: pulse },
+            image: { opacity: enter(IMAGE), scale: IMAGE.from + (1 - IMAGE.from) * enter(IMAGE) }
+        };
+    }
+
+    /**
+     * Build the card's DOM (hidden) - mount early so a custom image is loaded before it shows
+     * @param {Function} resolvePath - asset path -> URL
+     */
+    function mount(doc, card, resolvePath) {
+        const el = doc.createElement('div');
+        el.id = 'render-end-card';
+        el.className = `part-end-card outro-${card.type}`;
+
+        if (card.image) {
+            const img = doc.createElement('img');
+            img.className = 'outro-card-image';
+            img.src = resolvePath ? resolvePath(card.image) : card.image;
+            el.appendChild(img);
+        }
+        if (card.title) {
+            const title = doc.createElement('div');
+            title.className = 'part-end-card-title';
+            title.textContent = card.title;
+            el.appendChild(title);
+        }
+        if (card.subtitle) {
+            const subtitle = doc.createElement('div');
+            subtitle.className = 'part-end-card-next';
+            subtitle.textContent = card.subtitle;
+            el.appendChild(subtitle);
+        }
+        doc.body.appendChild(el);
+        return el;
+    }
+
+    // Write a state from computeState() to the mounted card
+    function apply(state, el) {
+        if (!el) return;
+        el.style.display = state.visible ? 'flex' : 'none';
+        if (!state.visible) return;
+
+        el.style.opacity = state.backdrop.toFixed(3);
+        const set = (selector, part, extra = '') => {
+            const child = el.querySelector(selector);
+            if (!child) return;
+            child.style.opacity = part.opacity.toFixed(3);
+            child.style.transform = `translateY(${(part.y || 0).toFixed(2)}px)${extra}`;
+        };
+        set('.part-end-card-title', state.title);
+        set('.part-end-card-next', state.subtitle, ` scale(${state.subtitle.scale.toFixed(4)})`);
+
+        const img = el.querySelector('.outro-card-image');
+        if (img) {
+            img.style.opacity = state.image.opacity.toFixed(3);
+            img.style.transform = `scale(${state.image.scale.toFixed(4)})`;
+        }
+    }
+
+    const OutroCard = { TYPES, MIN_DURATION, MAX_DURATION, isValid, normalize, resolve, buildCard, computeState, mount, apply };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OutroCard; // database.js / capture.js / server.js share the same rules
+    } else {
+        root.OutroCard = OutroCard;
+    }
+})(typeof window !== 'undefined' ? window : this);
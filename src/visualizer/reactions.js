@@ -0,0 +1,58 @@
+/**
+ * Emoji Reactions
+ * A reaction is its own dialogue row (kind = 'reaction', message = the emoji) in which
+ * the sender reacts to an earlier line (target_dialogue_id). It has no bubble and no
+ * typing: after its reaction gap a small badge pops onto the target bubble.
+ * Timed by calculateTimeline() like any other row, so preview and render agree.
+ *
+ * Loaded by visualizer/index.html before script.js -> window.Reactions
+ */
+(function (root) {
+    const EMOJIS = {
+        heart: { emoji: '❤️', label: 'หัวใจ' },
+        laugh: { emoji: '😂', label: 'ขำ' },
+        angry: { emoji: '😡', label: 'โกรธ' },
+        wow: { emoji: '😮', label: 'ตกใจ' },
+        sad: { emoji: '😢', label: 'เศร้า' },
+        like: { emoji: '👍', label: 'ถูกใจ' }
+    };
+    const DEFAULT_EMOJI = EMOJIS.heart.emoji;
+
+    function isReaction(dialogue) {
+        return !!dialogue && dialogue.kind === 'reaction';
+    }
+
+    // Stored as the emoji itself so exports / AI history stay readable
+    function isValidEmoji(emoji) {
+        return Object.values(EMOJIS).some(e => e.emoji === emoji);
+    }
+
+    /**
+     * Badge on the bubble of dialogue `targetId` (a .message[data-dialogue-id] in `container`)
+     * @returns {HTMLElement|null} the new badge, null when the target isn't on screen (yet)
+     */
+    function attach(container, targetId, emoji) {
+        const wrapper = container.querySelector(`.message[data-dialogue-id="${targetId}"] .message-content-wrapper`);
+        if (!wrapper) return null;
+
+        let badges = wrapper.querySelector('.reaction-badges');
+        if (!badges) {
+            badges = wrapper.ownerDocument.createElement('div');
+            badges.className = 'reaction-badges';
+            wrapper.appendChild(badges);
+        }
+        const badge = wrapper.ownerDocument.createElement('span');
+        badge.className = 'reaction-badge';
+        badge.textContent = emoji;
+        badges.appendChild(badge);
+        return badge;
+    }
+
+    const Reactions = { EMOJIS, DEFAULT_EMOJI, isReaction, isValidEmoji, attach };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Reactions; // server.js / capture.js / subtitles.js use the same rules
+    } else {
+        root.Reactions = Reactions;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -10,6 +10,8 @@ class ChatStory {
     this.headerName = document.querySelector(".header-name");
     this.headerAvatar = document.querySelector(".header-avatar img");
     this.cameraWrapper = document.getElementById("camera-wrapper");
+    this.cinematicBarTop = document.getElementById("cinematic-bar-top");
+    this.cinematicBarBottom = document.getElementById("cinematic-bar-bottom");
     this.typingIndicator = document.getElementById("typing-indicator");
     this.typingAvatar = document.querySelector(".typing-avatar img");
     
@@ -21,6 +23,9 @@ class ChatStory {
     this.sfxEnabled = true;
     this.sfxPath = null;
 
+    // Camera track: cue times on the performance.now() clock (seconds)
+    this.cameraCues = [];
+
     this.init();
   }
 
@@ -94,6 +99,36 @@ class ChatStory {
     }
   }
 
+  // ============================================
+  // Camera Effects (live preview)
+  // Same math as the renderer (camera.js), driven by the wall clock
+  // ============================================
+  addCameraCue(item, isInstant = false) {
+    if (!window.CameraEffects || !CameraEffects.isValid(item.camera_effect)) return;
+
+    // Skipped (startAt) messages only leave their lasting state behind:
+    // stamp them far in the past so one-shot effects are already over
+    const now = performance.now() / 1000;
+    this.cameraCues.push({ effect: item.camera_effect, time: isInstant ? now - 60 : now });
+    this.startCameraLoop();
+  }
+
+  startCameraLoop() {
+    if (this.cameraLoopRunning) return;
+    this.cameraLoopRunning = true;
+
+    const tick = () => {
+      const state = CameraEffects.computeState(this.cameraCues, performance.now() / 1000);
+      CameraEffects.apply(state, {
+        wrapper: this.cameraWrapper,
+        barTop: this.cinematicBarTop,
+        barBottom: this.cinematicBarBottom
+      });
+      requestAnimationFrame(tick);
+    };
+    requestAnimationFrame(tick);
+  }
+
   resolvePath(path) {
     // Handle paths for both local file view and server view
     if (!path) return "";
@@ -221,6 +256,9 @@ class ChatStory {
       await this.processDialogue(dialogue, isInstant);
     }
     
+    // Outro / CTA card (project or global setting)
+    await this.playOutro();
+    
     // Dispatch story-complete event for Puppeteer to catch
     console.log('Dispatching story-complete event');
     window.dispatchEvent(new CustomEvent('story-complete'));
@@ -253,6 +291,22 @@ class ChatStory {
             await this.playTimeDividerEffect(item.message);
         }
         this.addMessage(item, null);
+        this.addCameraCue(item, isInstant);
+        return;
+    }
+
+    // Emoji reaction / unsend / edit: reading gap, then an earlier bubble changes (no typing)
+    const isReaction = window.Reactions && Reactions.isReaction(item);
+    if (isReaction || (window.BubbleEdits && BubbleEdits.isBubbleEdit(item))) {
+        if (!isInstant) {
+            const delay = (item.reaction_delay !== undefined && item.reaction_delay !== null)
+                ? parseFloat(item.reaction_delay)
+                : (window.TIMING_CONFIG?.DEFAULT_REACTION_DELAY || 0.8);
+            await this.wait((delay + this.voiceNoteHold(delay)) * 1000);
+        }
+        if (isReaction) this.addReaction(item);
+        else this.applyBubbleEdit(item);
+        this.addCameraCue(item, isInstant);
         return;
     }
 
@@ -275,7 +329,16 @@ class ChatStory {
         typingTotal = isLeft ? 1.0 : 0.5;
     }
     
-    const totalDuration = reactionTime + typingTotal;
+    // Hesitation: typing bursts that stop (and restart) first; a 'typing' row is never sent
+    const bursts = window.Hesitation ? Hesitation.parse(item.hesitation) : [];
+    const isGhostTyping = window.Hesitation && Hesitation.isGhostTyping(item);
+    if (isGhostTyping) typingTotal = 0;
+    
+    // A voice note still playing stretches the reading gap (calculateTimeline: speechEnd + VOICE_GAP)
+    const hesitationTotal = window.Hesitation ? Hesitation.duration(bursts) : 0;
+    reactionTime += this.voiceNoteHold(reactionTime + hesitationTotal + typingTotal);
+    
+    const totalDuration = reactionTime + hesitationTotal + typingTotal;
 
     // 1. Delays & Typing (Skip if instant)
     if (!isInstant) {
@@ -283,27 +346,38 @@ class ChatStory {
             // Gap: Reading Time (Silent)
             await this.wait(reactionTime * 1000);
 
-            // Show typing indicator with correct avatar
-            this.showTyping(senderChar);
-            
-            // Phase 1: Typing (80% of typingTotal)
-            await this.wait(typingTotal * 0.8 * 1000);
-            
-            // Phase 2: Sending Pause (20% of typingTotal)
-            this.hideTyping();
-            await this.wait(typingTotal * 0.2 * 1000);
+            await this.playHesitation(bursts, senderChar);
+
+            if (typingTotal > 0) {
+                // Show typing indicator with correct avatar
+                this.showTyping(senderChar);
+                
+                // Phase 1: Typing (80% of typingTotal)
+                await this.wait(typingTotal * 0.8 * 1000);
+                
+                // Phase 2: Sending Pause (20% of typingTotal)
+                this.hideTyping();
+                await this.wait(typingTotal * 0.2 * 1000);
+            }
             
         } else {
-            // Right side (Me) - wait full duration (Reaction + Typing)
+            // Right side (Me) - wait full duration (Reaction + Hesitation + Typing)
             await this.wait(totalDuration * 1000);
         }
     }
 
+    if (isGhostTyping) {
+        this.addCameraCue(item, isInstant);
+        return;
+    }
+
     // 2. Add Message Bubble
-    this.addMessage(item, senderChar);
+    const msgDiv = this.addMessage(item, senderChar);
+    this.addCameraCue(item, isInstant);
     
     // 3. Play Sound (Skip if instant)
     if (!isInstant) this.playSound('pop');
+    if (!isInstant && window.VoiceNotes && VoiceNotes.isVoiceNote(item)) this.playVoiceNote(item, msgDiv);
 
 
 
@@ -314,6 +388,45 @@ class ChatStory {
     if (isInstant) await this.wait(10); 
   }
 
+  // Typing indicator on / off per burst (same windows as calculateTimeline)
+  async playHesitation(bursts, char) {
+    for (const burst of bursts) {
+      this.showTyping(char);
+      await this.wait(burst.typing * 1000);
+      this.hideTyping();
+      await this.wait(burst.pause * 1000);
+    }
+  }
+
+  // Voice note: play its clip and run the waveform off the same elapsed time the renderer uses
+  playVoiceNote(item, msgDiv) {
+    const note = msgDiv && msgDiv.querySelector('.voice-note');
+    if (!note) return;
+    const duration = parseFloat(item.audio_duration) || 0;
+    const start = performance.now() / 1000;
+    this.voiceEndsAt = start + duration;
+
+    if (item.audio_path) {
+      const audio = new Audio(this.resolvePath(item.audio_path));
+      audio.play().catch(e => console.log('Voice note blocked:', e));
+    }
+    const tick = () => {
+      const elapsed = performance.now() / 1000 - start;
+      VoiceNotes.setProgress(note, elapsed);
+      if (elapsed < duration) requestAnimationFrame(tick);
+    };
+    tick();
+  }
+
+  // Extra reading gap (seconds) so a row that takes `leadTime` to appear waits for the voice note to end
+  voiceNoteHold(leadTime) {
+    if (!this.voiceEndsAt) return 0;
+    const gap = window.TIMING_CONFIG?.VOICE_GAP ?? 0.3;
+    const hold = this.voiceEndsAt + gap - performance.now() / 1000 - leadTime;
+    this.voiceEndsAt = null;
+    return Math.max(0, hold);
+  }
+
   showTyping(char) {
     this.typingIndicator.classList.remove("hidden");
     
@@ -350,6 +463,15 @@ class ChatStory {
     // (We use this.data.show_partner_name / show_my_name directly in addMessage)
 
     this.data.dialogues.forEach((item) => {
+      if (window.Reactions && Reactions.isReaction(item)) {
+        this.addReaction(item);
+        return;
+      }
+      if (window.BubbleEdits && BubbleEdits.isBubbleEdit(item)) {
+        this.applyBubbleEdit(item);
+        return;
+      }
+      if (window.Hesitation && Hesitation.isGhostTyping(item)) return; // never sent
       const char = this.data.characters[item.sender]; // Assuming getCharacter is not yet implemented, using direct lookup
       this.addMessage(item, char);
     });
@@ -367,6 +489,7 @@ class ChatStory {
         this.container.appendChild(div);
         
         this.lastSender = null; // Reset grouping after divider
+        this.playPopSound(item); // silent unless the project maps a time_divider sound
         return;
     }
 
@@ -383,6 +506,7 @@ class ChatStory {
     const sideClass = (char && char.side && char.side !== "") ? char.side : "left";
     msgDiv.classList.add("message", sideClass);
     if (isConsecutive) msgDiv.classList.add("consecutive");
+    if (item.id) msgDiv.dataset.dialogueId = item.id; // reactions find their bubble by id
 
     // Avatar HTML
     // If consecutive, we keep the container but hide the image (or make it transparent/invisible)
@@ -439,12 +563,22 @@ class ChatStory {
         }
     }
 
-    // Text HTML (Inside Bubble)
+    // Reply: quoted line sits inside the bubble (above the image for sticker/image replies)
+    const replyHtml = this.renderReplyQuote(item);
+
+    // Text HTML (Inside Bubble) - a voice note shows its waveform instead of the transcript
     let textHtml = '';
-    if (item.message) {
+    if (window.VoiceNotes && VoiceNotes.isVoiceNote(item)) {
+        textHtml = `
+            <div class="message-bubble voice-bubble">
+                ${replyHtml}
+                ${VoiceNotes.render(item)}
+            </div>`;
+    } else if (item.message) {
         textHtml = `
             <div class="message-bubble">
-                <div>${item.message}</div>
+                ${replyHtml}
+                <div class="bubble-text">${item.message}</div>
             </div>`;
     }
 
@@ -452,6 +586,7 @@ class ChatStory {
     const contentWrapper = `
       <div class="message-content-wrapper">
           ${senderHtml}
+          ${textHtml ? '' : replyHtml}
           ${imageHtml}
           ${textHtml}
       </div>`;
@@ -466,15 +601,54 @@ class ChatStory {
     this.container.appendChild(msgDiv);
     
     // Play pop sound when message appears
-    this.playPopSound();
+    this.playPopSound(item);
+    return msgDiv;
+  }
+  
+  // Emoji badge on the bubble this reaction targets (null if that bubble isn't shown)
+  addReaction(item) {
+    const badge = Reactions.attach(this.container, item.target_dialogue_id, item.message);
+    if (badge) this.playPopSound(item); // silent unless the project maps a reaction sound
+    return badge;
+  }
+
+  // Unsend / edit the bubble this row targets (null if that bubble isn't shown)
+  applyBubbleEdit(item) {
+    const char = this.data.characters[item.sender];
+    const bubble = BubbleEdits.apply(this.container, item, char ? char.name : item.sender);
+    if (bubble) this.playPopSound(item); // silent unless the project maps an unsend / edit sound
+    return bubble;
+  }
+
+  // Quoted preview of the line `item` replies to ('' for a plain message)
+  renderReplyQuote(item) {
+    if (!item.reply_to_dialogue_id) return '';
+    // reply_quote: copy of a line outside this render (series part)
+    const quoted = (this.data.dialogues || []).find(d => d.id === item.reply_to_dialogue_id) || item.reply_quote;
+    if (!quoted) return '';
+
+    const quotedChar = this.data.characters?.[quoted.sender];
+    const name = quotedChar ? quotedChar.name : quoted.sender;
+    const text = window.VoiceNotes && VoiceNotes.isVoiceNote(quoted)
+        ? `🎤 ${VoiceNotes.LABEL} ${VoiceNotes.formatDuration(quoted.audio_duration)}`
+        : quoted.message || (quoted.image_path ? '📷 รูปภาพ' : '');
+    return `
+        <div class="reply-quote">
+            <div class="reply-quote-name">${name}</div>
+            <div class="reply-quote-text">${text}</div>
+        </div>`;
   }
   
-  playPopSound() {
+  playPopSound(item) {
     // Try to get SFX settings from parent window (dashboard)
     try {
       if (window.parent && window.parent !== window) {
         const sfxEnabled = window.parent.sfxEnabled !== false;
-        const sfxPath = window.parent.selectedSfxPath;
+        // Project sound mapping (side / character / event) on top of the dashboard's Pop SFX
+        const index = this.data.dialogues ? this.data.dialogues.indexOf(item) : -1;
+        const sfxPath = window.SoundMap && index >= 0
+          ? SoundMap.resolve(this.data.sound_mapping, this.data, index, window.parent.selectedSfxPath)
+          : window.parent.selectedSfxPath;
         const sfxVolume = window.parent.sfxVolume || 0.5;
         
         console.log('[Pop] Enabled:', sfxEnabled, 'Path:', sfxPath, 'Vol:', sfxVolume);
@@ -529,6 +703,30 @@ class ChatStory {
     await this.wait(500); 
   }
 
+  // Same card + animation as the render (outro.js), driven by the wall clock
+  async playOutro() {
+    if (!window.OutroCard) return;
+    const card = OutroCard.buildCard(this.data.outro);
+    if (!card) return;
+
+    const timing = window.TIMING_CONFIG || {};
+    await this.wait((timing.END_CARD_DELAY ?? 1.5) * 1000);
+
+    const el = OutroCard.mount(document, card, (p) => this.resolvePath(p));
+    const duration = OutroCard.normalize(this.data.outro).duration || timing.OUTRO_DURATION || 3.5;
+    const timed = { ...card, start: performance.now() / 1000, fadeIn: timing.END_CARD_FADE_IN ?? 0.4 };
+
+    await new Promise((resolve) => {
+      const tick = () => {
+        const now = performance.now() / 1000;
+        OutroCard.apply(OutroCard.computeState(timed, now), el);
+        if (now - timed.start < duration) requestAnimationFrame(tick);
+        else resolve();
+      };
+      tick();
+    });
+  }
+
   wait(ms) {
     return new Promise((resolve) => setTimeout(resolve, ms));
   }
@@ -586,6 +784,12 @@ window.onload = async () => {
             
             // Track which messages have been shown
             let shownMessages = new Set();
+
+            const cameraCues = window.CameraEffects
+                ? timeline
+                    .filter(item => item.dialogue.camera_effect)
+                    .map(item => ({ effect: item.dialogue.camera_effect, time: item.appearTime }))
+                : [];
             
             // Function for Puppeteer to call with current time
             window.setCurrentTime = function(currentTime) {
@@ -607,8 +811,17 @@ window.onload = async () => {
                         shownMessages.add(item.index);
                         const dialogue = storyData.dialogues[item.index];
                         const senderChar = storyData.characters[dialogue.sender];
-                        story.addMessage(dialogue, senderChar);
-                        story.scrollToBottom();
+                        if (window.Reactions && Reactions.isReaction(dialogue)) {
+                            story.addReaction(dialogue);
+                        } else if (window.BubbleEdits && BubbleEdits.isBubbleEdit(dialogue)) {
+                            story.applyBubbleEdit(dialogue);
+                        } else if (window.Hesitation && Hesitation.isGhostTyping(dialogue)) {
+                            // typed, stopped, never sent
+                        } else {
+                            const msgDiv = story.addMessage(dialogue, senderChar);
+                            if (msgDiv) msgDiv.dataset.appearTime = item.appearTime;
+                            story.scrollToBottom();
+                        }
                         console.log(`[${currentTime.toFixed(1)}s] Showing message ${item.index + 1}`);
                     }
                 }
@@ -627,6 +840,22 @@ window.onload = async () => {
                 } else {
                     if (overlay) overlay.classList.remove('active'); // Force Opacity 0
                 }
+
+                // 4. Camera Track
+                if (window.CameraEffects) {
+                    CameraEffects.apply(CameraEffects.computeState(cameraCues, currentTime), {
+                        wrapper: story.cameraWrapper,
+                        barTop: story.cinematicBarTop,
+                        barBottom: story.cinematicBarBottom
+                    });
+                }
+
+                // 5. Voice notes: waveform progress since each bubble appeared
+                if (window.VoiceNotes) {
+                    document.querySelectorAll('.voice-note').forEach(note => {
+                        VoiceNotes.setProgress(note, currentTime - parseFloat(note.closest('.message').dataset.appearTime || 0));
+                    });
+                }
             };
             
             // Signal ready
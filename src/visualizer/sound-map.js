@@ -0,0 +1,122 @@
+/**
+ * Sound Mapping
+ * Which notification sound plays for each message: per side, per character and
+ * for special events (time divider, image/sticker, the final message).
+ * Stored per project (projects.sound_mapping), resolved the same way by the live
+ * preview (script.js) and the ffmpeg mix (capture.js assembleVideo).
+ *
+ * Loaded by visualizer/index.html before script.js -> window.SoundMap
+ */
+(function (root) {
+    // ============================================
+    // Slots
+    // ============================================
+    // collections: sfx collection names (sounds table) that provide the default,
+    // first match wins - e.g. upload into a "divider" collection and every
+    // project gets that sound on time dividers without touching the mapping
+    const SIDES = {
+        left: { label: '⬅️ ฝั่งซ้าย (คู่สนทนา)', collections: ['pop-left', 'left'] },
+        right: { label: '➡️ ฝั่งขวา (ฉัน)', collections: ['pop-right', 'right'] }
+    };
+    const EVENTS = {
+        time_divider: { label: '⏳ Time Divider', collections: ['time_divider', 'divider', 'transition'] },
+        image: { label: '🖼️ รูป / Sticker', collections: ['sticker', 'image'] },
+        reaction: { label: '😀 Reaction', collections: ['reaction'] },
+        unsend: { label: '🚫 ยกเลิกข้อความ', collections: ['unsend'] },
+        edit: { label: '✏️ แก้ไขข้อความ', collections: ['edit'] },
+        final: { label: '🏁 ข้อความสุดท้าย', collections: ['final', 'ending'] }
+    };
+
+    function emptyMapping() {
+        return { sides: {}, characters: {}, events: {} };
+    }
+
+    // Keeps only string paths on known slots (characters: any role key)
+    function normalize(mapping) {
+        const out = emptyMapping();
+        if (!mapping || typeof mapping !== 'object') return out;
+        const pick = (src, keys, dest) => {
+            if (!src || typeof src !== 'object') return;
+            for (const key of keys || Object.keys(src)) {
+                if (typeof src[key] === 'string' && src[key]) dest[key] = src[key];
+            }
+        };
+        pick(mapping.sides, Object.keys(SIDES), out.sides);
+        pick(mapping.characters, null, out.characters);
+        pick(mapping.events, Object.keys(EVENTS), out.events);
+        return out;
+    }
+
+    /**
+     * Default mapping from the sound library
+     * @param {Array<{ filename, collection_name }>} sfxSounds - GET /api/sounds/type/sfx
+     */
+    function defaultsFromSounds(sfxSounds) {
+        const defaults = emptyMapping();
+        const firstIn = (names) => {
+            for (const name of names) {
+                const sound = (sfxSounds || []).find(s => (s.collection_name || '').toLowerCase() === name);
+                if (sound) return sound.filename;
+            }
+            return null;
+        };
+        for (const [side, slot] of Object.entries(SIDES)) {
+            const path = firstIn(slot.collections);
+            if (path) defaults.sides[side] = path;
+        }
+        for (const [event, slot] of Object.entries(EVENTS)) {
+            const path = firstIn(slot.collections);
+            if (path) defaults.events[event] = path;
+        }
+        return defaults;
+    }
+
+    // Saved choices win slot by slot, empty slots fall back to the library defaults
+    function merge(defaults, saved) {
+        const a = normalize(defaults);
+        const b = normalize(saved);
+        return {
+            sides: { ...a.sides, ...b.sides },
+            characters: { ...a.characters, ...b.characters },
+            events: { ...a.events, ...b.events }
+        };
+    }
+
+    /**
+     * Sound for story.dialogues[index]
+     * Priority: final message > image/sticker > character > side > fallback (the Pop SFX)
+     * Time dividers / reactions / unsend / edit only make a sound when their event is mapped.
+     * @returns {string|null} sound file path
+     */
+    function resolve(mapping, story, index, fallbackPath) {
+        const map = normalize(mapping);
+        const dialogues = (story && story.dialogues) || [];
+        const dialogue = dialogues[index];
+        if (!dialogue) return null;
+
+        if (dialogue.sender === 'time_divider') return map.events.time_divider || null;
+        if (['reaction', 'unsend', 'edit'].includes(dialogue.kind)) return map.events[dialogue.kind] || null;
+        if (dialogue.kind === 'typing') return null; // never sent, nothing pops
+        if (index === dialogues.length - 1 && map.events.final) return map.events.final;
+        if (dialogue.image_path && map.events.image) return map.events.image;
+        if (map.characters[dialogue.sender]) return map.characters[dialogue.sender];
+
+        const char = story.characters && story.characters[dialogue.sender];
+        const side = char && char.side === 'right' ? 'right' : 'left';
+        return map.sides[side] || fallbackPath || null;
+    }
+
+    // Every path a mapping refers to (server-side validation)
+    function paths(mapping) {
+        const map = normalize(mapping);
+        return [...Object.values(map.sides), ...Object.values(map.characters), ...Object.values(map.events)];
+    }
+
+    const SoundMap = { SIDES, EVENTS, emptyMapping, normalize, defaultsFromSounds, merge, resolve, paths };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SoundMap; // database.js / capture.js resolve with the same rules
+    } else {
+        root.SoundMap = SoundMap;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,83 @@
+/**
+ * Voice Notes
+ * A dialogue row of kind 'voice' is a voice message bubble: play icon, waveform and a
+ * duration label. The clip (audio_path, uploaded / recorded / TTS) plays from the bubble's
+ * appear time; `message` is only its transcript (TTS text + subtitles).
+ * The waveform is seeded from the row, and its progress is a pure function of the elapsed
+ * time - the live preview drives it from the clock, the renderer from the frame time.
+ *
+ * Loaded by visualizer/index.html before script.js -> window.VoiceNotes
+ */
+(function (root) {
+    const BAR_COUNT = 28;
+    const LABEL = 'ข้อความเสียง';
+
+    function isVoiceNote(dialogue) {
+        return !!dialogue && dialogue.kind === 'voice';
+    }
+
+    // 7.4 -> "0:07"
+    function formatDuration(seconds) {
+        const total = Math.max(0, Math.round(seconds || 0));
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    // Bar heights (0.25 - 1) from a string seed: same bubble, same waveform, every render
+    function waveform(seed, count = BAR_COUNT) {
+        let h = 2166136261;
+        for (const ch of String(seed)) h = Math.imul(h ^ ch.charCodeAt(0), 16777619) >>> 0;
+        const bars = [];
+        for (let i = 0; i < count; i++) {
+            h = (Math.imul(h, 1664525) + 1013904223) >>> 0;
+            // Louder in the middle of the clip, like speech
+            const envelope = 0.55 + 0.45 * Math.sin(Math.PI * (i + 0.5) / count);
+            bars.push(Math.max(0.25, envelope * (0.35 + 0.65 * (h / 4294967296))));
+        }
+        return bars;
+    }
+
+    // Bubble content for a voice note (goes inside .message-bubble)
+    function render(dialogue) {
+        const duration = parseFloat(dialogue.audio_duration) || 0;
+        const bars = waveform(dialogue.audio_path || dialogue.id || dialogue.message || '')
+            .map(height => `<span class="voice-bar" style="height:${Math.round(height * 100)}%"></span>`)
+            .join('');
+        return `
+            <div class="voice-note" data-duration="${duration}">
+                <span class="voice-play">▶</span>
+                <div class="voice-wave">${bars}</div>
+                <span class="voice-duration">${formatDuration(duration)}</span>
+            </div>`;
+    }
+
+    /**
+     * Playback state at `elapsed` seconds after the bubble appeared:
+     * played bars fill in, the bar at the playhead bounces, the label counts up, then back to the length
+     */
+    function setProgress(note, elapsed) {
+        const duration = parseFloat(note.dataset.duration) || 0;
+        const playing = duration > 0 && elapsed >= 0 && elapsed < duration;
+        const progress = duration > 0 ? Math.min(1, Math.max(0, elapsed / duration)) : 0;
+        const bars = note.querySelectorAll('.voice-bar');
+        const head = Math.floor(progress * bars.length);
+
+        bars.forEach((bar, i) => {
+            bar.classList.toggle('played', playing ? i < head : false);
+            const bounce = playing && Math.abs(i - head) <= 1
+                ? 1 + 0.35 * Math.abs(Math.sin(elapsed * 9 + i))
+                : 1;
+            bar.style.transform = `scaleY(${bounce.toFixed(3)})`;
+        });
+        note.classList.toggle('playing', playing);
+        note.querySelector('.voice-play').textContent = playing ? '❚❚' : '▶';
+        note.querySelector('.voice-duration').textContent = formatDuration(playing ? Math.floor(elapsed) : duration);
+    }
+
+    const VoiceNotes = { BAR_COUNT, LABEL, isVoiceNote, formatDuration, waveform, render, setProgress };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = VoiceNotes;
+    } else {
+        root.VoiceNotes = VoiceNotes;
+    }
+})(typeof window !== 'undefined' ? window : this);
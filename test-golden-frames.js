@@ -0,0 +1,285 @@
+/**
+ * Test Script - Golden Frames (visualizer regression)
+ * เรนเดอร์ story ตัวอย่าง (test-golden/story.json) ผ่าน timeline mode แบบเดียวกับ recordStory
+ * แล้วเทียบภาพแต่ละ checkpoint กับภาพต้นแบบใน test-golden/frames/
+ * แก้ src/visualizer/script.js / style.css / capture.js แล้วต้องรันผ่านก่อน render จริง
+ *
+ * Usage:
+ *   node test-golden-frames.js                      เทียบกับ golden (exit 1 ถ้ามีภาพไม่ตรง)
+ *   node test-golden-frames.js --update             เขียน golden ใหม่ (หลังตรวจว่าภาพใหม่ถูกต้องแล้ว)
+ *   node test-golden-frames.js --only sticker-frame-0,zoom-in-peak
+ *   node test-golden-frames.js --tolerance 0.005    สัดส่วน pixel ที่ต่างได้ (default 0.002)
+ *
+ * Report (ภาพ actual / expected / diff + report.json): output/golden-report/index.html
+ *
+ * Checkpoint ใน story.json:
+ *   { "name", "time" }                                  เวลาตรงๆ (วินาที)
+ *   { "name", "dialogue", "event", "offset" }           event = typingStart | typingEnd | appearTime ของ dialogue นั้น
+ *   { "name", "event": "chatEnd", "offset" }            หลังข้อความสุดท้าย
+ *   "tolerance" ใส่ต่อ checkpoint ได้
+ *
+ * GIPHY URLs are answered with test-golden/assets/sticker.gif (4 frames x 100ms, one coloured
+ * quadrant per frame) so the libgif frame sync is tested without the network.
+ */
+
+// The working tree's visualizer, never whatever dashboard server happens to be running
+process.env.RENDER_VISUALIZER = 'internal';
+
+const puppeteer = require('puppeteer');
+const ffmpegPath = require('ffmpeg-static');
+const path = require('path');
+const fs = require('fs-extra');
+const { spawn } = require('child_process');
+const { calculateTimeline, openRenderPage, seekFrame } = require('./src/recorder/capture');
+const { resolveRenderQuality } = require('./src/recorder/render-presets');
+
+const CONFIG = {
+    fixturePath: path.join(__dirname, 'test-golden', 'story.json'),
+    goldenDir: path.join(__dirname, 'test-golden', 'frames'),
+    stickerPath: path.join(__dirname, 'test-golden', 'assets', 'sticker.gif'),
+    reportDir: path.join(__dirname, 'output', 'golden-report'),
+    // 360x640 goldens keep the repo small; frame timing is the same as a final render
+    quality: { ...resolveRenderQuality('final'), scale: 1 },
+    // A pixel counts as changed when any channel moves more than this (font hinting / AA noise)
+    pixelThreshold: 24,
+    // Share of changed pixels a checkpoint may have and still pass
+    tolerance: 0.002
+};
+
+function parseArgs(argv) {
+    const args = { update: false, only: null, tolerance: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--update') args.update = true;
+        else if (argv[i] === '--only') args.only = (argv[++i] || '').split(',').filter(Boolean);
+        else if (argv[i] === '--tolerance') args.tolerance = parseFloat(argv[++i]);
+    }
+    return args;
+}
+
+// ============================================
+// Checkpoints -> frame times
+// ============================================
+// Snapped to the frame grid so a checkpoint is exactly one video frame
+function resolveCheckpoints(fixture, timelineData, fps) {
+    const lastFrame = Math.ceil(timelineData.totalDuration * fps) - 1;
+    return fixture.checkpoints.map((cp) => {
+        let time;
+        if (typeof cp.time === 'number') {
+            time = cp.time;
+        } else if (cp.event === 'chatEnd') {
+            time = timelineData.chatEnd + (cp.offset || 0);
+        } else {
+            const item = timelineData.timeline.find(t => t.index === cp.dialogue);
+            if (!item || typeof item[cp.event] !== 'number') {
+                throw new Error(`Checkpoint "${cp.name}": no ${cp.event} for dialogue ${cp.dialogue}`);
+            }
+            time = item[cp.event] + (cp.offset || 0);
+        }
+        const frame = Math.max(0, Math.min(lastFrame, Math.round(time * fps)));
+        return { ...cp, frame, time: frame / fps };
+    }).sort((a, b) => a.frame - b.frame); // render pages only move forward in time
+}
+
+// ============================================
+// PNG <-> raw RGBA (ffmpeg, no image libraries needed)
+// ============================================
+function pngSize(buffer) {
+    // IHDR: width / height are the first two fields after the 8-byte signature + chunk header
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+function runFfmpeg(args, input) {
+    return new Promise((resolve, reject) => {
+        const proc = spawn(ffmpegPath, ['-v', 'error', ...args]);
+        const chunks = [];
+        let stderr = '';
+        proc.stdout.on('data', (chunk) => chunks.push(chunk));
+        proc.stderr.on('data', (chunk) => { stderr += chunk; });
+        proc.on('error', reject);
+        proc.on('close', (code) => {
+            if (code === 0) resolve(Buffer.concat(chunks));
+            else reject(new Error(`ffmpeg exited with ${code}: ${stderr.trim()}`));
+        });
+        proc.stdin.end(input);
+    });
+}
+
+function decodePng(buffer) {
+    return runFfmpeg(['-f', 'png_pipe', '-i', 'pipe:0', '-f', 'rawvideo', '-pix_fmt', 'rgba', 'pipe:1'], buffer);
+}
+
+function encodePng(rgba, { width, height }) {
+    return runFfmpeg(['-f', 'rawvideo', '-pix_fmt', 'rgba', '-s', `${width}x${height}`, '-i', 'pipe:0', '-f', 'image2pipe', '-vcodec', 'png', 'pipe:1'], rgba);
+}
+
+// Changed pixels in red over a faded copy of the golden
+async function compareFrames(expectedPng, actualPng) {
+    const size = pngSize(expectedPng);
+    const actualSize = pngSize(actualPng);
+    if (size.width !== actualSize.width || size.height !== actualSize.height) {
+        return { ratio: 1, changed: null, diffPng: null, reason: `size ${actualSize.width}x${actualSize.height}, golden ${size.width}x${size.height}` };
+    }
+
+    const [expected, actual] = await Promise.all([decodePng(expectedPng), decodePng(actualPng)]);
+    const diff = Buffer.alloc(expected.length);
+    let changed = 0;
+    for (let i = 0; i < expected.length; i += 4) {
+        const delta = Math.max(
+            Math.abs(expected[i] - actual[i]),
+            Math.abs(expected[i + 1] - actual[i + 1]),
+            Math.abs(expected[i + 2] - actual[i + 2])
+        );
+        if (delta > CONFIG.pixelThreshold) {
+            changed++;
+            diff[i] = 255; diff[i + 1] = 0; diff[i + 2] = 0;
+        } else {
+            const gray = Math.round((expected[i] + expected[i + 1] + expected[i + 2]) / 3);
+            diff[i] = diff[i + 1] = diff[i + 2] = 170 + Math.round(gray / 3);
+        }
+        diff[i + 3] = 255;
+    }
+
+    return { ratio: changed / (size.width * size.height), changed, diffPng: await encodePng(diff, size), reason: null };
+}
+
+// ============================================
+// Capture
+// ============================================
+async function captureCheckpoints(story, timelineData, checkpoints) {
+    const browser = await puppeteer.launch({
+        headless: 'new',
+        args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+    try {
+        // Fixture GIF stands in for GIPHY; interception has to be on before the visualizer loads
+        const sticker = await fs.readFile(CONFIG.stickerPath);
+        const stubGiphy = async (page) => {
+            await page.setRequestInterception(true);
+            page.on('request', (req) => {
+                if (req.url().includes('giphy.com')) {
+                    req.respond({ status: 200, contentType: 'image/gif', headers: { 'Access-Control-Allow-Origin': '*' }, body: sticker });
+                } else {
+                    req.continue();
+                }
+            });
+        };
+
+        const page = await openRenderPage(browser, story, timelineData, 'golden', null, CONFIG.quality, stubGiphy);
+        const shots = [];
+        for (const cp of checkpoints) {
+            await seekFrame(page, cp.time);
+            shots.push({ ...cp, png: Buffer.from(await page.screenshot({ type: 'png' })) });
+        }
+        return shots;
+    } finally {
+        await browser.close();
+    }
+}
+
+// ============================================
+// Report
+// ============================================
+function renderReport(results) {
+    const rows = results.map(r => `
+        <tr class="${r.status}">
+            <td><b>${r.name}</b><br>${r.time.toFixed(3)}s (frame ${r.frame})<br>${r.status.toUpperCase()}
+                ${r.ratio !== null ? `<br>${(r.ratio * 100).toFixed(3)}% changed (max ${(r.tolerance * 100).toFixed(3)}%)` : ''}
+                ${r.reason ? `<br>${r.reason}` : ''}</td>
+            <td>${r.files.expected ? `<img src="${r.files.expected}">` : '-'}</td>
+            <td><img src="${r.files.actual}"></td>
+            <td>${r.files.diff ? `<img src="${r.files.diff}">` : '-'}</td>
+        </tr>`).join('');
+    return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Golden Frames Report</title>
+<style>
+    body { font-family: sans-serif; background: #222; color: #eee; }
+    table { border-collapse: collapse; }
+    td, th { border: 1px solid #444; padding: 8px; vertical-align: top; }
+    img { width: 240px; display: block; }
+    tr.fail td:first-child, tr.missing td:first-child { color: #ff6b6b; }
+    tr.pass td:first-child, tr.updated td:first-child { color: #69db7c; }
+</style></head>
+<body>
+<h2>Golden Frames - ${new Date().toLocaleString()}</h2>
+<table>
+    <tr><th>Checkpoint</th><th>Expected</th><th>Actual</th><th>Diff</th></tr>${rows}
+</table>
+</body></html>`;
+}
+
+async function runGoldenFrames(args) {
+    console.log('🖼️ Test: Golden Frames');
+    console.log('=====================\n');
+
+    const fixture = await fs.readJson(CONFIG.fixturePath);
+    const story = { ...fixture };
+    delete story.checkpoints;
+
+    const timelineData = await calculateTimeline(story);
+    let checkpoints = resolveCheckpoints(fixture, timelineData, CONFIG.quality.fps);
+    if (args.only) {
+        checkpoints = checkpoints.filter(cp => args.only.includes(cp.name));
+        if (checkpoints.length === 0) throw new Error(`No checkpoints named ${args.only.join(', ')}`);
+    }
+
+    console.log(`\n📸 Capturing ${checkpoints.length} checkpoints...`);
+    const shots = await captureCheckpoints(story, timelineData, checkpoints);
+
+    await fs.emptyDir(CONFIG.reportDir);
+    await fs.ensureDir(CONFIG.goldenDir);
+
+    const results = [];
+    for (const shot of shots) {
+        const goldenPath = path.join(CONFIG.goldenDir, `${shot.name}.png`);
+        const tolerance = args.tolerance ?? shot.tolerance ?? CONFIG.tolerance;
+        const files = { actual: `${shot.name}.actual.png`, expected: null, diff: null };
+        await fs.writeFile(path.join(CONFIG.reportDir, files.actual), shot.png);
+
+        const result = { name: shot.name, time: shot.time, frame: shot.frame, tolerance, ratio: null, reason: null, files };
+        results.push(result);
+
+        if (args.update) {
+            await fs.writeFile(goldenPath, shot.png);
+            result.status = 'updated';
+            console.log(`   💾 ${shot.name}: golden updated`);
+            continue;
+        }
+        if (!await fs.pathExists(goldenPath)) {
+            result.status = 'missing';
+            result.reason = 'no golden yet (run with --update)';
+            console.log(`   ❓ ${shot.name}: no golden`);
+            continue;
+        }
+
+        const expectedPng = await fs.readFile(goldenPath);
+        files.expected = `${shot.name}.expected.png`;
+        await fs.writeFile(path.join(CONFIG.reportDir, files.expected), expectedPng);
+
+        const comparison = await compareFrames(expectedPng, shot.png);
+        result.ratio = comparison.ratio;
+        result.reason = comparison.reason;
+        if (comparison.diffPng) {
+            files.diff = `${shot.name}.diff.png`;
+            await fs.writeFile(path.join(CONFIG.reportDir, files.diff), comparison.diffPng);
+        }
+        result.status = comparison.ratio <= tolerance ? 'pass' : 'fail';
+        console.log(`   ${result.status === 'pass' ? '✅' : '❌'} ${shot.name}: ${(comparison.ratio * 100).toFixed(3)}% changed${comparison.reason ? ` (${comparison.reason})` : ''}`);
+    }
+
+    await fs.writeJson(path.join(CONFIG.reportDir, 'report.json'), { createdAt: new Date().toISOString(), results }, { spaces: 2 });
+    await fs.writeFile(path.join(CONFIG.reportDir, 'index.html'), renderReport(results));
+
+    const failed = results.filter(r => r.status === 'fail' || r.status === 'missing');
+    console.log(`\n📄 Report: ${path.join(CONFIG.reportDir, 'index.html')}`);
+    console.log(failed.length === 0
+        ? `✅ ${results.length} checkpoints OK`
+        : `❌ ${failed.length}/${results.length} checkpoints differ from golden`);
+    return failed.length === 0;
+}
+
+runGoldenFrames(parseArgs(process.argv.slice(2)))
+    .then((ok) => process.exit(ok ? 0 : 1))
+    .catch((err) => {
+        console.error('❌ Golden frames failed:', err);
+        process.exit(1);
+    });